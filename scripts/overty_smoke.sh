@@ -147,6 +147,9 @@ cat >"$REQ_OUT" <<JSON
 {"jsonrpc":"2.0","id":15,"method":"tools/call","params":{"name":"close_target","arguments":{}}}
 JSON
 
+# The whole batch is piped at once, so keep requests strictly ordered (read-only tools
+# would otherwise run immediately, before open_page/navigate finish).
+OVERTY_SERIALIZE_REQUESTS=1 \
 OVERTY_DEBUG="${OVERTY_DEBUG:-1}" \
   node "$ROOT/src/index.js" <"$REQ_OUT" >"$RPC_OUT" 2>"$SERVER_LOG"
 
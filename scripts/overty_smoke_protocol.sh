@@ -10,10 +10,12 @@ RPC_OUT="$RUN_DIR/rpc_out.jsonl"
 REQ_OUT="$RUN_DIR/requests.jsonl"
 SERVER_LOG="$RUN_DIR/server.log"
 
-# Minimal MCP handshake + tools/list only (no CDP target required).
+# Minimal MCP handshake + tools/list + resources (no CDP target required).
 cat >"$REQ_OUT" <<'JSON'
 {"jsonrpc":"2.0","id":1,"method":"initialize","params":{"protocolVersion":"2025-06-18","capabilities":{},"clientInfo":{"name":"overty-protocol-smoke","version":"0.0.0"}}}
 {"jsonrpc":"2.0","id":2,"method":"tools/list"}
+{"jsonrpc":"2.0","id":3,"method":"resources/list"}
+{"jsonrpc":"2.0","id":4,"method":"resources/templates/list"}
 JSON
 
 OVERTY_DEBUG="${OVERTY_DEBUG:-0}" \
@@ -24,12 +26,70 @@ if [[ ! -s "$RPC_OUT" ]]; then
   exit 10
 fi
 
-for tool in connect navigate execute_js set_css take_screenshot render_html_mockups assert_layout visual_diff qa_matrix; do
+TOOLS=(
+  connect list_sessions close_session list_targets open_page close_target
+  launch_browser launch_electron close_browser
+  set_viewport clear_viewport emulate_media emulate_conditions emulate_locale simulate_vision list_devices
+  set_css install_css uninstall_css list_installed_css
+  mock_route unmock_route list_routes set_request_headers set_http_auth set_user_agent
+  get_storage set_storage clear_storage save_storage_state load_storage_state
+  wait_for wait_for_network_idle navigate list_events list_requests export_har
+  audit_layout capture_bundle assert_layout visual_diff qa_matrix render_html_mockups execute_js
+  click hover type_text upload_files fill_form press_key scroll drag tap swipe pinch
+  take_screenshot screenshot_element take_dom_snapshot
+)
+for tool in "${TOOLS[@]}"; do
   if ! grep -Eq "\"name\"[[:space:]]*:[[:space:]]*\"$tool\"" "$RPC_OUT"; then
     echo "Smoke failed: tools/list missing tool '$tool' (see $RPC_OUT)" >&2
     exit 11
   fi
 done
 
+if ! grep -Eq '"id":3,"result":\{"resources":\[' "$RPC_OUT"; then
+  echo "Smoke failed: resources/list returned no resources array (see $RPC_OUT)" >&2
+  exit 12
+fi
+if ! grep -q 'overty://artifacts/screenshots/{+path}' "$RPC_OUT"; then
+  echo "Smoke failed: resources/templates/list missing the screenshots template (see $RPC_OUT)" >&2
+  exit 13
+fi
+
+# Streamable HTTP: initialize must answer with a result and an Mcp-Session-Id header.
+HTTP_LOG="$RUN_DIR/http_server.log"
+OVERTY_HTTP_PORT=0 OVERTY_DEBUG="${OVERTY_DEBUG:-0}" \
+  node "$ROOT/src/index.js" </dev/null >/dev/null 2>"$HTTP_LOG" &
+HTTP_PID=$!
+trap 'kill "$HTTP_PID" 2>/dev/null || true' EXIT
+
+HTTP_URL=""
+for _ in $(seq 1 50); do
+  HTTP_URL="$(grep -Eo 'http://[^ ]+/mcp' "$HTTP_LOG" | head -n 1 || true)"
+  [[ -n "$HTTP_URL" ]] && break
+  sleep 0.1
+done
+if [[ -z "$HTTP_URL" ]]; then
+  echo "Smoke failed: HTTP transport did not start (see $HTTP_LOG)" >&2
+  exit 14
+fi
+
+if ! HTTP_URL="$HTTP_URL" node -e '
+  fetch(process.env.HTTP_URL, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Accept: "application/json, text/event-stream" },
+    body: JSON.stringify({ jsonrpc: "2.0", id: 1, method: "initialize", params: { protocolVersion: "2025-06-18", capabilities: {}, clientInfo: { name: "overty-protocol-smoke", version: "0.0.0" } } }),
+  })
+    .then(async (res) => {
+      const body = await res.json();
+      if (!res.ok || !res.headers.get("mcp-session-id") || !body.result || !body.result.serverInfo) throw new Error(`HTTP ${res.status}: ${JSON.stringify(body)}`);
+    })
+    .catch((err) => {
+      console.error(err.message);
+      process.exit(1);
+    });
+' >"$RUN_DIR/http_initialize.log" 2>&1; then
+  echo "Smoke failed: HTTP initialize failed (see $RUN_DIR/http_initialize.log)" >&2
+  exit 15
+fi
+
 echo "SMOKE_OK $RUN_DIR"
 
@@ -4,29 +4,52 @@
 /**
  * overty: Minimal MCP stdio server for Chrome DevTools Protocol (CDP).
  *
- * Transport: newline-delimited JSON-RPC (one JSON object per line).
+ * Transport: newline-delimited JSON-RPC (one JSON object per line) on stdio, plus an
+ * opt-in MCP streamable HTTP endpoint (POST + SSE) when OVERTY_HTTP_PORT is set.
  * CDP: Node.js built-in fetch + WebSocket (Node v22+).
  *
  * Tools:
  * - connect
+ * - list_sessions
+ * - close_session
+ * - launch_browser
+ * - launch_electron
+ * - close_browser
  * - navigate
  * - wait_for_network_idle
+ * - list_requests / export_har
  * - execute_js
+ * - click / hover / type_text / press_key / scroll
+ * - fill_form / upload_files
+ * - drag / tap / swipe / pinch
  * - set_css
  * - install_css
  * - uninstall_css
  * - list_installed_css
- * - take_screenshot
- * - screenshot_element
+ * - mock_route / unmock_route / list_routes
+ * - set_request_headers / set_http_auth / set_user_agent
+ * - get_storage / set_storage / clear_storage / save_storage_state / load_storage_state
+ * - set_viewport / list_devices
+ * - emulate_media / emulate_conditions / emulate_locale
+ * - simulate_vision
+ * - take_screenshot (fullPage or scroll-and-stitch)
+ * - screenshot_element (full element box past the viewport; selectorAll)
  * - take_dom_snapshot
  * - assert_layout
- * - visual_diff
+ * - visual_diff (stabilize: frozen animations, hidden caret/scrollbars, masked regions)
  * - qa_matrix
  * - render_html_mockups
  * - capture_bundle
+ *
+ * Resources: files written under the safe output roots are exposed as
+ * overty://artifacts/<root>/<path> (resources/list, resources/read, resources/templates/list).
  */
 
 const fs = require('node:fs');
+const crypto = require('node:crypto');
+const http = require('node:http');
+const net = require('node:net');
+const os = require('node:os');
 const { spawn } = require('node:child_process');
 const path = require('node:path');
 
@@ -47,6 +70,32 @@ const OVERTY_CHROME_DEVTOOLS_CMD =
 const OVERTY_CHROME_DEVTOOLS_ARGS = parseChromeDevtoolsArgs(process.env.OVERTY_CHROME_DEVTOOLS_ARGS || '');
 const OVERTY_CHROME_DEVTOOLS_START_DELAY_MS = Number.parseInt(process.env.OVERTY_CHROME_DEVTOOLS_START_DELAY_MS || '1500', 10);
 
+// launch_browser discovery: explicit binary, then PATH, then Playwright's browser cache/package.
+const OVERTY_CHROME_BIN = process.env.OVERTY_CHROME_BIN || '';
+const OVERTY_PLAYWRIGHT_NODE_PATH = process.env.OVERTY_PLAYWRIGHT_NODE_PATH || '';
+const PLAYWRIGHT_NODE_PATH_CANDIDATES = OVERTY_PLAYWRIGHT_NODE_PATH
+  ? [OVERTY_PLAYWRIGHT_NODE_PATH]
+  : [
+      '/usr/local/lib/node_modules',
+      '/usr/lib/node_modules',
+      path.join(os.homedir(), '.node_modules'),
+    ];
+const DEFAULT_LAUNCH_TIMEOUT_MS = 20_000;
+const OVERTY_ELECTRON_BIN = process.env.OVERTY_ELECTRON_BIN || '';
+const MAX_PROCESS_OUTPUT_LINE_CHARS = 4_000;
+
+const OVERTY_HTTP_PORT = Number.parseInt(process.env.OVERTY_HTTP_PORT || '', 10);
+const OVERTY_HTTP_HOST = process.env.OVERTY_HTTP_HOST || '127.0.0.1';
+const OVERTY_HTTP_PATH = process.env.OVERTY_HTTP_PATH || '/mcp';
+const OVERTY_HTTP_ALLOW_REMOTE = process.env.OVERTY_HTTP_ALLOW_REMOTE === '1' || process.env.OVERTY_HTTP_ALLOW_REMOTE === 'true';
+// Clients that vanish never send DELETE, so idle HTTP sessions expire and their number is capped.
+const OVERTY_HTTP_SESSION_TTL_MS = Number.parseInt(process.env.OVERTY_HTTP_SESSION_TTL_MS || '1800000', 10);
+const OVERTY_HTTP_MAX_SESSIONS = Number.parseInt(process.env.OVERTY_HTTP_MAX_SESSIONS || '64', 10);
+// Restores strict one-at-a-time handling (useful for scripted batches piped into stdio).
+const OVERTY_SERIALIZE_REQUESTS = process.env.OVERTY_SERIALIZE_REQUESTS === '1' || process.env.OVERTY_SERIALIZE_REQUESTS === 'true';
+const MAX_HTTP_BODY_BYTES = 32_000_000; // render_html_mockups can carry large HTML documents
+const HTTP_SSE_KEEPALIVE_MS = 25_000;
+
 const DEFAULT_SCREENSHOT_DIR =
   process.env.OVERTY_SCREENSHOT_DIR ||
   path.resolve(process.cwd(), 'output', 'overty', 'screenshots');
@@ -82,8 +131,138 @@ const SAFE_OUTPUT_DIRS = (() => {
   return deduped;
 })();
 
+// Roots that upload_files may read from (OVERTY_INPUT_DIRS, path-delimiter separated).
+const DEFAULT_INPUT_DIR = path.resolve(process.cwd(), 'output', 'overty', 'inputs');
+const SAFE_INPUT_DIRS = (() => {
+  const raw = String(process.env.OVERTY_INPUT_DIRS || '').trim();
+  const roots = raw ? raw.split(path.delimiter).map((s) => s.trim()).filter(Boolean) : [DEFAULT_INPUT_DIR];
+  return Array.from(new Set(roots.map((root) => path.resolve(process.cwd(), root))));
+})();
+
+// Named output roots exposed as MCP resources: overty://artifacts/<root>/<relative path>.
+const ARTIFACT_URI_PREFIX = 'overty://artifacts/';
+const ARTIFACT_ROOT_NAMES = [
+  { name: 'screenshots', dir: path.resolve(DEFAULT_SCREENSHOT_DIR), description: 'Screenshots from take_screenshot / screenshot_element.' },
+  { name: 'mockups', dir: path.resolve(DEFAULT_MOCKUP_DIR), description: 'render_html_mockups output (screenshots, HTML, index.html, manifest.json).' },
+  { name: 'bundles', dir: path.resolve(DEFAULT_BUNDLE_DIR), description: 'capture_bundle folders (screenshot, dom.html, events.json, layout.json, bundle.json).' },
+  { name: 'qa-matrix', dir: path.resolve(DEFAULT_MATRIX_DIR), description: 'qa_matrix screenshots and manifest.json.' },
+  { name: 'diffs', dir: path.resolve(DEFAULT_DIFF_DIR), description: 'visual_diff PNG diff images.' },
+];
+// One root per SAFE_OUTPUT_DIRS entry, so every directory tools may write to is listed.
+const ARTIFACT_ROOTS = SAFE_OUTPUT_DIRS.map((dir, i) => {
+  const known = ARTIFACT_ROOT_NAMES.find((r) => r.dir === dir);
+  return known ? { ...known, dir } : { name: `root-${i + 1}`, dir, description: 'Safe output root.' };
+});
+const MAX_ARTIFACT_RESOURCES = 5_000;
+const ARTIFACT_RESOURCES_PAGE_SIZE = 200;
+const MAX_RESOURCE_READ_BYTES = 25_000_000;
+
 const MAX_INLINE_SCREENSHOT_BYTES = 2_000_000; // keep responses reasonably sized
+const MAX_REQUEST_LOG_ENTRIES = 1_000; // per session; oldest entries are dropped first
+const MAX_POST_DATA_CHARS = 64_000;
+// Scroll-and-stitch screenshots: tiles per capture and the CSS-px height cap (Chrome canvases top out near 32k px).
+const MAX_STITCH_TILES = 100;
+const DEFAULT_STITCH_MAX_HEIGHT = 20_000;
+const MAX_CANVAS_DIMENSION = 32_000;
+const DEFAULT_MASK_COLOR = '#ff00ff';
+// Network.ErrorReason values accepted by Fetch.failRequest (mock_route fail).
+const FETCH_ERROR_REASONS = [
+  'Failed',
+  'Aborted',
+  'TimedOut',
+  'AccessDenied',
+  'ConnectionClosed',
+  'ConnectionReset',
+  'ConnectionRefused',
+  'ConnectionAborted',
+  'ConnectionFailed',
+  'NameNotResolved',
+  'InternetDisconnected',
+  'AddressUnreachable',
+  'BlockedByClient',
+  'BlockedByResponse',
+];
 const DEFAULT_STYLE_ID = 'overty-style';
+const DEFAULT_SESSION_NAME = 'default';
+// Backoff used when a connected target crashes or its WebSocket drops (connect.autoReconnect).
+const RECONNECT_DEFAULTS = { maxAttempts: 8, initialDelayMs: 250, maxDelayMs: 5_000 };
+const SESSION_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+
+// Input.dispatchKeyEvent needs code/keyCode (and text for printable keys) for named keys.
+const KEY_DEFINITIONS = {
+  Enter: { code: 'Enter', keyCode: 13, text: '\r' },
+  Tab: { code: 'Tab', keyCode: 9 },
+  Escape: { code: 'Escape', keyCode: 27 },
+  Backspace: { code: 'Backspace', keyCode: 8 },
+  Delete: { code: 'Delete', keyCode: 46 },
+  Insert: { code: 'Insert', keyCode: 45 },
+  ' ': { code: 'Space', keyCode: 32, text: ' ' },
+  ArrowUp: { code: 'ArrowUp', keyCode: 38 },
+  ArrowDown: { code: 'ArrowDown', keyCode: 40 },
+  ArrowLeft: { code: 'ArrowLeft', keyCode: 37 },
+  ArrowRight: { code: 'ArrowRight', keyCode: 39 },
+  Home: { code: 'Home', keyCode: 36 },
+  End: { code: 'End', keyCode: 35 },
+  PageUp: { code: 'PageUp', keyCode: 33 },
+  PageDown: { code: 'PageDown', keyCode: 34 },
+  Shift: { code: 'ShiftLeft', keyCode: 16 },
+  Control: { code: 'ControlLeft', keyCode: 17 },
+  Alt: { code: 'AltLeft', keyCode: 18 },
+  Meta: { code: 'MetaLeft', keyCode: 91 },
+  ...Object.fromEntries(Array.from({ length: 12 }, (_, i) => [`F${i + 1}`, { code: `F${i + 1}`, keyCode: 112 + i }])),
+};
+const KEY_ALIASES = { Space: ' ', Esc: 'Escape', Return: 'Enter', Ctrl: 'Control', Cmd: 'Meta', Command: 'Meta', Option: 'Alt', Up: 'ArrowUp', Down: 'ArrowDown', Left: 'ArrowLeft', Right: 'ArrowRight' };
+const MODIFIER_BITS = { Alt: 1, Control: 2, Meta: 4, Shift: 8 };
+const MOUSE_BUTTONS = ['left', 'middle', 'right'];
+
+// Built-in device catalog for set_viewport({ device }) / qa_matrix({ devices }). Sizes are CSS px
+// in portrait; userAgent null keeps the browser's own UA. OVERTY_DEVICES_FILE adds or overrides presets.
+const IOS_UA = (v) =>
+  `Mozilla/5.0 (iPhone; CPU iPhone OS ${v.replace('.', '_')} like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/${v} Mobile/15E148 Safari/604.1`;
+const IPAD_UA = (v) =>
+  `Mozilla/5.0 (iPad; CPU OS ${v.replace('.', '_')} like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/${v} Mobile/15E148 Safari/604.1`;
+const ANDROID_UA = (model) =>
+  `Mozilla/5.0 (Linux; Android 14; ${model}) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Mobile Safari/537.36`;
+const BUILTIN_DEVICE_PRESETS = {
+  'iPhone SE': { width: 375, height: 667, deviceScaleFactor: 2, mobile: true, hasTouch: true, userAgent: IOS_UA('17.0'), platform: 'iPhone' },
+  'iPhone 15': { width: 393, height: 852, deviceScaleFactor: 3, mobile: true, hasTouch: true, userAgent: IOS_UA('17.0'), platform: 'iPhone' },
+  'iPhone 15 Pro': { width: 393, height: 852, deviceScaleFactor: 3, mobile: true, hasTouch: true, userAgent: IOS_UA('17.0'), platform: 'iPhone' },
+  'iPhone 15 Pro Max': { width: 430, height: 932, deviceScaleFactor: 3, mobile: true, hasTouch: true, userAgent: IOS_UA('17.0'), platform: 'iPhone' },
+  'Pixel 7': { width: 412, height: 915, deviceScaleFactor: 2.625, mobile: true, hasTouch: true, userAgent: ANDROID_UA('Pixel 7'), platform: 'Linux armv81' },
+  'Pixel 8 Pro': { width: 448, height: 998, deviceScaleFactor: 3, mobile: true, hasTouch: true, userAgent: ANDROID_UA('Pixel 8 Pro'), platform: 'Linux armv81' },
+  'Galaxy S23': { width: 360, height: 780, deviceScaleFactor: 3, mobile: true, hasTouch: true, userAgent: ANDROID_UA('SM-S911B'), platform: 'Linux armv81' },
+  'iPad Mini': { width: 744, height: 1133, deviceScaleFactor: 2, mobile: true, hasTouch: true, userAgent: IPAD_UA('17.0'), platform: 'iPad' },
+  'iPad Air': { width: 820, height: 1180, deviceScaleFactor: 2, mobile: true, hasTouch: true, userAgent: IPAD_UA('17.0'), platform: 'iPad' },
+  'iPad Pro 12.9': { width: 1024, height: 1366, deviceScaleFactor: 2, mobile: true, hasTouch: true, userAgent: IPAD_UA('17.0'), platform: 'iPad' },
+  'Laptop HD': { width: 1366, height: 768, deviceScaleFactor: 1, mobile: false, hasTouch: false, userAgent: null },
+  'MacBook Air 13': { width: 1440, height: 900, deviceScaleFactor: 2, mobile: false, hasTouch: false, userAgent: null },
+  'MacBook Pro 16': { width: 1728, height: 1117, deviceScaleFactor: 2, mobile: false, hasTouch: false, userAgent: null },
+  'Desktop 1080p': { width: 1920, height: 1080, deviceScaleFactor: 1, mobile: false, hasTouch: false, userAgent: null },
+  'Desktop 1440p': { width: 2560, height: 1440, deviceScaleFactor: 1, mobile: false, hasTouch: false, userAgent: null },
+  'Desktop 4K': { width: 3840, height: 2160, deviceScaleFactor: 1, mobile: false, hasTouch: false, userAgent: null },
+};
+const OVERTY_DEVICES_FILE = String(process.env.OVERTY_DEVICES_FILE || '').trim();
+
+// emulate_media / qa_matrix media options -> CSS media features for Emulation.setEmulatedMedia.
+const MEDIA_FEATURE_OPTIONS = {
+  colorScheme: { feature: 'prefers-color-scheme', values: ['light', 'dark'] },
+  reducedMotion: { feature: 'prefers-reduced-motion', values: ['reduce', 'no-preference'] },
+  contrast: { feature: 'prefers-contrast', values: ['more', 'less', 'custom', 'no-preference'] },
+  forcedColors: { feature: 'forced-colors', values: ['active', 'none'] },
+};
+const MEDIA_TYPES = ['screen', 'print'];
+
+// Emulation.setEmulatedVisionDeficiency types, in simulate_vision gallery order.
+const VISION_DEFICIENCIES = ['none', 'protanopia', 'deuteranopia', 'tritanopia', 'achromatopsia', 'blurredVision', 'reducedContrast'];
+
+// emulate_conditions network profiles (Network.emulateNetworkConditions; throughput in bytes/s),
+// matching the Chrome DevTools throttling presets.
+const NETWORK_CONDITION_PRESETS = {
+  Offline: { offline: true, latency: 0, downloadThroughput: 0, uploadThroughput: 0 },
+  'Slow 3G': { offline: false, latency: 2000, downloadThroughput: 50_000, uploadThroughput: 50_000 },
+  'Fast 3G': { offline: false, latency: 562.5, downloadThroughput: 180_000, uploadThroughput: 84_375 },
+  '4G': { offline: false, latency: 165, downloadThroughput: 1_012_500, uploadThroughput: 168_750 },
+};
 const CHROME_DEVTOOLS_MCP_PROCESS = OVERTY_WITH_CHROME_DEVTOOLS
   ? {
       exec: OVERTY_CHROME_DEVTOOLS_EXEC,
@@ -93,6 +272,8 @@ const CHROME_DEVTOOLS_MCP_PROCESS = OVERTY_WITH_CHROME_DEVTOOLS
   : null;
 let chromeDevtoolsProcess = null;
 let chromeDevtoolsStartupLogged = false;
+// Processes started by launch_browser / launch_electron, keyed by the session that owns them.
+const launchedProcesses = new Map(); // session name -> { kind, proc, pid, port, browserUrl, executable, profileDir, ... }
 
 function parseChromeDevtoolsArgs(raw) {
   const s = String(raw || '').trim();
@@ -195,21 +376,338 @@ async function shutdownChromeDevtoolsMcpChild() {
   if (!chromeDevtoolsProcess) return;
   const proc = chromeDevtoolsProcess;
   chromeDevtoolsProcess = null;
+  proc.removeAllListeners('exit');
+  await terminateChildProcess(proc);
+}
+
+// SIGTERM, then SIGKILL if the child has not exited after graceMs.
+async function terminateChildProcess(proc, graceMs = 2_000) {
+  if (!proc || proc.exitCode !== null || proc.signalCode !== null) return;
+  const exited = new Promise((resolve) => {
+    proc.once('exit', () => resolve());
+  });
+  proc.kill('SIGTERM');
+  const timeout = sleep(graceMs).then(() => 'timeout');
+  await Promise.race([exited, timeout]);
+  if (proc.exitCode === null && proc.signalCode === null) {
+    proc.kill('SIGKILL');
+  }
+}
+
+function isExecutableFile(filePath) {
+  try {
+    const stat = fs.statSync(filePath);
+    if (!stat.isFile()) return false;
+    fs.accessSync(filePath, fs.constants.X_OK);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function findOnPath(name) {
+  const dirs = String(process.env.PATH || '').split(path.delimiter).filter(Boolean);
+  const exts = process.platform === 'win32' ? ['.exe', ''] : [''];
+  for (const dir of dirs) {
+    for (const ext of exts) {
+      const candidate = path.join(dir, `${name}${ext}`);
+      if (isExecutableFile(candidate)) return candidate;
+    }
+  }
+  return null;
+}
+
+function findPlaywrightCacheChromium() {
+  const cacheRoot =
+    process.env.PLAYWRIGHT_BROWSERS_PATH ||
+    (process.platform === 'darwin'
+      ? path.join(os.homedir(), 'Library', 'Caches', 'ms-playwright')
+      : process.platform === 'win32'
+        ? path.join(os.homedir(), 'AppData', 'Local', 'ms-playwright')
+        : path.join(os.homedir(), '.cache', 'ms-playwright'));
+  let dirs;
+  try {
+    dirs = fs
+      .readdirSync(cacheRoot, { withFileTypes: true })
+      .filter((d) => d.isDirectory() && d.name.startsWith('chromium-'))
+      .map((d) => path.join(cacheRoot, d.name))
+      .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs);
+  } catch {
+    return null;
+  }
+  const relPaths = [
+    ['chrome-linux64', 'chrome'],
+    ['chrome-linux', 'chrome'],
+    ['chrome-mac-arm64', 'Chromium.app', 'Contents', 'MacOS', 'Chromium'],
+    ['chrome-mac', 'Chromium.app', 'Contents', 'MacOS', 'Chromium'],
+    ['chrome-win', 'chrome.exe'],
+  ];
+  for (const dir of dirs) {
+    for (const rel of relPaths) {
+      const candidate = path.join(dir, ...rel);
+      if (isExecutableFile(candidate)) return candidate;
+    }
+  }
+  return null;
+}
+
+function findPlaywrightPackageChromium() {
+  for (const candidate of PLAYWRIGHT_NODE_PATH_CANDIDATES) {
+    if (!candidate || !fs.existsSync(candidate)) continue;
+    try {
+      const playwright = require(require.resolve('playwright', { paths: [candidate] }));
+      const executable = playwright && playwright.chromium ? playwright.chromium.executablePath() : null;
+      if (executable && isExecutableFile(executable)) return executable;
+    } catch {
+      // Not installed here (or browsers not downloaded); try the next candidate.
+    }
+  }
+  return null;
+}
+
+/**
+ * Same discovery order as scripts/overty_smoke.sh: explicit path / OVERTY_CHROME_BIN, PATH,
+ * well-known app locations, the Playwright browser cache, then the playwright package.
+ */
+function findChromeExecutable(explicitPath) {
+  const explicit = String(explicitPath || OVERTY_CHROME_BIN || '').trim();
+  if (explicit) {
+    return isExecutableFile(explicit)
+      ? { ok: true, path: explicit, source: explicitPath ? 'executablePath' : 'OVERTY_CHROME_BIN' }
+      : { ok: false, error: { code: 'OVERTY_NOT_FOUND', message: `Browser binary is not an executable file: ${explicit}` } };
+  }
+
+  for (const name of ['google-chrome', 'google-chrome-stable', 'chromium', 'chromium-browser', 'chrome']) {
+    const found = findOnPath(name);
+    if (found) return { ok: true, path: found, source: 'PATH' };
+  }
+
+  const appPaths =
+    process.platform === 'darwin'
+      ? ['/Applications/Google Chrome.app/Contents/MacOS/Google Chrome', '/Applications/Chromium.app/Contents/MacOS/Chromium']
+      : process.platform === 'win32'
+        ? [
+            path.join(process.env.PROGRAMFILES || 'C:\\Program Files', 'Google', 'Chrome', 'Application', 'chrome.exe'),
+            path.join(process.env['PROGRAMFILES(X86)'] || 'C:\\Program Files (x86)', 'Google', 'Chrome', 'Application', 'chrome.exe'),
+          ]
+        : [];
+  for (const candidate of appPaths) {
+    if (isExecutableFile(candidate)) return { ok: true, path: candidate, source: 'system' };
+  }
+
+  const cached = findPlaywrightCacheChromium();
+  if (cached) return { ok: true, path: cached, source: 'ms-playwright cache' };
+
+  const fromPackage = findPlaywrightPackageChromium();
+  if (fromPackage) return { ok: true, path: fromPackage, source: 'playwright package' };
+
+  return {
+    ok: false,
+    error: {
+      code: 'OVERTY_NOT_FOUND',
+      message: 'Could not find a Chrome/Chromium binary. Pass executablePath, set OVERTY_CHROME_BIN, or set OVERTY_PLAYWRIGHT_NODE_PATH.',
+      details: { playwrightNodePaths: PLAYWRIGHT_NODE_PATH_CANDIDATES },
+    },
+  };
+}
+
+function readFileTail(filePath, maxBytes = 4_000) {
+  try {
+    const text = fs.readFileSync(filePath, 'utf8');
+    return text.length > maxBytes ? text.slice(text.length - maxBytes) : text;
+  } catch {
+    return null;
+  }
+}
+
+// Chrome writes "<port>\n<browser ws path>" once --remote-debugging-port=0 has bound a port.
+async function waitForDevToolsActivePort(profileDir, proc, timeoutMs) {
+  const filePath = path.join(profileDir, 'DevToolsActivePort');
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (proc.exitCode !== null || proc.signalCode !== null) {
+      return { ok: false, error: { code: 'OVERTY_CDP_UNREACHABLE', message: `Browser exited during startup (${proc.exitCode !== null ? `exit ${proc.exitCode}` : proc.signalCode})` } };
+    }
+    try {
+      const [portLine] = fs.readFileSync(filePath, 'utf8').split(/\r?\n/);
+      const port = Number.parseInt(portLine, 10);
+      if (Number.isFinite(port) && port > 0) return { ok: true, port };
+    } catch {
+      // Not written yet.
+    }
+    await sleep(50);
+  }
+  return { ok: false, error: { code: 'OVERTY_TIMEOUT', message: `Timed out after ${timeoutMs}ms waiting for ${filePath}` } };
+}
+
+async function launchBrowserProcess(opts) {
+  const profileDir = fs.mkdtempSync(path.join(os.tmpdir(), 'overty-chrome-'));
+  const logPath = path.join(profileDir, 'chrome.log');
+  const args = [
+    ...(opts.headless ? ['--headless=new'] : []),
+    '--remote-debugging-address=127.0.0.1',
+    '--remote-debugging-port=0',
+    `--user-data-dir=${profileDir}`,
+    '--no-first-run',
+    '--no-default-browser-check',
+    '--disable-dev-shm-usage',
+    // Chrome refuses to start sandboxed as root (containers, CI).
+    ...(process.platform === 'linux' && typeof process.getuid === 'function' && process.getuid() === 0 ? ['--no-sandbox'] : []),
+    ...opts.extraArgs,
+    opts.url,
+  ];
+
+  const logFd = fs.openSync(logPath, 'a');
+  let proc;
+  try {
+    proc = spawn(opts.executable, args, { stdio: ['ignore', 'ignore', logFd] });
+  } finally {
+    fs.closeSync(logFd);
+  }
+  const spawnError = new Promise((resolve) => proc.once('error', (err) => resolve(err)));
+
+  const ready = await Promise.race([
+    waitForDevToolsActivePort(profileDir, proc, opts.timeoutMs),
+    spawnError.then((err) => ({ ok: false, error: { code: 'OVERTY_INTERNAL', message: `Failed to spawn ${opts.executable}`, details: String(err && err.message ? err.message : err) } })),
+  ]);
+  if (!ready.ok) {
+    const logTail = readFileTail(logPath);
+    await terminateChildProcess(proc);
+    removeProfileDir(profileDir);
+    return { ok: false, error: { ...ready.error, details: ready.error.details || { logTail } } };
+  }
+
+  return { ok: true, proc, port: ready.port, browserUrl: `http://127.0.0.1:${ready.port}`, profileDir, args };
+}
 
-  if (!proc.killed) {
-    proc.removeAllListeners('exit');
-    const exited = new Promise((resolve) => {
-      proc.once('exit', () => resolve());
+function findFreePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.unref();
+    srv.once('error', reject);
+    srv.listen(0, '127.0.0.1', () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
     });
-    proc.kill('SIGTERM');
-    const timeout = sleep(2_000).then(() => 'timeout');
-    await Promise.race([exited, timeout]);
-    if (proc.exitCode === null) {
-      proc.kill('SIGKILL');
+  });
+}
+
+/**
+ * Resolve the Electron binary: explicit path / OVERTY_ELECTRON_BIN, then the `electron`
+ * package (which exports its binary path) from the app or cwd, then PATH.
+ */
+function findElectronExecutable(explicitPath, appDir) {
+  const explicit = String(explicitPath || OVERTY_ELECTRON_BIN || '').trim();
+  if (explicit) {
+    return isExecutableFile(explicit)
+      ? { ok: true, path: explicit, source: explicitPath ? 'electronPath' : 'OVERTY_ELECTRON_BIN' }
+      : { ok: false, error: { code: 'OVERTY_NOT_FOUND', message: `Electron binary is not an executable file: ${explicit}` } };
+  }
+
+  for (const from of [appDir, process.cwd()]) {
+    try {
+      const binary = require(require.resolve('electron', { paths: [from] }));
+      if (typeof binary === 'string' && isExecutableFile(binary)) return { ok: true, path: binary, source: 'electron package' };
+    } catch {
+      // Not installed there.
+    }
+  }
+
+  const onPath = findOnPath('electron');
+  if (onPath) return { ok: true, path: onPath, source: 'PATH' };
+
+  return {
+    ok: false,
+    error: { code: 'OVERTY_NOT_FOUND', message: 'Could not find Electron. Pass electronPath, set OVERTY_ELECTRON_BIN, or install the electron package in the app.' },
+  };
+}
+
+// Split a child's output stream into lines (a trailing partial line is flushed on end).
+function forwardProcessLines(stream, onLine) {
+  if (!stream) return;
+  let pending = '';
+  stream.setEncoding('utf8');
+  stream.on('data', (chunk) => {
+    pending += chunk;
+    const lines = pending.split(/\r?\n/);
+    pending = lines.pop();
+    for (const line of lines) {
+      if (line.trim()) onLine(line.slice(0, MAX_PROCESS_OUTPUT_LINE_CHARS));
+    }
+    if (pending.length > MAX_PROCESS_OUTPUT_LINE_CHARS) {
+      onLine(pending.slice(0, MAX_PROCESS_OUTPUT_LINE_CHARS));
+      pending = '';
+    }
+  });
+  stream.on('end', () => {
+    if (pending.trim()) onLine(pending.slice(0, MAX_PROCESS_OUTPUT_LINE_CHARS));
+    pending = '';
+  });
+}
+
+// Poll /json/list until the first app window (a non-DevTools page target) shows up.
+async function waitForElectronWindow(session, browserUrl, proc, opts) {
+  const deadline = Date.now() + opts.timeoutMs;
+  const url = parseHttpUrl(browserUrl);
+  while (Date.now() < deadline) {
+    if (proc.exitCode !== null || proc.signalCode !== null) {
+      return { ok: false, error: { code: 'OVERTY_CDP_UNREACHABLE', message: `Electron exited before opening a window (${proc.exitCode !== null ? `exit ${proc.exitCode}` : proc.signalCode})` } };
+    }
+    const res = await session._listTargets(url);
+    if (res.ok) {
+      const windows = res.targets.filter((t) => t.type === 'page' && !String(t.url || '').startsWith('devtools://'));
+      const match = opts.targetUrlSubstring ? windows.find((t) => String(t.url || '').includes(opts.targetUrlSubstring)) : windows[0];
+      if (match) return { ok: true, target: match };
     }
+    await sleep(100);
+  }
+  return { ok: false, error: { code: 'OVERTY_TIMEOUT', message: `Timed out after ${opts.timeoutMs}ms waiting for the first BrowserWindow` } };
+}
+
+function removeProfileDir(profileDir) {
+  if (!profileDir) return;
+  try {
+    fs.rmSync(profileDir, { recursive: true, force: true, maxRetries: 3, retryDelay: 100 });
+  } catch (err) {
+    log('Could not remove temp profile', profileDir, err && err.message ? err.message : err);
   }
 }
 
+function describeLaunchedProcess(entry) {
+  if (!entry) return null;
+  return {
+    kind: entry.kind,
+    pid: entry.pid,
+    browserUrl: entry.browserUrl,
+    executable: entry.executable,
+    headless: entry.headless,
+    ...(entry.appPath ? { appPath: entry.appPath } : {}),
+    profileDir: entry.profileDir,
+    startedAt: entry.startedAt,
+  };
+}
+
+async function closeLaunchedProcess(sessionName) {
+  const entry = launchedProcesses.get(sessionName);
+  if (!entry) return null;
+  launchedProcesses.delete(sessionName);
+  await terminateChildProcess(entry.proc);
+  removeProfileDir(entry.profileDir);
+  return { ...describeLaunchedProcess(entry), exitCode: entry.proc.exitCode, signal: entry.proc.signalCode };
+}
+
+// Last resort if the server exits without running teardown (e.g. uncaught exception).
+process.on('exit', () => {
+  for (const entry of launchedProcesses.values()) {
+    try {
+      if (entry.proc.exitCode === null) entry.proc.kill('SIGKILL');
+    } catch {
+      // ignore
+    }
+    removeProfileDir(entry.profileDir);
+  }
+});
+
 function log(...args) {
   // Never write logs to stdout; MCP uses stdout for protocol messages.
   console.error('[overty]', ...args);
@@ -249,9 +747,22 @@ function mimeFromPath(filePath, fallback = 'image/png') {
   if (ext === '.png') return 'image/png';
   if (ext === '.jpg' || ext === '.jpeg') return 'image/jpeg';
   if (ext === '.webp') return 'image/webp';
+  if (ext === '.gif') return 'image/gif';
+  if (ext === '.svg') return 'image/svg+xml';
+  if (ext === '.json') return 'application/json';
+  if (ext === '.jsonl') return 'application/jsonl';
+  if (ext === '.html' || ext === '.htm') return 'text/html';
+  if (ext === '.css') return 'text/css';
+  if (ext === '.js' || ext === '.mjs') return 'text/javascript';
+  if (ext === '.txt' || ext === '.log') return 'text/plain';
   return fallback;
 }
 
+function isTextMimeType(mimeType) {
+  const m = String(mimeType || '').toLowerCase();
+  return m.startsWith('text/') || m === 'application/json' || m === 'application/jsonl' || m === 'image/svg+xml';
+}
+
 function dataUrlFromBuffer(buf, mimeType) {
   const mime = mimeType && String(mimeType).trim() ? String(mimeType).trim() : 'application/octet-stream';
   return `data:${mime};base64,${Buffer.from(buf).toString('base64')}`;
@@ -447,13 +958,12 @@ function toCdpHttpBase(browserUrl) {
   return base;
 }
 
-function isSafeOutputPath(resolvedPath) {
+function isPathWithinRoots(resolvedPath, roots) {
   const p = path.resolve(String(resolvedPath || ''));
   if (!p) return false;
   if (p === path.parse(p).root) return false;
 
-  const safeRoots = SAFE_OUTPUT_DIRS;
-  for (const root of safeRoots) {
+  for (const root of roots) {
     const rel = path.relative(root, p);
     if (rel === '' || (!rel.startsWith('..') && !path.isAbsolute(rel))) {
       return true;
@@ -463,6 +973,10 @@ function isSafeOutputPath(resolvedPath) {
   return false;
 }
 
+function isSafeOutputPath(resolvedPath) {
+  return isPathWithinRoots(resolvedPath, SAFE_OUTPUT_DIRS);
+}
+
 function resolveSafeOutputPath(rawPath) {
   const input = String(rawPath || '').trim();
   if (!input) return null;
@@ -472,6 +986,112 @@ function resolveSafeOutputPath(rawPath) {
   return isSafeOutputPath(resolved) ? resolved : null;
 }
 
+/**
+ * Resolve an existing file under SAFE_INPUT_DIRS. Relative paths are tried against the cwd,
+ * then the first input root. Symlinks are resolved so they cannot point outside the roots.
+ */
+function resolveSafeInputPath(rawPath) {
+  const input = String(rawPath || '').trim();
+  if (!input || input.includes('\0')) return null;
+
+  const candidates = path.isAbsolute(input)
+    ? [input]
+    : [path.resolve(process.cwd(), input), path.resolve(SAFE_INPUT_DIRS[0] || process.cwd(), input)];
+  const realRoots = SAFE_INPUT_DIRS.map((root) => {
+    try {
+      return fs.realpathSync(root);
+    } catch {
+      return root;
+    }
+  });
+  for (const candidate of candidates) {
+    if (!isPathWithinRoots(candidate, SAFE_INPUT_DIRS)) continue;
+    try {
+      const real = fs.realpathSync(candidate);
+      if (isPathWithinRoots(real, realRoots) && fs.statSync(real).isFile()) return real;
+    } catch {
+      // Missing file; try the next candidate.
+    }
+  }
+  return null;
+}
+
+function artifactUriFromPath(filePath) {
+  const resolved = path.resolve(String(filePath || ''));
+  // The most specific root wins when roots are nested (listArtifactFiles walks them the same way).
+  let best = null;
+  for (const root of ARTIFACT_ROOTS) {
+    const rel = path.relative(root.dir, resolved);
+    if (!rel || rel.startsWith('..') || path.isAbsolute(rel)) continue;
+    if (!best || root.dir.length > best.root.dir.length) best = { root, rel };
+  }
+  if (!best) return null;
+  return `${ARTIFACT_URI_PREFIX}${best.root.name}/${best.rel.split(path.sep).map(encodeURIComponent).join('/')}`;
+}
+
+function resolveArtifactUri(uri) {
+  const s = String(uri || '');
+  if (!s.startsWith(ARTIFACT_URI_PREFIX)) return null;
+  const parts = s.slice(ARTIFACT_URI_PREFIX.length).split('/');
+  const root = ARTIFACT_ROOTS.find((r) => r.name === parts[0]);
+  if (!root || parts.length < 2) return null;
+
+  let segments;
+  try {
+    segments = parts.slice(1).map((p) => decodeURIComponent(p));
+  } catch {
+    return null;
+  }
+  if (segments.some((p) => !p || p === '.' || p === '..' || p.includes('\0') || p.includes('/') || p.includes('\\'))) return null;
+
+  const resolved = path.resolve(root.dir, ...segments);
+  const rel = path.relative(root.dir, resolved);
+  if (!rel || rel.startsWith('..') || path.isAbsolute(rel)) return null;
+  return isSafeOutputPath(resolved) ? resolved : null;
+}
+
+// Newest MAX_ARTIFACT_RESOURCES files across all roots, newest first.
+async function listArtifactFiles() {
+  const files = [];
+  const rootDirs = new Set(ARTIFACT_ROOTS.map((root) => root.dir));
+  const keepNewest = () => {
+    files.sort((a, b) => b.mtimeMs - a.mtimeMs);
+    if (files.length > MAX_ARTIFACT_RESOURCES) files.length = MAX_ARTIFACT_RESOURCES;
+  };
+
+  const walk = async (root, dir) => {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        // A nested root is listed under its own name.
+        if (!rootDirs.has(full)) await walk(root, full);
+        continue;
+      }
+      // Skip in-progress atomic writes (see atomicWriteFileSync).
+      if (!entry.isFile() || /\.tmp-\d+-\d+$/.test(entry.name)) continue;
+      let stat;
+      try {
+        stat = await fs.promises.stat(full);
+      } catch {
+        continue;
+      }
+      files.push({ root, filePath: full, size: stat.size, mtimeMs: stat.mtimeMs });
+      // Trim as we go so memory stays bounded on very large trees.
+      if (files.length >= MAX_ARTIFACT_RESOURCES * 2) keepNewest();
+    }
+  };
+
+  for (const root of ARTIFACT_ROOTS) await walk(root, root.dir);
+  keepNewest();
+  return files;
+}
+
 function sleep(ms) {
   const t = Math.max(0, Math.floor(Number(ms) || 0));
   return new Promise((resolve) => setTimeout(resolve, t));
@@ -596,52 +1216,1075 @@ async function cdpHttpClose(opts) {
   }
 }
 
-function buildSetCssExpression(styleId, css, mode) {
-  const id = styleId && String(styleId).trim() ? String(styleId).trim() : DEFAULT_STYLE_ID;
-  const cssText = String(css || '');
-  const action = mode === 'append' ? 'append' : 'replace';
+async function cdpHttpVersion(opts) {
+  const guard = requireLoopbackUnlessAllowed(opts.browserUrl, opts.allowRemote);
+  if (!guard.ok) return guard;
+  const base = toCdpHttpBase(guard.url.toString());
+  const endpoint = `${base}/json/version`;
+  try {
+    const json = await httpFetchJson(endpoint, 'GET');
+    if (!json || typeof json !== 'object' || typeof json.webSocketDebuggerUrl !== 'string') {
+      return { ok: false, error: { code: 'OVERTY_CDP_ERROR', message: `No browser webSocketDebuggerUrl in ${endpoint}` } };
+    }
+    return {
+      ok: true,
+      browser: json.Browser ? String(json.Browser) : null,
+      protocolVersion: json['Protocol-Version'] ? String(json['Protocol-Version']) : null,
+      webSocketDebuggerUrl: json.webSocketDebuggerUrl,
+    };
+  } catch (err) {
+    return { ok: false, error: { code: 'OVERTY_CDP_UNREACHABLE', message: `Could not read ${endpoint}`, details: String(err) } };
+  }
+}
+
+function buildElementBoxExpression(selector, index, scrollIntoView) {
   return `(() => {
-    const id = ${JSON.stringify(id)};
-    const css = ${JSON.stringify(cssText)};
-    let el = document.getElementById(id);
-    if (!el) {
-      el = document.createElement('style');
-      el.id = id;
-      (document.head || document.documentElement).appendChild(el);
+    const sel = ${JSON.stringify(String(selector))};
+    const idx = ${index};
+    const els = document.querySelectorAll(sel);
+    const el = els && els.length > idx ? els[idx] : null;
+    if (!el) return { found: false, count: els ? els.length : 0 };
+    try {
+      if (${scrollIntoView ? 'true' : 'false'}) {
+        el.scrollIntoView({ block: 'center', inline: 'center', behavior: 'instant' });
+      }
+    } catch (e) {}
+    const r = el.getBoundingClientRect();
+    const de = document.documentElement;
+    const vw = de ? de.clientWidth : window.innerWidth;
+    const vh = de ? de.clientHeight : window.innerHeight;
+    return {
+      found: true,
+      count: els ? els.length : 1,
+      rect: { x: r.left, y: r.top, width: r.width, height: r.height },
+      viewport: { width: vw, height: vh },
+    };
+  })()`;
+}
+
+/**
+ * Full bounding box of the index-th match for screenshot_element, in top-level page coordinates
+ * (what Page.captureScreenshot clips with captureBeyondViewport). frameSelectors walk into
+ * same-origin iframes. Scroll containers and iframe viewports still clip their content, so the
+ * capture clip is the box intersected with those ancestors, reported as clippedBy.
+ */
+function buildElementClipExpression(selector, index, opts) {
+  const frameSelectors = Array.isArray(opts && opts.frameSelectors) ? opts.frameSelectors.map(String) : [];
+  const scrollIntoView = !(opts && opts.scrollIntoView === false);
+  const paddingPx = Number.isFinite(opts && opts.paddingPx) ? Math.max(0, Number(opts.paddingPx)) : 0;
+  return `(() => {
+    const sel = ${JSON.stringify(String(selector))};
+    const idx = ${index};
+    const frameSelectors = ${JSON.stringify(frameSelectors)};
+    const pad = ${paddingPx};
+    const describe = (node) => {
+      let s = node.tagName.toLowerCase();
+      if (node.id) s += '#' + node.id;
+      else if (typeof node.className === 'string' && node.className.trim()) s += '.' + node.className.trim().split(/\\s+/).slice(0, 2).join('.');
+      return s;
+    };
+
+    let doc = document;
+    const frames = [];
+    for (const fs of frameSelectors) {
+      const frameEl = doc.querySelector(fs);
+      if (!frameEl || !/^i?frame$/i.test(frameEl.tagName)) return { found: false, frameError: 'No iframe matched frameSelector: ' + fs };
+      let inner = null;
+      try {
+        inner = frameEl.contentDocument;
+      } catch (e) {}
+      if (!inner) return { found: false, frameError: 'iframe is cross-origin or not loaded: ' + fs };
+      frames.push(frameEl);
+      doc = inner;
     }
-    if (${JSON.stringify(action)} === 'append') {
-      el.textContent = (el.textContent || '') + '\\n' + css;
-    } else {
-      el.textContent = css;
+
+    const els = doc.querySelectorAll(sel);
+    const el = els && els.length > idx ? els[idx] : null;
+    if (!el) return { found: false, count: els ? els.length : 0 };
+    const win = doc.defaultView || window;
+    if (${scrollIntoView ? 'true' : 'false'}) {
+      try {
+        // Tall elements align to the start so as much as possible is visible inside scroll containers.
+        const r0 = el.getBoundingClientRect();
+        el.scrollIntoView({
+          block: r0.height > win.innerHeight ? 'start' : 'center',
+          inline: r0.width > win.innerWidth ? 'start' : 'center',
+          behavior: 'instant',
+        });
+      } catch (e) {}
     }
-    return { styleId: id, length: (el.textContent || '').length };
+    const stabilized = window[${JSON.stringify(STABILIZE_GLOBAL)}];
+    if (stabilized) stabilized.placeMasks();
+
+    // Offset of the element's document inside the top-level viewport (iframe content boxes).
+    let offX = 0;
+    let offY = 0;
+    const frameBoxes = [];
+    for (const frameEl of frames) {
+      const fr = frameEl.getBoundingClientRect();
+      const cs = frameEl.ownerDocument.defaultView.getComputedStyle(frameEl);
+      const x = offX + fr.left + frameEl.clientLeft + parseFloat(cs.paddingLeft || '0');
+      const y = offY + fr.top + frameEl.clientTop + parseFloat(cs.paddingTop || '0');
+      frameBoxes.push({ x, y, width: frameEl.clientWidth - parseFloat(cs.paddingLeft || '0') - parseFloat(cs.paddingRight || '0'), height: frameEl.clientHeight - parseFloat(cs.paddingTop || '0') - parseFloat(cs.paddingBottom || '0'), by: 'iframe ' + describe(frameEl) });
+      offX = x;
+      offY = y;
+    }
+
+    const r = el.getBoundingClientRect();
+    const rect = { x: r.left + offX, y: r.top + offY, width: r.width, height: r.height };
+    let vis = { x: rect.x - pad, y: rect.y - pad, right: rect.x + rect.width + pad, bottom: rect.y + rect.height + pad };
+    let clippedBy = null;
+    const clipTo = (box, by) => {
+      const next = {
+        x: Math.max(vis.x, box.x),
+        y: Math.max(vis.y, box.y),
+        right: Math.min(vis.right, box.x + box.width),
+        bottom: Math.min(vis.bottom, box.y + box.height),
+      };
+      if (next.x > vis.x || next.y > vis.y || next.right < vis.right || next.bottom < vis.bottom) clippedBy = clippedBy || by;
+      vis = next;
+    };
+
+    // Overflow-clipping ancestors inside the element's document (a fixed element escapes them).
+    let node = el;
+    while (node && node !== doc.documentElement && node !== doc.body) {
+      const cs = win.getComputedStyle(node);
+      if (cs.position === 'fixed') break;
+      const parent = node.parentElement;
+      if (!parent || parent === doc.documentElement || parent === doc.body) break;
+      const pcs = win.getComputedStyle(parent);
+      if (pcs.overflowX !== 'visible' || pcs.overflowY !== 'visible') {
+        const pr = parent.getBoundingClientRect();
+        clipTo({ x: pr.left + offX + parent.clientLeft, y: pr.top + offY + parent.clientTop, width: parent.clientWidth, height: parent.clientHeight }, describe(parent));
+      }
+      node = parent;
+    }
+    for (let i = frameBoxes.length - 1; i >= 0; i--) clipTo(frameBoxes[i], frameBoxes[i].by);
+
+    const sx = window.scrollX;
+    const sy = window.scrollY;
+    const clipX = Math.max(0, vis.x + sx);
+    const clipY = Math.max(0, vis.y + sy);
+    const de = document.documentElement;
+    return {
+      found: true,
+      count: els.length,
+      label: describe(el),
+      rect: { x: rect.x + sx, y: rect.y + sy, width: rect.width, height: rect.height },
+      clip: { x: clipX, y: clipY, width: Math.max(0, vis.right + sx - clipX), height: Math.max(0, vis.bottom + sy - clipY) },
+      clipped: !!clippedBy,
+      clippedBy,
+      viewport: { width: de ? de.clientWidth : window.innerWidth, height: de ? de.clientHeight : window.innerHeight },
+    };
   })()`;
 }
 
-function buildRemoveStyleExpression(styleId) {
-  const id = styleId && String(styleId).trim() ? String(styleId).trim() : DEFAULT_STYLE_ID;
-  return `(() => {
-    const id = ${JSON.stringify(id)};
-    const el = document.getElementById(id);
-    if (el && el.parentNode) {
-      el.parentNode.removeChild(el);
-      return { removed: true, styleId: id };
+/**
+ * Fill form fields in page context. Values go through the prototype's native value/checked
+ * setters (bypassing framework-patched instance properties) and are followed by real
+ * input/change events, so React/Vue controlled inputs pick them up. Checkboxes and radios
+ * are clicked, which toggles them and fires the events the browser would.
+ */
+function buildFillFormExpression(entries, { blur, settleMs }) {
+  return `(async () => {
+    const entries = ${JSON.stringify(entries)};
+    const describe = (node) => {
+      let s = node.tagName.toLowerCase();
+      if (node.id) s += '#' + node.id;
+      else if (node.name) s += '[name="' + node.name + '"]';
+      return s;
+    };
+    const fire = (el, type) => el.dispatchEvent(new Event(type, { bubbles: true }));
+    const setNative = (el, prop, value) => {
+      const proto =
+        el instanceof HTMLSelectElement ? HTMLSelectElement.prototype :
+        el instanceof HTMLTextAreaElement ? HTMLTextAreaElement.prototype :
+        HTMLInputElement.prototype;
+      const desc = Object.getOwnPropertyDescriptor(proto, prop);
+      if (desc && desc.set) desc.set.call(el, value);
+      else el[prop] = value;
+    };
+    const truthy = (v) => v === true || v === 1 || ['true', 'on', '1', 'checked', 'yes'].includes(String(v).toLowerCase());
+    const labelText = (el) => {
+      const label = (el.labels && el.labels[0]) || el.closest('label');
+      return label ? label.textContent.trim() : '';
+    };
+    const NOT_FILLABLE = ['button', 'submit', 'reset', 'image', 'hidden'];
+
+    const fill = (selector, value) => {
+      const els = Array.from(document.querySelectorAll(selector));
+      if (!els.length) return { error: 'No element matches selector' };
+      const first = els[0];
+      const tag = first.tagName.toLowerCase();
+      const type = tag === 'input' ? (first.type || 'text').toLowerCase() : tag;
+
+      if (type === 'radio') {
+        const radios = els.length > 1 ? els.filter((el) => el.type === 'radio') : [first];
+        const wanted = String(value);
+        const el =
+          radios.length === 1 && typeof value === 'boolean' ? (value ? radios[0] : null) :
+          radios.find((r) => r.value === wanted) || radios.find((r) => labelText(r) === wanted) || null;
+        if (!el) return { kind: 'radio', error: 'No radio matches value', options: radios.map((r) => r.value).slice(0, 50) };
+        if (el.disabled) return { el, kind: 'radio', error: 'Element is disabled' };
+        el.focus();
+        if (!el.checked) el.click();
+        return { el, kind: 'radio' };
+      }
+
+      const el = first;
+      if (el.disabled) return { el, kind: type, error: 'Element is disabled' };
+
+      if (type === 'checkbox') {
+        el.focus();
+        if (el.checked !== truthy(value)) el.click();
+        return { el, kind: 'checkbox' };
+      }
+
+      if (type === 'select') {
+        const wanted = (Array.isArray(value) ? value : [value]).map(String);
+        const options = Array.from(el.options);
+        const matches = (o) => wanted.includes(o.value) || wanted.includes(o.textContent.trim());
+        if (!options.some(matches)) return { el, kind: 'select', error: 'No option matches value', options: options.map((o) => o.value).slice(0, 50) };
+        el.focus();
+        if (el.multiple) {
+          for (const o of options) o.selected = matches(o);
+        } else {
+          setNative(el, 'value', options.find(matches).value);
+        }
+        fire(el, 'input');
+        fire(el, 'change');
+        return { el, kind: 'select' };
+      }
+
+      if (tag === 'input' || tag === 'textarea') {
+        if (type === 'file') return { el, kind: 'file', error: 'File inputs cannot be filled with values; use upload_files' };
+        if (NOT_FILLABLE.includes(type)) return { el, kind: type, error: 'Element is not a fillable field' };
+        if (el.readOnly) return { el, kind: type, error: 'Element is read-only' };
+        const text = Array.isArray(value) ? value.join(',') : String(value);
+        el.focus();
+        setNative(el, 'value', text);
+        fire(el, 'input');
+        fire(el, 'change');
+        // Inputs such as date/number empty values they cannot parse; others legitimately normalize
+        // (email trims, color lowercases, text drops newlines), so a changed value alone is not a rejection.
+        if ((el.value === '' && text !== '') || (el.validity && el.validity.badInput)) return { el, kind: type, error: 'Value was rejected by the element (check the format for ' + type + ')' };
+        return { el, kind: type };
+      }
+
+      if (el.isContentEditable) {
+        const text = String(value);
+        el.focus();
+        const sel = window.getSelection();
+        sel.selectAllChildren(el);
+        // execCommand goes through the editing pipeline (beforeinput/input) that editors listen to.
+        if (!document.execCommand('insertText', false, text) || el.textContent !== text) {
+          el.textContent = text;
+          el.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertText', data: text }));
+        }
+        return { el, kind: 'contenteditable' };
+      }
+
+      return { el, kind: tag, error: 'Element is not a form field' };
+    };
+
+    const filled = entries.map(([selector, value]) => {
+      try {
+        return { selector, ...fill(selector, value) };
+      } catch (e) {
+        return { selector, error: String(e && e.message ? e.message : e) };
+      }
+    });
+    if (${blur ? 'true' : 'false'} && document.activeElement && document.activeElement !== document.body) {
+      document.activeElement.blur();
     }
-    return { removed: false, styleId: id };
+    // Let framework re-renders show their validation state before reading it.
+    await new Promise((r) => setTimeout(r, ${settleMs}));
+
+    return filled.map(({ selector, el, kind, error, options }) => {
+      const out = { selector, ok: !error, kind: kind || null };
+      if (error) out.error = error;
+      if (options) out.options = options;
+      if (!el || !el.isConnected) return out;
+      out.element = describe(el);
+      if (kind === 'checkbox' || kind === 'radio') out.checked = el.checked;
+      else if (kind === 'select') out.value = Array.from(el.selectedOptions).map((o) => o.value);
+      else if (kind === 'contenteditable') out.value = el.textContent.slice(0, 2000);
+      else if ('value' in el) out.value = String(el.value).slice(0, 2000);
+      out.valid = el.validity ? el.validity.valid : null;
+      out.validationMessage = el.validationMessage || '';
+      out.ariaInvalid = el.getAttribute('aria-invalid');
+      const ids = ((el.getAttribute('aria-errormessage') || '') + ' ' + (el.getAttribute('aria-describedby') || '')).trim();
+      if (out.ariaInvalid === 'true' && ids) {
+        out.errorText = ids.split(/\s+/).map((id) => document.getElementById(id)).filter(Boolean).map((n) => n.textContent.trim()).filter(Boolean).join(' ') || null;
+      }
+      return out;
+    });
   })()`;
 }
 
-function buildSetHtmlExpression(html) {
-  const htmlText = String(html || '');
+// Describe the topmost element at a viewport point, and whether it is (inside) the intended target.
+function buildHitTestExpression(x, y, selector, index) {
   return `(() => {
-    document.open();
-    document.write(${JSON.stringify(htmlText)});
-    document.close();
-    return true;
+    const describe = (node) => {
+      if (!node || !node.tagName) return null;
+      let s = node.tagName.toLowerCase();
+      if (node.id) s += '#' + node.id;
+      const cls = typeof node.className === 'string' ? node.className.trim().split(/\\s+/).filter(Boolean).slice(0, 3) : [];
+      if (cls.length) s += '.' + cls.join('.');
+      return s;
+    };
+    const hit = document.elementFromPoint(${x}, ${y});
+    const sel = ${JSON.stringify(selector ? String(selector) : '')};
+    const target = sel ? document.querySelectorAll(sel)[${index}] || null : null;
+    return {
+      hit: describe(hit),
+      obscured: target ? !(hit && (hit === target || target.contains(hit))) : null,
+    };
   })()`;
 }
 
-function buildAuditLayoutExpression(tolerancePx, maxElements) {
+function resolveKeyDefinition(rawKey) {
+  const key = KEY_ALIASES[rawKey] || rawKey;
+  if (KEY_DEFINITIONS[key]) return { key, ...KEY_DEFINITIONS[key] };
+  if ([...key].length !== 1) return null;
+  const upper = key.toUpperCase();
+  if (/^[A-Z]$/.test(upper)) return { key, code: `Key${upper}`, keyCode: upper.charCodeAt(0), text: key };
+  if (/^[0-9]$/.test(key)) return { key, code: `Digit${key}`, keyCode: key.charCodeAt(0), text: key };
+  return { key, code: '', keyCode: 0, text: key };
+}
+
+// "Shift+Tab" / "Control+a" -> { key: 'Tab', modifiers: ['Shift'] }; a lone "+" is the plus key.
+function parseKeyCombo(raw, extraModifiers) {
+  const text = String(raw || '');
+  const parts = text.length > 1 && text.includes('+') ? text.split('+') : [text];
+  let key = parts.pop();
+  if (key === '' && parts.length) {
+    parts.pop();
+    key = '+';
+  }
+  const modifiers = new Set();
+  for (const m of [...parts, ...(Array.isArray(extraModifiers) ? extraModifiers : [])]) {
+    const name = KEY_ALIASES[String(m)] || String(m);
+    if (!Object.prototype.hasOwnProperty.call(MODIFIER_BITS, name)) return { ok: false, error: `Unknown modifier: ${m}` };
+    modifiers.add(name);
+  }
+  return { ok: true, key, modifiers: Array.from(modifiers) };
+}
+
+function modifierMask(modifiers) {
+  let mask = 0;
+  for (const m of Array.isArray(modifiers) ? modifiers : []) {
+    const name = KEY_ALIASES[String(m)] || String(m);
+    mask |= MODIFIER_BITS[name] || 0;
+  }
+  return mask;
+}
+
+// "iPhone 15 Pro Max" / "iphone-15-pro-max" / "iphone15promax" all name the same preset.
+function deviceKey(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function normalizeDevicePreset(name, raw) {
+  const o = raw && typeof raw === 'object' ? raw : {};
+  const width = Math.floor(Number(o.width));
+  const height = Math.floor(Number(o.height));
+  if (!(width > 0) || !(height > 0)) return null;
+  const dpr = Number(o.deviceScaleFactor);
+  return {
+    name: String(name),
+    width,
+    height,
+    deviceScaleFactor: Number.isFinite(dpr) && dpr > 0 ? dpr : 1,
+    mobile: !!o.mobile,
+    hasTouch: typeof o.hasTouch === 'boolean' ? o.hasTouch : !!o.mobile,
+    userAgent: typeof o.userAgent === 'string' && o.userAgent.trim() ? o.userAgent : null,
+    platform: typeof o.platform === 'string' && o.platform.trim() ? o.platform : null,
+  };
+}
+
+let customDevicePresetsCache = null; // { mtimeMs, presets, error }
+
+/**
+ * Presets from OVERTY_DEVICES_FILE: either { "<name>": { width, height, ... } } or
+ * [{ name, width, height, ... }]. Re-read when the file changes so edits apply without a restart.
+ */
+function loadCustomDevicePresets() {
+  if (!OVERTY_DEVICES_FILE) return { presets: [], error: null };
+  let stat;
+  try {
+    stat = fs.statSync(OVERTY_DEVICES_FILE);
+  } catch (err) {
+    return { presets: [], error: `Cannot read OVERTY_DEVICES_FILE: ${err.message}` };
+  }
+  if (customDevicePresetsCache && customDevicePresetsCache.mtimeMs === stat.mtimeMs) return customDevicePresetsCache;
+
+  let presets = [];
+  let error = null;
+  try {
+    const parsed = JSON.parse(fs.readFileSync(OVERTY_DEVICES_FILE, 'utf8'));
+    const entries = Array.isArray(parsed) ? parsed.map((d) => [d && d.name, d]) : Object.entries(parsed || {});
+    for (const [name, raw] of entries) {
+      const preset = typeof name === 'string' && name.trim() ? normalizeDevicePreset(name.trim(), raw) : null;
+      if (!preset) {
+        error = `Invalid device preset in OVERTY_DEVICES_FILE: ${JSON.stringify(name)} (needs name, width, height)`;
+        continue;
+      }
+      presets.push(preset);
+    }
+  } catch (err) {
+    presets = [];
+    error = `Invalid JSON in OVERTY_DEVICES_FILE: ${err.message}`;
+  }
+  customDevicePresetsCache = { mtimeMs: stat.mtimeMs, presets, error };
+  return customDevicePresetsCache;
+}
+
+function listDevicePresets() {
+  const custom = loadCustomDevicePresets();
+  const byKey = new Map();
+  for (const [name, raw] of Object.entries(BUILTIN_DEVICE_PRESETS)) {
+    byKey.set(deviceKey(name), { ...normalizeDevicePreset(name, raw), source: 'builtin' });
+  }
+  for (const preset of custom.presets) byKey.set(deviceKey(preset.name), { ...preset, source: 'custom' });
+  return { devices: Array.from(byKey.values()), error: custom.error };
+}
+
+function findDevicePreset(name) {
+  const key = deviceKey(name);
+  const { devices, error } = listDevicePresets();
+  const device = key ? devices.find((d) => deviceKey(d.name) === key) || null : null;
+  return { device, error, names: devices.map((d) => d.name) };
+}
+
+// Device preset -> viewport spec for setViewport; landscape swaps the axes.
+function deviceViewport(device, landscape) {
+  return {
+    width: landscape ? device.height : device.width,
+    height: landscape ? device.width : device.height,
+    deviceScaleFactor: device.deviceScaleFactor,
+    mobile: device.mobile,
+    hasTouch: device.hasTouch,
+    userAgent: device.userAgent,
+    platform: device.platform,
+    landscape: !!landscape,
+  };
+}
+
+/**
+ * Validate media emulation options ({ media, colorScheme, reducedMotion, contrast, forcedColors }).
+ * Omitted keys are left out; null clears a key when merged into the session state.
+ */
+function normalizeMediaSpec(raw) {
+  const o = raw && typeof raw === 'object' && !Array.isArray(raw) ? raw : {};
+  const spec = {};
+  if (o.media !== undefined) {
+    if (o.media !== null && !MEDIA_TYPES.includes(o.media)) return { ok: false, error: `Invalid media: ${o.media} (expected ${MEDIA_TYPES.join(' | ')})` };
+    spec.media = o.media;
+  }
+  for (const [key, { values }] of Object.entries(MEDIA_FEATURE_OPTIONS)) {
+    if (o[key] === undefined) continue;
+    if (o[key] !== null && !values.includes(o[key])) return { ok: false, error: `Invalid ${key}: ${o[key]} (expected ${values.join(' | ')})` };
+    spec[key] = o[key];
+  }
+  return { ok: true, spec };
+}
+
+// Short label for a media spec, e.g. "dark-reduce" or "print".
+function mediaSpecLabel(spec) {
+  const parts = [spec.media && spec.media !== 'screen' ? spec.media : null];
+  for (const key of Object.keys(MEDIA_FEATURE_OPTIONS)) {
+    if (spec[key]) parts.push(key === 'contrast' ? `contrast-${spec[key]}` : key === 'forcedColors' ? `forced-${spec[key]}` : spec[key]);
+  }
+  return parts.filter(Boolean).join('-') || 'default';
+}
+
+/**
+ * Resolve emulate_conditions-style options against the session's current conditions.
+ * Returns the network profile to apply (undefined = unchanged, null = no throttling) and CPU rate.
+ */
+function resolveConditions(args, current) {
+  const o = args && typeof args === 'object' ? args : {};
+  const hasCustom = ['latencyMs', 'downloadKbps', 'uploadKbps', 'offline'].some((k) => o[k] !== undefined);
+  let network;
+  if (o.reset) network = null;
+  if (typeof o.network === 'string' && o.network.trim()) {
+    const key = deviceKey(o.network);
+    if (key === 'none') {
+      network = null;
+    } else {
+      const name = Object.keys(NETWORK_CONDITION_PRESETS).find((n) => deviceKey(n) === key);
+      if (!name) return { ok: false, error: `Unknown network profile: ${o.network} (expected ${[...Object.keys(NETWORK_CONDITION_PRESETS), 'none'].join(' | ')})` };
+      network = { profile: name, ...NETWORK_CONDITION_PRESETS[name] };
+    }
+  }
+  if (hasCustom) {
+    const base = network || (network === undefined && current.network) || { offline: false, latency: 0, downloadThroughput: -1, uploadThroughput: -1 };
+    const kbps = (v) => (Number(v) > 0 ? (Number(v) * 1000) / 8 : -1);
+    network = {
+      ...base,
+      profile: base.profile ? `${base.profile} (custom)` : 'custom',
+      ...(o.offline !== undefined ? { offline: !!o.offline } : {}),
+      ...(Number.isFinite(o.latencyMs) ? { latency: Math.max(0, Number(o.latencyMs)) } : {}),
+      ...(o.downloadKbps !== undefined ? { downloadThroughput: kbps(o.downloadKbps) } : {}),
+      ...(o.uploadKbps !== undefined ? { uploadThroughput: kbps(o.uploadKbps) } : {}),
+    };
+  }
+
+  let cpuThrottlingRate = o.reset ? 1 : undefined;
+  if (o.cpuThrottlingRate !== undefined) {
+    const rate = Number(o.cpuThrottlingRate);
+    if (!Number.isFinite(rate) || rate < 1) return { ok: false, error: 'cpuThrottlingRate must be a number >= 1 (1 = no throttling)' };
+    cpuThrottlingRate = rate;
+  }
+  return { ok: true, network, cpuThrottlingRate };
+}
+
+async function applyConditions(session, args) {
+  const resolved = resolveConditions(args, session.conditions);
+  if (!resolved.ok) return { ok: false, error: { code: 'OVERTY_INVALID_ARG', message: resolved.error } };
+  try {
+    if (resolved.network !== undefined) await session.setNetworkConditions(resolved.network);
+    if (resolved.cpuThrottlingRate !== undefined) await session.setCpuThrottlingRate(resolved.cpuThrottlingRate);
+  } catch (err) {
+    return { ok: false, error: { code: 'OVERTY_CDP_ERROR', message: 'Failed to apply conditions', details: String(err && err.message ? err.message : err) } };
+  }
+  return { ok: true, conditions: session.conditions };
+}
+
+function describeConditions(conditions) {
+  const n = conditions.network;
+  const parts = [];
+  if (n) {
+    const rate = (b) => (b < 0 ? 'unlimited' : `${Math.round((b * 8) / 1000)}kbps`);
+    parts.push(n.offline ? `network=${n.profile} (offline)` : `network=${n.profile} latency=${n.latency}ms down=${rate(n.downloadThroughput)} up=${rate(n.uploadThroughput)}`);
+  }
+  if (conditions.cpuThrottlingRate > 1) parts.push(`cpu=${conditions.cpuThrottlingRate}x slowdown`);
+  return parts.length ? parts.join(' ') : 'no throttling';
+}
+
+/**
+ * Validate emulate_locale options. Omitted keys are left out; null clears a key when merged.
+ * acceptLanguage defaults to the locale plus its base language ("de-DE" -> "de-DE,de;q=0.9").
+ */
+function normalizeLocaleSpec(raw) {
+  const o = raw && typeof raw === 'object' && !Array.isArray(raw) ? raw : {};
+  const spec = {};
+  if (o.locale !== undefined) {
+    if (o.locale !== null) {
+      try {
+        spec.locale = Intl.getCanonicalLocales(String(o.locale).replace(/_/g, '-'))[0];
+      } catch {
+        return { ok: false, error: `Invalid locale: ${o.locale}` };
+      }
+    } else {
+      spec.locale = null;
+    }
+  }
+  if (o.timezoneId !== undefined) {
+    if (o.timezoneId !== null) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: String(o.timezoneId) });
+      } catch {
+        return { ok: false, error: `Invalid timezoneId: ${o.timezoneId} (expected an IANA name like Europe/Berlin)` };
+      }
+    }
+    spec.timezoneId = o.timezoneId === null ? null : String(o.timezoneId);
+  }
+  if (o.geolocation !== undefined) {
+    if (o.geolocation === null) {
+      spec.geolocation = null;
+    } else {
+      const g = o.geolocation || {};
+      const latitude = Number(g.latitude);
+      const longitude = Number(g.longitude);
+      if (!(Math.abs(latitude) <= 90) || !(Math.abs(longitude) <= 180)) {
+        return { ok: false, error: 'geolocation needs latitude (-90..90) and longitude (-180..180)' };
+      }
+      spec.geolocation = { latitude, longitude, accuracy: Number(g.accuracy) > 0 ? Number(g.accuracy) : 50 };
+    }
+  }
+  if (o.acceptLanguage !== undefined) {
+    spec.acceptLanguage = o.acceptLanguage === null ? null : String(o.acceptLanguage);
+  } else if (spec.locale) {
+    const base = spec.locale.split('-')[0];
+    spec.acceptLanguage = base !== spec.locale ? `${spec.locale},${base};q=0.9` : spec.locale;
+  } else if (spec.locale === null) {
+    spec.acceptLanguage = null;
+  }
+  return { ok: true, spec };
+}
+
+// Header names whose values are redacted in capture_bundle metadata and tool results.
+const SENSITIVE_HEADER_PATTERN = /auth|cookie|token|secret|key|pass|session|signature|credential/i;
+const REDACTED = '[redacted]';
+
+const STORAGE_TYPES = ['cookies', 'localStorage', 'sessionStorage', 'indexedDB'];
+// sessionStorage key recording which load_storage_state seed a tab has already applied.
+const STORAGE_SEED_MARKER = '__overtyStorageSeed';
+
+// "/re/flags" form of a URL pattern; the flag set is restricted so paths like "/api/users" stay substrings.
+const URL_REGEX_PATTERN = /^\/(.+)\/([dgimsuvy]*)$/;
+
+/**
+ * Compile a list_requests URL filter: "/re/flags" is a regular expression, a pattern with "*" is a
+ * glob over the whole URL, anything else matches as a substring. Returns null for an invalid regex.
+ */
+function urlPatternToRegExp(pattern) {
+  const raw = String(pattern);
+  const re = raw.match(URL_REGEX_PATTERN);
+  if (re) {
+    try {
+      return new RegExp(re[1], re[2]);
+    } catch {
+      return null;
+    }
+  }
+  const escaped = raw.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  if (!raw.includes('*')) return new RegExp(escaped);
+  return new RegExp(`^${escaped.replace(/\*/g, '.*')}$`);
+}
+
+/** list_requests status filter: numbers match exactly, "4xx"-style strings match a class. */
+function matchesStatusFilter(status, filters) {
+  if (!Number.isFinite(status)) return false;
+  return filters.some((f) => {
+    if (typeof f === 'number') return status === f;
+    const m = String(f).match(/^([1-5])xx$/i);
+    return m ? Math.floor(status / 100) === Number(m[1]) : String(status) === String(f);
+  });
+}
+
+function headersToHarList(headers) {
+  const out = [];
+  if (!headers || typeof headers !== 'object') return out;
+  for (const [name, value] of Object.entries(headers)) {
+    // CDP joins repeated headers (e.g. Set-Cookie) with newlines.
+    for (const v of String(value).split('\n')) out.push({ name, value: v });
+  }
+  return out;
+}
+
+/** Wall-clock duration of a logged request in ms, or null while it is pending. */
+function requestDurationMs(entry) {
+  if (!Number.isFinite(entry.timestamp) || !Number.isFinite(entry.endTimestamp)) return null;
+  return Math.max(0, Math.round((entry.endTimestamp - entry.timestamp) * 1000));
+}
+
+/** Compact list_requests view of a request log entry. */
+function summarizeRequest(entry, includeHeaders) {
+  const out = {
+    seq: entry.seq,
+    requestId: entry.requestId,
+    method: entry.method,
+    url: entry.url,
+    type: entry.type,
+    state: entry.state,
+    status: entry.status,
+    statusText: entry.statusText,
+    mimeType: entry.mimeType,
+    durationMs: requestDurationMs(entry),
+    transferBytes: entry.encodedDataLength,
+    bodyBytes: entry.dataLength,
+    fromCache: entry.fromCache,
+    fromServiceWorker: entry.fromServiceWorker,
+    initiator: entry.initiator,
+    redirectedTo: entry.redirectedTo,
+    errorText: entry.errorText,
+    startedDateTime: entry.startedDateTime,
+  };
+  if (includeHeaders) {
+    out.requestHeaders = entry.requestHeaders;
+    out.responseHeaders = entry.responseHeaders;
+    out.postData = entry.postData;
+  }
+  return out;
+}
+
+/** HAR timings from CDP ResourceTiming (ms offsets from timing.requestTime); -1 marks "not applicable". */
+function harTimings(entry) {
+  const t = entry.timing;
+  const total = requestDurationMs(entry);
+  if (!t || !Number.isFinite(t.requestTime)) {
+    const wait = Number.isFinite(entry.responseTimestamp) ? Math.max(0, (entry.responseTimestamp - entry.timestamp) * 1000) : total || 0;
+    return { blocked: -1, dns: -1, connect: -1, send: 0, wait, receive: Math.max(0, (total || 0) - wait), ssl: -1 };
+  }
+  const span = (start, end) => (start >= 0 && end >= start ? end - start : -1);
+  const firstStart = [t.dnsStart, t.connectStart, t.sendStart].find((v) => v >= 0);
+  const blocked = Math.max(0, firstStart === undefined ? 0 : firstStart + (t.requestTime - entry.timestamp) * 1000);
+  const end = Number.isFinite(entry.endTimestamp) ? (entry.endTimestamp - t.requestTime) * 1000 : t.receiveHeadersEnd;
+  return {
+    blocked,
+    dns: span(t.dnsStart, t.dnsEnd),
+    connect: span(t.connectStart, t.connectEnd),
+    send: Math.max(0, t.sendEnd - t.sendStart),
+    wait: Math.max(0, t.receiveHeadersEnd - t.sendEnd),
+    receive: Math.max(0, end - t.receiveHeadersEnd),
+    ssl: span(t.sslStart, t.sslEnd),
+  };
+}
+
+/**
+ * Build a HAR 1.2 log from request log entries. `bodies` maps entry seq -> { text, base64Encoded }.
+ * Chrome-specific extras use the conventional "_" prefix (_resourceType, _initiator, _transferSize, _error).
+ */
+function buildHar(entries, opts) {
+  const o = opts || {};
+  const bodies = o.bodies || new Map();
+  const startedDateTime = entries.length ? entries[0].startedDateTime : new Date().toISOString();
+  const page = { startedDateTime, id: 'page_1', title: o.pageTitle || o.pageUrl || '', pageTimings: { onContentLoad: -1, onLoad: -1 } };
+
+  const harEntries = entries.map((e) => {
+    let queryString = [];
+    try {
+      queryString = Array.from(new URL(e.url).searchParams.entries()).map(([name, value]) => ({ name, value }));
+    } catch {
+      // data: and other non-hierarchical URLs have no query string
+    }
+    const requestHeaders = headersToHarList(e.requestHeaders);
+    const request = {
+      method: e.method,
+      url: e.url,
+      httpVersion: e.protocol || '',
+      cookies: [],
+      headers: requestHeaders,
+      queryString,
+      headersSize: -1,
+      bodySize: e.postData !== null ? Buffer.byteLength(e.postData) : 0,
+    };
+    if (e.postData !== null) {
+      const ct = requestHeaders.find((h) => h.name.toLowerCase() === 'content-type');
+      request.postData = { mimeType: ct ? ct.value : '', text: e.postData };
+    }
+
+    const body = bodies.get(e.seq);
+    const content = { size: Number.isFinite(e.dataLength) ? e.dataLength : 0, mimeType: e.mimeType || '' };
+    if (body && body.truncated) {
+      content.comment = `body omitted: ${body.bytes} bytes exceeds maxBodyBytes`;
+    } else if (body) {
+      content.text = body.text;
+      if (body.base64Encoded) content.encoding = 'base64';
+    }
+    const response = {
+      status: Number.isFinite(e.status) ? e.status : 0,
+      statusText: e.statusText || (e.errorText ? e.errorText : ''),
+      httpVersion: e.protocol || '',
+      cookies: [],
+      headers: headersToHarList(e.responseHeaders),
+      content,
+      redirectURL: e.redirectedTo || '',
+      headersSize: -1,
+      bodySize: Number.isFinite(e.encodedDataLength) ? e.encodedDataLength : -1,
+      _transferSize: Number.isFinite(e.encodedDataLength) ? e.encodedDataLength : null,
+    };
+
+    const timings = harTimings(e);
+    for (const k of Object.keys(timings)) timings[k] = Math.round(timings[k] * 1000) / 1000;
+    const time = ['blocked', 'dns', 'connect', 'send', 'wait', 'receive'].reduce((sum, k) => sum + Math.max(0, timings[k]), 0);
+    const out = {
+      pageref: page.id,
+      startedDateTime: e.startedDateTime,
+      time: Math.round(time * 1000) / 1000,
+      request,
+      response,
+      cache: {},
+      timings,
+      _resourceType: e.type,
+      _initiator: e.initiator,
+    };
+    if (e.remoteIPAddress) out.serverIPAddress = e.remoteIPAddress;
+    if (e.errorText) out._error = e.errorText;
+    return out;
+  });
+
+  return {
+    log: {
+      version: '1.2',
+      creator: { name: SERVER_INFO.name, version: SERVER_INFO.version },
+      pages: [page],
+      entries: harEntries,
+    },
+  };
+}
+
+/** Fetch.enable urlPattern covering a list_requests-style pattern; exact matching happens in routeMatches. */
+function fetchPatternFor(urlPattern) {
+  const raw = String(urlPattern);
+  if (URL_REGEX_PATTERN.test(raw)) return '*';
+  return raw.includes('*') ? raw : `*${raw}*`;
+}
+
+function routeMatches(route, request, resourceType) {
+  if (route.method && String(request.method || 'GET').toUpperCase() !== route.method) return false;
+  if (route.resourceTypes && !route.resourceTypes.includes(String(resourceType || '').toLowerCase())) return false;
+  return route.urlRe.test(String(request.url || ''));
+}
+
+/**
+ * Validate mock_route options into a route: the response body is resolved up front (inline JSON,
+ * text, or a fixture file under the input roots) so requests can be fulfilled without further I/O.
+ */
+function normalizeRouteSpec(args, id) {
+  const o = args || {};
+  const urlPattern = typeof o.urlPattern === 'string' ? o.urlPattern.trim() : '';
+  if (!urlPattern) return { ok: false, error: 'Missing required string argument: urlPattern' };
+  const urlRe = urlPatternToRegExp(urlPattern);
+  if (!urlRe) return { ok: false, error: `Invalid urlPattern: ${urlPattern}` };
+
+  const sources = ['json', 'body', 'filePath'].filter((k) => o[k] !== undefined);
+  if (sources.length > 1) return { ok: false, error: `Use only one of json, body, filePath (got ${sources.join(', ')})` };
+
+  let fail = null;
+  if (o.fail !== undefined && o.fail !== false) {
+    fail = o.fail === true ? 'Failed' : String(o.fail);
+    if (!FETCH_ERROR_REASONS.includes(fail)) return { ok: false, error: `Unknown fail reason: ${fail} (${FETCH_ERROR_REASONS.join(', ')})` };
+    if (sources.length) return { ok: false, error: 'fail cannot be combined with json, body or filePath' };
+  }
+
+  let body = Buffer.alloc(0);
+  let contentType = null;
+  let source = null;
+  if (o.json !== undefined) {
+    body = Buffer.from(JSON.stringify(o.json));
+    contentType = 'application/json; charset=utf-8';
+    source = 'json';
+  } else if (o.body !== undefined) {
+    body = Buffer.from(String(o.body));
+    contentType = 'text/plain; charset=utf-8';
+    source = 'body';
+  } else if (o.filePath !== undefined) {
+    const filePath = resolveSafeInputPath(o.filePath);
+    if (!filePath) {
+      return { ok: false, error: `Fixture not found under the input roots (${SAFE_INPUT_DIRS.join(path.delimiter)}): ${o.filePath}` };
+    }
+    if (fs.statSync(filePath).size > MAX_RESOURCE_READ_BYTES) return { ok: false, error: `Fixture too large: ${filePath}` };
+    body = fs.readFileSync(filePath);
+    contentType = mimeFromPath(filePath, 'application/octet-stream');
+    source = filePath;
+  }
+  if (typeof o.contentType === 'string' && o.contentType.trim()) contentType = o.contentType.trim();
+
+  const headers = [];
+  if (o.headers && typeof o.headers === 'object' && !Array.isArray(o.headers)) {
+    for (const [name, value] of Object.entries(o.headers)) headers.push({ name, value: String(value) });
+  }
+  if (contentType && !headers.some((h) => h.name.toLowerCase() === 'content-type')) headers.push({ name: 'Content-Type', value: contentType });
+
+  const status = Number.isFinite(o.status) ? Math.floor(o.status) : 200;
+  if (status < 100 || status > 599) return { ok: false, error: `Invalid status: ${o.status}` };
+
+  return {
+    ok: true,
+    route: {
+      id,
+      urlPattern,
+      urlRe,
+      method: typeof o.method === 'string' && o.method.trim() ? o.method.trim().toUpperCase() : null,
+      resourceTypes: Array.isArray(o.resourceTypes) && o.resourceTypes.length ? o.resourceTypes.map((t) => String(t).toLowerCase()) : null,
+      status,
+      headers,
+      body: body.toString('base64'),
+      bodyBytes: body.length,
+      source,
+      fail,
+      delayMs: Number.isFinite(o.delayMs) ? Math.max(0, Math.floor(o.delayMs)) : 0,
+      times: Number.isFinite(o.times) && o.times >= 1 ? Math.floor(o.times) : null,
+      hits: 0,
+      createdAt: new Date().toISOString(),
+    },
+  };
+}
+
+function describeRoute(route) {
+  return {
+    id: route.id,
+    urlPattern: route.urlPattern,
+    method: route.method,
+    resourceTypes: route.resourceTypes,
+    action: route.fail ? 'fail' : 'fulfill',
+    status: route.fail ? null : route.status,
+    fail: route.fail,
+    headers: route.headers,
+    source: route.source,
+    bodyBytes: route.bodyBytes,
+    delayMs: route.delayMs,
+    times: route.times,
+    hits: route.hits,
+    createdAt: route.createdAt,
+  };
+}
+
+function redactHeaders(headers, sensitive) {
+  const extra = new Set((sensitive || []).map((n) => String(n).toLowerCase()));
+  const out = {};
+  for (const [name, value] of Object.entries(headers || {})) {
+    out[name] = SENSITIVE_HEADER_PATTERN.test(name) || extra.has(name.toLowerCase()) ? REDACTED : value;
+  }
+  return out;
+}
+
+/** Network.Cookie -> storage state cookie (the shape Playwright's storageState uses). */
+function cookieToStateCookie(c) {
+  const out = {
+    name: c.name,
+    value: c.value,
+    domain: c.domain,
+    path: c.path,
+    expires: Number.isFinite(c.expires) ? c.expires : -1,
+    httpOnly: !!c.httpOnly,
+    secure: !!c.secure,
+  };
+  if (c.sameSite) out.sameSite = c.sameSite;
+  return out;
+}
+
+/** set_storage / storage state cookie -> Network.CookieParam; cookies without url or domain get defaultUrl. */
+function normalizeCookieParam(raw, defaultUrl) {
+  if (!raw || typeof raw !== 'object' || typeof raw.name !== 'string' || raw.value === undefined) {
+    return { ok: false, error: 'Each cookie needs a name and a value' };
+  }
+  const cookie = { name: raw.name, value: String(raw.value) };
+  if (typeof raw.url === 'string' && raw.url) cookie.url = raw.url;
+  if (typeof raw.domain === 'string' && raw.domain) cookie.domain = raw.domain;
+  if (!cookie.url && !cookie.domain) {
+    if (!defaultUrl || !/^https?:/i.test(defaultUrl)) return { ok: false, error: `Cookie ${raw.name} needs a url or domain (the current page has no http(s) URL)` };
+    cookie.url = defaultUrl;
+  }
+  cookie.path = typeof raw.path === 'string' && raw.path ? raw.path : '/';
+  if (Number.isFinite(raw.expires) && raw.expires > 0) cookie.expires = raw.expires;
+  if (raw.httpOnly !== undefined) cookie.httpOnly = !!raw.httpOnly;
+  if (raw.secure !== undefined) cookie.secure = !!raw.secure;
+  if (raw.sameSite) {
+    const sameSite = String(raw.sameSite);
+    if (!['Strict', 'Lax', 'None'].includes(sameSite)) return { ok: false, error: `Invalid sameSite for ${raw.name}: ${sameSite}` };
+    cookie.sameSite = sameSite;
+  }
+  return { ok: true, cookie };
+}
+
+/** Storage state files come from the input roots, or from overty's own output roots (save_storage_state). */
+function resolveStorageStatePath(rawPath) {
+  const input = resolveSafeInputPath(rawPath);
+  if (input) return input;
+  const output = resolveSafeOutputPath(rawPath);
+  try {
+    return output && fs.statSync(output).isFile() ? output : null;
+  } catch {
+    return null;
+  }
+}
+
+function buildSetCssExpression(styleId, css, mode) {
+  const id = styleId && String(styleId).trim() ? String(styleId).trim() : DEFAULT_STYLE_ID;
+  const cssText = String(css || '');
+  const action = mode === 'append' ? 'append' : 'replace';
+  return `(() => {
+    const id = ${JSON.stringify(id)};
+    const css = ${JSON.stringify(cssText)};
+    let el = document.getElementById(id);
+    if (!el) {
+      el = document.createElement('style');
+      el.id = id;
+      (document.head || document.documentElement).appendChild(el);
+    }
+    if (${JSON.stringify(action)} === 'append') {
+      el.textContent = (el.textContent || '') + '\\n' + css;
+    } else {
+      el.textContent = css;
+    }
+    return { styleId: id, length: (el.textContent || '').length };
+  })()`;
+}
+
+function buildRemoveStyleExpression(styleId) {
+  const id = styleId && String(styleId).trim() ? String(styleId).trim() : DEFAULT_STYLE_ID;
+  return `(() => {
+    const id = ${JSON.stringify(id)};
+    const el = document.getElementById(id);
+    if (el && el.parentNode) {
+      el.parentNode.removeChild(el);
+      return { removed: true, styleId: id };
+    }
+    return { removed: false, styleId: id };
+  })()`;
+}
+
+function buildReadStorageExpression() {
+  return `(() => {
+    const marker = ${JSON.stringify(STORAGE_SEED_MARKER)};
+    const read = (store) => {
+      const items = [];
+      for (let i = 0; i < store.length; i++) {
+        const name = store.key(i);
+        if (name !== marker) items.push({ name, value: store.getItem(name) });
+      }
+      return items;
+    };
+    const out = { origin: location.origin, href: location.href, localStorage: null, sessionStorage: null, errors: [] };
+    try { out.localStorage = read(window.localStorage); } catch (e) { out.errors.push('localStorage: ' + String(e && e.message || e)); }
+    try { out.sessionStorage = read(window.sessionStorage); } catch (e) { out.errors.push('sessionStorage: ' + String(e && e.message || e)); }
+    return out;
+  })()`;
+}
+
+/** Apply { name: value | null } maps (null removes a key); clear* empties a store first. */
+function buildWriteStorageExpression(spec) {
+  return `(() => {
+    const spec = ${JSON.stringify(spec)};
+    const out = { origin: location.origin, localStorage: 0, sessionStorage: 0, errors: [] };
+    const apply = (kind) => {
+      try {
+        const store = window[kind];
+        if (spec['clear' + kind[0].toUpperCase() + kind.slice(1)]) store.clear();
+        for (const [name, value] of Object.entries(spec[kind] || {})) {
+          if (value === null) store.removeItem(name);
+          else store.setItem(name, String(value));
+          out[kind] += 1;
+        }
+      } catch (e) {
+        out.errors.push(kind + ': ' + String(e && e.message || e));
+      }
+    };
+    apply('localStorage');
+    apply('sessionStorage');
+    return out;
+  })()`;
+}
+
+/**
+ * load_storage_state seed: on a document whose origin has saved storage, write it once per tab
+ * (the token in sessionStorage stops reloads from overwriting what the app changed since).
+ */
+function buildSeedStorageExpression(origins, token) {
+  return `(() => {
+    const origins = ${JSON.stringify(origins)};
+    const token = ${JSON.stringify(token)};
+    const marker = ${JSON.stringify(STORAGE_SEED_MARKER)};
+    const entry = origins.find((o) => o.origin === location.origin);
+    if (!entry) return { origin: location.origin, seeded: false };
+    try {
+      if (sessionStorage.getItem(marker) === token) return { origin: location.origin, seeded: false, alreadySeeded: true };
+      for (const item of entry.localStorage || []) localStorage.setItem(item.name, String(item.value));
+      for (const item of entry.sessionStorage || []) sessionStorage.setItem(item.name, String(item.value));
+      sessionStorage.setItem(marker, token);
+      return { origin: location.origin, seeded: true };
+    } catch (e) {
+      return { origin: location.origin, seeded: false, error: String(e && e.message || e) };
+    }
+  })()`;
+}
+
+function buildSetHtmlExpression(html) {
+  const htmlText = String(html || '');
+  return `(() => {
+    document.open();
+    document.write(${JSON.stringify(htmlText)});
+    document.close();
+    return true;
+  })()`;
+}
+
+function buildAuditLayoutExpression(tolerancePx, maxElements) {
   const tol = Number.isFinite(tolerancePx) ? Math.max(0, Math.floor(tolerancePx)) : 1;
   const max = Number.isFinite(maxElements) ? Math.max(1, Math.floor(maxElements)) : 30;
   return `(() => {
@@ -1018,16 +2661,359 @@ function buildVisualDiffExpression(opts) {
           })()`;
 }
 
-function injectStyleIntoHtml(html, css, styleId) {
-  const doc = String(html || '');
-  const cssText = String(css || '');
-  const id = styleId && String(styleId).trim() ? String(styleId).trim() : DEFAULT_STYLE_ID;
-  const styleTag = `<style id="${id}">\n${cssText}\n</style>\n`;
+// Scroll-and-stitch: the scroll container is tagged so every step addresses the same element.
+const STITCH_SCROLLER_ATTR = 'data-overty-stitch-scroller';
+const STITCH_HIDDEN_ATTR = 'data-overty-stitch-hidden';
 
-  if (/<\/head>/i.test(doc)) {
-    return doc.replace(/<\/head>/i, styleTag + '</head>');
-  }
-  if (/<head[^>]*>/i.test(doc)) {
+function buildStitchMeasureExpression(scrollSelector) {
+  const sel = scrollSelector ? String(scrollSelector) : '';
+  return `(() => {
+            const attr = ${JSON.stringify(STITCH_SCROLLER_ATTR)};
+            const sel = ${JSON.stringify(sel)};
+            const doc = document.scrollingElement || document.documentElement;
+            const scrollable = (el) => el.scrollHeight > el.clientHeight + 1;
+            let el = null;
+            if (sel) {
+              el = document.querySelector(sel);
+              if (!el) return { found: false };
+            } else if (scrollable(doc)) {
+              el = doc;
+            } else {
+              // App shells often keep the body fixed-height and scroll an inner container: pick the largest one.
+              let bestArea = 0;
+              for (const cand of document.querySelectorAll('body *')) {
+                if (!scrollable(cand)) continue;
+                const oy = getComputedStyle(cand).overflowY;
+                if (oy !== 'auto' && oy !== 'scroll' && oy !== 'overlay') continue;
+                const r = cand.getBoundingClientRect();
+                const area = Math.max(0, Math.min(r.right, innerWidth) - Math.max(r.left, 0)) * Math.max(0, Math.min(r.bottom, innerHeight) - Math.max(r.top, 0));
+                if (area > bestArea) {
+                  bestArea = area;
+                  el = cand;
+                }
+              }
+              if (!el) el = doc;
+            }
+            for (const old of document.querySelectorAll('[' + attr + ']')) old.removeAttribute(attr);
+            el.setAttribute(attr, '');
+            const isDocument = el === doc || el === document.body;
+            const describe = () => {
+              if (isDocument) return 'document';
+              if (el.id) return '#' + el.id;
+              const cls = typeof el.className === 'string' ? el.className.trim().split(/\\s+/).filter(Boolean).slice(0, 2) : [];
+              return el.tagName.toLowerCase() + cls.map((c) => '.' + c).join('');
+            };
+            return {
+              found: true,
+              isDocument,
+              scroller: describe(),
+              scrollTop: isDocument ? scrollY : el.scrollTop,
+              scrollHeight: el.scrollHeight,
+              clientHeight: isDocument ? doc.clientHeight : el.clientHeight,
+              devicePixelRatio: devicePixelRatio || 1,
+            };
+          })()`;
+}
+
+function buildStitchStepExpression(opts) {
+  const top = Math.max(0, Math.floor(Number(opts && opts.top) || 0));
+  const waitMs = Number.isFinite(opts && opts.waitMs) ? Math.max(0, Math.floor(opts.waitMs)) : 250;
+  const lazyTimeoutMs = Number.isFinite(opts && opts.lazyTimeoutMs) ? Math.max(0, Math.floor(opts.lazyTimeoutMs)) : 3_000;
+  const hideSticky = !!(opts && opts.hideSticky);
+  return `(async () => {
+            const attr = ${JSON.stringify(STITCH_SCROLLER_ATTR)};
+            const hiddenAttr = ${JSON.stringify(STITCH_HIDDEN_ATTR)};
+            const doc = document.scrollingElement || document.documentElement;
+            const tagged = document.querySelector('[' + attr + ']');
+            if (!tagged) throw new Error('Scroll container is gone (page navigated or re-rendered).');
+            const isDocument = tagged === doc || tagged === document.body;
+            const el = isDocument ? doc : tagged;
+            const frame = () => new Promise((r) => requestAnimationFrame(() => r()));
+            const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+            el.scrollTo({ top: ${top}, behavior: 'instant' });
+            await frame();
+            await frame();
+            if (${waitMs} > 0) await sleep(${waitMs});
+
+            const clipOf = () => {
+              if (isDocument) return { x: 0, y: 0, width: doc.clientWidth, height: doc.clientHeight };
+              const r = el.getBoundingClientRect();
+              const x = Math.max(0, r.left + el.clientLeft);
+              const y = Math.max(0, r.top + el.clientTop);
+              return {
+                x,
+                y,
+                width: Math.min(el.clientWidth, innerWidth - x),
+                height: Math.min(el.clientHeight, innerHeight - y),
+              };
+            };
+
+            // Lazy content: wait for images in view to finish loading (bounded).
+            const deadline = Date.now() + ${lazyTimeoutMs};
+            while (Date.now() < deadline) {
+              const c = clipOf();
+              const pending = Array.from(document.images).filter((img) => {
+                if (img.complete) return false;
+                const r = img.getBoundingClientRect();
+                return r.bottom > c.y && r.top < c.y + c.height && r.right > c.x && r.left < c.x + c.width;
+              });
+              if (!pending.length) break;
+              await sleep(50);
+            }
+
+            if (${hideSticky ? 'true' : 'false'}) {
+              for (const node of document.querySelectorAll('body *')) {
+                if (node.hasAttribute(hiddenAttr) || node.contains(el)) continue;
+                const pos = getComputedStyle(node).position;
+                if (pos !== 'fixed' && pos !== 'sticky') continue;
+                node.setAttribute(hiddenAttr, JSON.stringify([node.style.getPropertyValue('visibility'), node.style.getPropertyPriority('visibility')]));
+                node.style.setProperty('visibility', 'hidden', 'important');
+              }
+              await frame();
+            }
+
+            // stabilize masks are positioned in document coordinates; an inner container moved under them.
+            const stabilized = window[${JSON.stringify(STABILIZE_GLOBAL)}];
+            if (stabilized) {
+              stabilized.placeMasks();
+              await frame();
+            }
+
+            const c = clipOf();
+            return {
+              scrollTop: isDocument ? scrollY : el.scrollTop,
+              scrollHeight: el.scrollHeight,
+              clientHeight: c.height,
+              clip: { x: c.x + scrollX, y: c.y + scrollY, width: c.width, height: c.height },
+            };
+          })()`;
+}
+
+function buildStitchRestoreExpression(scrollTop) {
+  const top = Math.max(0, Math.floor(Number(scrollTop) || 0));
+  return `(() => {
+            const attr = ${JSON.stringify(STITCH_SCROLLER_ATTR)};
+            const hiddenAttr = ${JSON.stringify(STITCH_HIDDEN_ATTR)};
+            for (const node of document.querySelectorAll('[' + hiddenAttr + ']')) {
+              let prev = ['', ''];
+              try {
+                prev = JSON.parse(node.getAttribute(hiddenAttr));
+              } catch {}
+              if (prev[0]) node.style.setProperty('visibility', prev[0], prev[1]);
+              else node.style.removeProperty('visibility');
+              node.removeAttribute(hiddenAttr);
+            }
+            const tagged = document.querySelector('[' + attr + ']');
+            if (tagged) {
+              const doc = document.scrollingElement || document.documentElement;
+              const el = tagged === document.body ? doc : tagged;
+              el.scrollTo({ top: ${top}, behavior: 'instant' });
+              tagged.removeAttribute(attr);
+            }
+            return true;
+          })()`;
+}
+
+function buildStitchComposeExpression(opts) {
+  const tiles = Array.isArray(opts && opts.tiles) ? opts.tiles : [];
+  const height = Math.max(1, Math.floor(Number(opts && opts.height) || 1));
+  const mime = opts && opts.format === 'jpeg' ? 'image/jpeg' : opts && opts.format === 'webp' ? 'image/webp' : 'image/png';
+  const quality = Number.isFinite(opts && opts.quality) ? Math.max(0, Math.min(100, Number(opts.quality))) / 100 : null;
+  return `(async () => {
+            const tiles = ${JSON.stringify(tiles.map((t) => ({ src: t.dataUrl, y: t.y })))};
+            const cssHeight = ${height};
+            const loadImage = (src) =>
+              new Promise((resolve, reject) => {
+                const img = new Image();
+                img.onload = () => resolve(img);
+                img.onerror = () => reject(new Error('Could not load tile image.'));
+                img.src = src;
+              });
+            const images = await Promise.all(tiles.map((t) => loadImage(t.src)));
+            const first = images[0];
+            const width = first.naturalWidth || first.width;
+            const cssWidth = ${Number(opts && opts.cssWidth) || 0} || width;
+            const scale = width / cssWidth;
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = Math.round(cssHeight * scale);
+            const ctx = canvas.getContext('2d');
+            // Later tiles overwrite the overlap left by a clamped last scroll step.
+            images.forEach((img, i) => ctx.drawImage(img, 0, Math.round(tiles[i].y * scale)));
+            return {
+              width: canvas.width,
+              height: canvas.height,
+              dataUrl: canvas.toDataURL(${JSON.stringify(mime)}${quality !== null && mime !== 'image/png' ? `, ${quality}` : ''}),
+            };
+          })()`;
+}
+
+// Deterministic capture (stabilize option): state lives on a page global so release undoes exactly what apply did.
+const STABILIZE_GLOBAL = '__overtyStabilize';
+
+function normalizeStabilizeSpec(raw) {
+  if (raw === undefined || raw === null || raw === false) return { ok: true, spec: null };
+  const o = raw === true ? {} : raw;
+  if (!o || typeof o !== 'object' || Array.isArray(o)) return { ok: false, error: 'stabilize must be true or an options object' };
+
+  let freezeTime = null;
+  if (o.freezeTime === true) freezeTime = Date.now();
+  else if (typeof o.freezeTime === 'number' || typeof o.freezeTime === 'string') {
+    freezeTime = typeof o.freezeTime === 'number' ? o.freezeTime : Date.parse(o.freezeTime);
+    if (!Number.isFinite(freezeTime)) return { ok: false, error: `Invalid freezeTime: ${o.freezeTime} (expected true, epoch ms or an ISO date)` };
+  } else if (o.freezeTime !== undefined && o.freezeTime !== false && o.freezeTime !== null) {
+    return { ok: false, error: 'freezeTime must be true, epoch ms or an ISO date' };
+  }
+  // Chrome cannot switch a page from virtual time back to real time, so the caller has to opt in.
+  if (freezeTime !== null && o.allowVirtualTime !== true) {
+    return {
+      ok: false,
+      error:
+        'freezeTime leaves the tab on virtual time for good (Chrome cannot switch back; timers then fast-forward while the page is idle). Pass allowVirtualTime: true to accept, ideally in a dedicated tab (open_page with its own session).',
+    };
+  }
+
+  const masks = [];
+  if (o.masks !== undefined) {
+    if (!Array.isArray(o.masks)) return { ok: false, error: 'masks must be an array of CSS selectors' };
+    for (const m of o.masks) {
+      if (typeof m !== 'string' || !m.trim()) return { ok: false, error: 'masks must be an array of non-empty CSS selectors' };
+      masks.push(m.trim());
+    }
+  }
+  const maskColor = typeof o.maskColor === 'string' && o.maskColor.trim() ? o.maskColor.trim() : DEFAULT_MASK_COLOR;
+
+  return {
+    ok: true,
+    spec: {
+      animations: o.animations !== false,
+      caret: o.caret !== false,
+      scrollbars: o.scrollbars !== false,
+      freezeTime,
+      masks,
+      maskColor,
+    },
+  };
+}
+
+function buildStabilizeApplyExpression(spec) {
+  const css = [];
+  if (spec.animations) css.push('*, *::before, *::after { transition: none !important; }');
+  if (spec.caret) css.push('* { caret-color: transparent !important; }');
+  if (spec.scrollbars) css.push('* { scrollbar-width: none !important; }', '*::-webkit-scrollbar { display: none !important; }');
+  return `(async () => {
+            const key = ${JSON.stringify(STABILIZE_GLOBAL)};
+            if (window[key]) window[key].release();
+            const animations = ${spec.animations ? 'true' : 'false'};
+            const masks = ${JSON.stringify(spec.masks)};
+            const maskColor = ${JSON.stringify(spec.maskColor)};
+            const frame = () => new Promise((r) => requestAnimationFrame(() => r()));
+
+            const style = document.createElement('style');
+            style.id = 'overty-stabilize';
+            style.textContent = ${JSON.stringify(css.join('\n'))};
+            (document.head || document.documentElement).appendChild(style);
+
+            // Finite animations are paused at their end state, infinite ones at their start; release seeks back and resumes.
+            const pausedAnimations = [];
+            const pausedVideos = [];
+            if (animations) {
+              for (const a of document.getAnimations ? document.getAnimations() : []) {
+                if (a.playState !== 'running' && a.playState !== 'paused') continue;
+                try {
+                  const timing = a.effect && a.effect.getComputedTiming ? a.effect.getComputedTiming() : {};
+                  pausedAnimations.push({ animation: a, currentTime: a.currentTime, running: a.playState === 'running' });
+                  a.pause();
+                  a.currentTime = Number.isFinite(timing.endTime) ? timing.endTime : 0;
+                } catch {}
+              }
+              for (const v of document.querySelectorAll('video')) {
+                pausedVideos.push({ video: v, currentTime: v.currentTime, playing: !v.paused });
+                v.pause();
+                if (v.readyState > 0 && v.currentTime !== 0) {
+                  await new Promise((r) => {
+                    const t = setTimeout(r, 1000);
+                    v.addEventListener('seeked', () => { clearTimeout(t); r(); }, { once: true });
+                    v.currentTime = 0;
+                  });
+                }
+              }
+            }
+
+            const layer = document.createElement('div');
+            layer.id = 'overty-stabilize-masks';
+            layer.style.cssText = 'position:absolute;left:0;top:0;width:0;height:0;overflow:visible;z-index:2147483647;pointer-events:none;';
+            document.documentElement.appendChild(layer);
+            const placeMasks = () => {
+              layer.replaceChildren();
+              return masks.map((selector) => {
+                let els = [];
+                try {
+                  els = Array.from(document.querySelectorAll(selector));
+                } catch {
+                  return { selector, count: 0, error: 'invalid selector' };
+                }
+                let count = 0;
+                for (const el of els) {
+                  const r = el.getBoundingClientRect();
+                  if (!r.width || !r.height) continue;
+                  const box = document.createElement('div');
+                  box.style.cssText = 'position:absolute;left:' + (r.left + scrollX) + 'px;top:' + (r.top + scrollY) + 'px;width:' + r.width + 'px;height:' + r.height + 'px;';
+                  box.style.setProperty('background', maskColor, 'important');
+                  layer.appendChild(box);
+                  count += 1;
+                }
+                return { selector, count };
+              });
+            };
+
+            window[key] = {
+              placeMasks,
+              release: () => {
+                style.remove();
+                layer.remove();
+                for (const { animation, currentTime, running } of pausedAnimations) {
+                  try {
+                    animation.currentTime = currentTime;
+                    if (running) animation.play();
+                  } catch {}
+                }
+                for (const { video, currentTime, playing } of pausedVideos) {
+                  try {
+                    video.currentTime = currentTime;
+                  } catch {}
+                  if (playing) video.play().catch(() => {});
+                }
+                delete window[key];
+              },
+            };
+            // Hidden scrollbars change layout, so measure masks after the style applies.
+            await frame();
+            const maskCounts = placeMasks();
+            await frame();
+            return { animations: pausedAnimations.length, videos: pausedVideos.length, masks: maskCounts };
+          })()`;
+}
+
+function buildStabilizeReleaseExpression() {
+  return `(() => {
+            const key = ${JSON.stringify(STABILIZE_GLOBAL)};
+            if (window[key]) window[key].release();
+            return true;
+          })()`;
+}
+
+function injectStyleIntoHtml(html, css, styleId) {
+  const doc = String(html || '');
+  const cssText = String(css || '');
+  const id = styleId && String(styleId).trim() ? String(styleId).trim() : DEFAULT_STYLE_ID;
+  const styleTag = `<style id="${id}">\n${cssText}\n</style>\n`;
+
+  if (/<\/head>/i.test(doc)) {
+    return doc.replace(/<\/head>/i, styleTag + '</head>');
+  }
+  if (/<head[^>]*>/i.test(doc)) {
     return doc.replace(/<head[^>]*>/i, (m) => `${m}\n${styleTag}`);
   }
   return styleTag + doc;
@@ -1057,11 +3043,185 @@ function toolError(code, message, details) {
   };
 }
 
-class JsonRpcLineServer {
+function requestKey(id) {
+  return `${typeof id}:${String(id)}`;
+}
+
+/**
+ * Per-request context handed to the handler: an AbortSignal fired by
+ * notifications/cancelled, and a progress reporter that emits notifications/progress
+ * when the caller supplied params._meta.progressToken (no-op otherwise).
+ */
+function createRequestContext(msg, channel, signal) {
+  const meta = msg && msg.params && msg.params._meta && typeof msg.params._meta === 'object' ? msg.params._meta : null;
+  const progressToken =
+    meta && (typeof meta.progressToken === 'string' || typeof meta.progressToken === 'number') ? meta.progressToken : null;
+  let lastProgress = -Infinity;
+
+  return {
+    requestId: msg && Object.prototype.hasOwnProperty.call(msg, 'id') ? msg.id : null,
+    signal,
+    reportProgress(progress, total, message) {
+      if (progressToken === null || signal.aborted) return;
+      const p = Number(progress);
+      // Progress must increase with each notification.
+      if (!Number.isFinite(p) || p <= lastProgress) return;
+      lastProgress = p;
+      channel.notify('notifications/progress', {
+        progressToken,
+        progress: p,
+        ...(Number.isFinite(Number(total)) ? { total: Number(total) } : {}),
+        ...(message ? { message: String(message) } : {}),
+      });
+    },
+  };
+}
+
+/**
+ * Serializes tasks that share a key while letting different keys run concurrently.
+ */
+class KeyedSerialQueue {
+  constructor() {
+    this._tails = new Map(); // key -> promise that settles when the last queued task finishes
+  }
+
+  run(key, task) {
+    const prev = this._tails.get(key) || Promise.resolve();
+    const result = prev.then(() => task());
+    const tail = result.catch(() => {});
+    this._tails.set(key, tail);
+    tail.then(() => {
+      if (this._tails.get(key) === tail) this._tails.delete(key);
+    });
+    return result;
+  }
+}
+
+// Shared across every transport/session: all clients drive the same CDP state.
+const toolCallLanes = new KeyedSerialQueue();
+
+// Options that make an otherwise read-only tool touch page state (scrolling, injected styles).
+const PAGE_MUTATING_ARGS = {
+  take_screenshot: ['stitch', 'stabilize'],
+};
+
+/**
+ * Protocol methods and read-only tools (readOnlyHint) run immediately; mutating tool calls are
+ * serialized per named session (one CDP target each) so navigation, viewport and CSS changes keep
+ * their order while pings and event polling stay responsive.
+ */
+function scheduleMessage(msg, task) {
+  if (OVERTY_SERIALIZE_REQUESTS) return toolCallLanes.run('serial', task);
+  if (!msg || msg.method !== 'tools/call') return task();
+  const name = msg.params && msg.params.name ? String(msg.params.name) : '';
+  const args = (msg.params && msg.params.arguments) || {};
+  const mutatingArgs = PAGE_MUTATING_ARGS[name] || [];
+  if (READ_ONLY_TOOLS.has(name) && !mutatingArgs.some((key) => args[key])) return task();
+  return toolCallLanes.run(`session:${normalizeSessionName(args.session) || DEFAULT_SESSION_NAME}`, task);
+}
+
+class JsonRpcEndpoint {
   constructor(handler) {
     this._handler = handler;
+    this._inflight = new Map(); // requestKey(id) -> AbortController (queued or running)
+    this._drainWaiters = []; // drain() resolvers, settled when _inflight empties
+  }
+
+  // `channel` receives the response for this message (`send`) and any server-to-client
+  // notifications emitted while it is being handled (`notify`).
+  _dispatchMessage(msg, channel) {
+    // Cancellation must bypass the queue, otherwise it would wait behind the request it targets.
+    if (msg && msg.jsonrpc === '2.0' && msg.method === 'notifications/cancelled') {
+      this._cancelRequest(msg.params);
+      return Promise.resolve();
+    }
+
+    let controller = null;
+    if (msg && typeof msg.method === 'string' && Object.prototype.hasOwnProperty.call(msg, 'id')) {
+      controller = new AbortController();
+      this._inflight.set(requestKey(msg.id), controller);
+    }
+
+    return Promise.resolve()
+      .then(() => scheduleMessage(msg, () => this._handleMessage(msg, channel, controller)))
+      .catch((err) => {
+        log('message dispatch error', err);
+      })
+      .finally(() => {
+        if (controller && this._inflight.get(requestKey(msg.id)) === controller) {
+          this._inflight.delete(requestKey(msg.id));
+        }
+        if (!this._inflight.size) {
+          for (const resolve of this._drainWaiters.splice(0)) resolve();
+        }
+      });
+  }
+
+  // Resolves once every queued/running request has settled.
+  drain() {
+    if (!this._inflight.size) return Promise.resolve();
+    return new Promise((resolve) => this._drainWaiters.push(resolve));
+  }
+
+  _cancelRequest(params) {
+    const id = params ? params.requestId : undefined;
+    if (typeof id !== 'string' && typeof id !== 'number') return;
+    const controller = this._inflight.get(requestKey(id));
+    if (!controller) return;
+    debugLog('request cancelled', { id, reason: params.reason || null });
+    controller.abort(params.reason ? String(params.reason) : 'cancelled');
+  }
+
+  async _handleMessage(msg, channel, controller) {
+    const hasRequestId = Object.prototype.hasOwnProperty.call(msg || {}, 'id');
+    const requestId = hasRequestId ? msg.id : null;
+
+    if (!msg || msg.jsonrpc !== '2.0') {
+      channel.send(jsonRpcError(requestId, -32600, 'Invalid Request'));
+      return;
+    }
+
+    // We only handle requests + notifications from the client.
+    if (typeof msg.method !== 'string') {
+      if (hasRequestId) {
+        channel.send(jsonRpcError(requestId, -32600, 'Invalid Request'));
+      }
+      return;
+    }
+
+    const isRequest = hasRequestId;
+    if (!isRequest) {
+      // Notification; best-effort handle, no response.
+      try {
+        await this._handler(msg, createRequestContext(msg, channel, new AbortController().signal));
+      } catch (err) {
+        log('notification handler error', err);
+      }
+      return;
+    }
+
+    const signal = controller ? controller.signal : new AbortController().signal;
+    // Cancelled before it started (or while running): the client no longer expects a response.
+    if (signal.aborted) return;
+
+    try {
+      const result = await this._handler(msg, createRequestContext(msg, channel, signal));
+      if (signal.aborted) return;
+      channel.send({ jsonrpc: '2.0', id: msg.id, result });
+    } catch (err) {
+      if (signal.aborted) return;
+      // Protocol-level failure.
+      const code = err && err._mcpCode ? err._mcpCode : -32603;
+      const message = err && err.message ? err.message : String(err);
+      channel.send(jsonRpcError(msg.id, code, code === -32603 ? 'Internal error' : message, code === -32603 ? message : undefined));
+    }
+  }
+}
+
+class JsonRpcLineServer extends JsonRpcEndpoint {
+  constructor(handler) {
+    super(handler);
     this._buffer = '';
-    this._queue = Promise.resolve();
   }
 
   start() {
@@ -1075,6 +3235,10 @@ class JsonRpcLineServer {
     process.stdout.write(`${JSON.stringify(message)}\n`);
   }
 
+  notify(method, params) {
+    this.send({ jsonrpc: '2.0', method, ...(params !== undefined ? { params } : {}) });
+  }
+
   _onData(chunk) {
     this._buffer += chunk;
 
@@ -1096,71 +3260,399 @@ class JsonRpcLineServer {
         continue;
       }
 
-      this._enqueueMessage(msg);
+      this._dispatchMessage(msg, this);
     }
   }
+}
 
-  _enqueueMessage(msg) {
-    this._queue = this._queue
-      .then(() => this._handleMessage(msg))
-      .catch((err) => {
-        log('message queue error', err);
-      });
+function writeSseEvent(res, message) {
+  res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+}
+
+/**
+ * Response channel for a single HTTP POST carrying a JSON-RPC request.
+ * Replies with plain JSON unless a notification is emitted first, in which case the
+ * response is upgraded to an SSE stream (notifications, then the final response).
+ */
+class HttpResponseChannel {
+  constructor(res, acceptsSse, extraHeaders) {
+    this._res = res;
+    this._acceptsSse = acceptsSse;
+    this._headers = extraHeaders || {};
+    this._sse = false;
+    this._done = false;
   }
 
-  async _handleMessage(msg) {
-    const hasRequestId = Object.prototype.hasOwnProperty.call(msg || {}, 'id');
-    const requestId = hasRequestId ? msg.id : null;
+  notify(method, params) {
+    if (this._done || !this._acceptsSse) return;
+    if (!this._sse) {
+      this._sse = true;
+      this._res.writeHead(200, {
+        ...this._headers,
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+      });
+    }
+    writeSseEvent(this._res, { jsonrpc: '2.0', method, ...(params !== undefined ? { params } : {}) });
+  }
 
-    if (!msg || msg.jsonrpc !== '2.0') {
-      this.send(jsonRpcError(requestId, -32600, 'Invalid Request'));
+  send(message) {
+    if (this._done) return;
+    this._done = true;
+    if (this._sse) {
+      writeSseEvent(this._res, message);
+      this._res.end();
       return;
     }
+    const body = JSON.stringify(message);
+    this._res.writeHead(200, { ...this._headers, 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) });
+    this._res.end(body);
+  }
 
-    // We only handle requests + notifications from the client.
-    if (typeof msg.method !== 'string') {
-      if (hasRequestId) {
-        this.send(jsonRpcError(requestId, -32600, 'Invalid Request'));
+  get finished() {
+    return this._done;
+  }
+
+  // Ends a response that never got a message (cancelled request), so the socket is released.
+  finish() {
+    if (this._done) return;
+    this._done = true;
+    if (this._res.writableEnded) return;
+    if (!this._res.headersSent) this._res.writeHead(202, this._headers);
+    this._res.end();
+  }
+}
+
+class JsonRpcHttpSession extends JsonRpcEndpoint {
+  constructor(handler, id) {
+    super(handler);
+    this.id = id;
+    this.createdAt = Date.now();
+    this.lastActiveAt = this.createdAt;
+    this._streams = new Set(); // standalone GET SSE streams
+  }
+
+  // Open SSE streams and queued/running requests keep a session alive regardless of its TTL.
+  isIdleSince(cutoff) {
+    return this._streams.size === 0 && this._inflight.size === 0 && this.lastActiveAt < cutoff;
+  }
+
+  attachStream(res) {
+    this._streams.add(res);
+    const keepalive = setInterval(() => {
+      try {
+        res.write(': keepalive\n\n');
+      } catch {
+        // ignore; close handler below cleans up
       }
-      return;
-    }
+    }, HTTP_SSE_KEEPALIVE_MS);
+    res.on('close', () => {
+      clearInterval(keepalive);
+      this._streams.delete(res);
+      this.lastActiveAt = Date.now();
+    });
+  }
 
-    const isRequest = hasRequestId;
-    if (!isRequest) {
-      // Notification; best-effort handle, no response.
+  // Server-to-client messages that are not tied to a specific request.
+  notify(method, params) {
+    const message = { jsonrpc: '2.0', method, ...(params !== undefined ? { params } : {}) };
+    for (const res of this._streams) {
       try {
-        await this._handler(msg);
+        writeSseEvent(res, message);
       } catch (err) {
-        log('notification handler error', err);
+        debugLog('sse write failed', String(err && err.message ? err.message : err));
+      }
+    }
+  }
+
+  close() {
+    for (const res of this._streams) {
+      try {
+        res.end();
+      } catch {
+        // ignore
+      }
+    }
+    this._streams.clear();
+  }
+}
+
+/**
+ * MCP streamable HTTP transport: POST JSON-RPC messages to `path`, GET opens an SSE stream
+ * for server-to-client messages, DELETE ends the session. Sessions are keyed by the
+ * Mcp-Session-Id header assigned in the initialize response. All sessions share the
+ * process-wide CDP state, so several clients can drive the same browser connection.
+ */
+class JsonRpcHttpServer {
+  constructor(handler, opts) {
+    this._handler = handler;
+    this._host = opts.host;
+    this._port = opts.port;
+    this._path = opts.path;
+    this._allowRemote = !!opts.allowRemote;
+    this._sessions = new Map(); // sessionId -> JsonRpcHttpSession
+    this._sessionTtlMs = opts.sessionTtlMs > 0 ? opts.sessionTtlMs : 0;
+    this._maxSessions = opts.maxSessions > 0 ? opts.maxSessions : 0;
+    this._sweepTimer = null;
+    this._server = null;
+  }
+
+  get address() {
+    const addr = this._server ? this._server.address() : null;
+    if (!addr || typeof addr !== 'object') return null;
+    const host = addr.family === 'IPv6' ? `[${addr.address}]` : addr.address;
+    return `http://${host}:${addr.port}${this._path}`;
+  }
+
+  async start() {
+    if (!this._allowRemote && !isLoopbackHost(this._host)) {
+      throw new Error(`Refusing to bind HTTP transport to non-loopback host ${this._host} (set OVERTY_HTTP_ALLOW_REMOTE=1 to allow)`);
+    }
+    this._server = http.createServer((req, res) => {
+      this._onRequest(req, res).catch((err) => {
+        log('http request error', err);
+        if (!res.headersSent) this._sendHttpError(res, 500, jsonRpcError(null, -32603, 'Internal error'));
+        else res.end();
+      });
+    });
+    await new Promise((resolve, reject) => {
+      this._server.once('error', reject);
+      this._server.listen(this._port, this._host, () => {
+        this._server.off('error', reject);
+        resolve();
+      });
+    });
+    if (this._sessionTtlMs) {
+      this._sweepTimer = setInterval(() => this._expireIdleSessions(), Math.min(this._sessionTtlMs, 60_000));
+      this._sweepTimer.unref();
+    }
+  }
+
+  async close() {
+    if (this._sweepTimer) clearInterval(this._sweepTimer);
+    this._sweepTimer = null;
+    for (const session of this._sessions.values()) session.close();
+    this._sessions.clear();
+    if (!this._server) return;
+    const server = this._server;
+    this._server = null;
+    await new Promise((resolve) => server.close(() => resolve()));
+  }
+
+  _sendHttpError(res, status, body, headers) {
+    const text = body === undefined ? '' : JSON.stringify(body);
+    res.writeHead(status, { ...(headers || {}), ...(text ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(text) } : {}) });
+    res.end(text);
+  }
+
+  _isAllowedOrigin(origin) {
+    if (!origin || this._allowRemote) return true;
+    try {
+      return isLoopbackHost(new URL(origin).hostname);
+    } catch {
+      return false;
+    }
+  }
+
+  _readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let total = 0;
+      req.on('data', (chunk) => {
+        total += chunk.length;
+        if (total > MAX_HTTP_BODY_BYTES) {
+          reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+      req.on('error', reject);
+    });
+  }
+
+  _expireIdleSessions() {
+    if (!this._sessionTtlMs) return;
+    const cutoff = Date.now() - this._sessionTtlMs;
+    for (const session of this._sessions.values()) {
+      if (!session.isIdleSince(cutoff)) continue;
+      session.close();
+      this._sessions.delete(session.id);
+      debugLog('http session expired', session.id);
+    }
+  }
+
+  _lookupSession(req, res) {
+    const sessionId = String(req.headers['mcp-session-id'] || '').trim();
+    if (!sessionId) {
+      this._sendHttpError(res, 400, jsonRpcError(null, -32600, 'Missing Mcp-Session-Id header'));
+      return null;
+    }
+    const session = this._sessions.get(sessionId);
+    if (!session) {
+      this._sendHttpError(res, 404, jsonRpcError(null, -32001, 'Session not found'));
+      return null;
+    }
+    session.lastActiveAt = Date.now();
+    return session;
+  }
+
+  async _onRequest(req, res) {
+    const url = new URL(req.url || '/', 'http://localhost');
+    if (url.pathname !== this._path) {
+      this._sendHttpError(res, 404, jsonRpcError(null, -32601, `Not found: ${url.pathname}`));
+      return;
+    }
+
+    // DNS-rebinding guard: browsers always send Origin on cross-site requests.
+    if (!this._isAllowedOrigin(req.headers.origin)) {
+      this._sendHttpError(res, 403, jsonRpcError(null, -32600, `Origin not allowed: ${req.headers.origin}`));
+      return;
+    }
+
+    const accept = String(req.headers.accept || '');
+
+    if (req.method === 'GET') {
+      if (!accept.includes('text/event-stream')) {
+        this._sendHttpError(res, 405, undefined, { Allow: 'POST, DELETE' });
+        return;
       }
+      const session = this._lookupSession(req, res);
+      if (!session) return;
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'Mcp-Session-Id': session.id,
+      });
+      res.write(': stream open\n\n');
+      session.attachStream(res);
+      return;
+    }
+
+    if (req.method === 'DELETE') {
+      const session = this._lookupSession(req, res);
+      if (!session) return;
+      session.close();
+      this._sessions.delete(session.id);
+      debugLog('http session closed', session.id);
+      res.writeHead(204);
+      res.end();
       return;
     }
 
+    if (req.method !== 'POST') {
+      this._sendHttpError(res, 405, undefined, { Allow: 'GET, POST, DELETE' });
+      return;
+    }
+
+    let raw;
     try {
-      const result = await this._handler(msg);
-      this.send({ jsonrpc: '2.0', id: msg.id, result });
+      raw = await this._readBody(req);
     } catch (err) {
-      // Protocol-level failure.
-      const code = err && err._mcpCode ? err._mcpCode : -32603;
-      const message = err && err.message ? err.message : String(err);
-      this.send(jsonRpcError(msg.id, code, code === -32603 ? 'Internal error' : message, code === -32603 ? message : undefined));
+      this._sendHttpError(res, err && err.status ? err.status : 400, jsonRpcError(null, -32600, String(err && err.message ? err.message : err)));
+      return;
+    }
+
+    let msg;
+    try {
+      msg = JSON.parse(raw);
+    } catch (err) {
+      this._sendHttpError(res, 400, jsonRpcError(null, -32700, 'Parse error', String(err && err.message ? err.message : err)));
+      return;
     }
+    if (Array.isArray(msg)) {
+      this._sendHttpError(res, 400, jsonRpcError(null, -32600, 'JSON-RPC batches are not supported'));
+      return;
+    }
+
+    let session;
+    if (msg && msg.method === 'initialize' && !req.headers['mcp-session-id']) {
+      this._expireIdleSessions();
+      if (this._maxSessions && this._sessions.size >= this._maxSessions) {
+        this._sendHttpError(res, 503, jsonRpcError(msg.id === undefined ? null : msg.id, -32000, `Too many HTTP sessions (max ${this._maxSessions}); end one with DELETE`));
+        return;
+      }
+      session = new JsonRpcHttpSession(this._handler, crypto.randomUUID());
+      this._sessions.set(session.id, session);
+      debugLog('http session created', session.id);
+    } else {
+      session = this._lookupSession(req, res);
+      if (!session) return;
+    }
+
+    const isRequest = !!msg && typeof msg.method === 'string' && Object.prototype.hasOwnProperty.call(msg, 'id');
+    if (!isRequest) {
+      // Notifications and client responses are accepted without a body.
+      res.writeHead(202, { 'Mcp-Session-Id': session.id });
+      res.end();
+      if (msg && typeof msg.method === 'string') session._dispatchMessage(msg, session);
+      return;
+    }
+
+    const channel = new HttpResponseChannel(res, accept.includes('text/event-stream'), { 'Mcp-Session-Id': session.id });
+    // A client that drops the connection no longer wants the result.
+    res.on('close', () => {
+      if (!channel.finished) session._cancelRequest({ requestId: msg.id, reason: 'client disconnected' });
+    });
+    await session._dispatchMessage(msg, channel);
+    channel.finish();
+    session.lastActiveAt = Date.now();
   }
 }
 
 class CdpSession {
-  constructor() {
+  constructor(name) {
+    this.name = name || DEFAULT_SESSION_NAME;
     this._ws = null;
     this._pending = new Map();
     this._nextId = 1;
     this._selectedTarget = null;
     this._browserUrl = null;
+    this._allowRemote = false;
     this._events = [];
     this._eventSeq = 0;
     this._maxEvents = 500;
-    this._installedCss = new Map(); // styleId -> { identifier, mode, length }
+    this._installedCss = new Map(); // styleId -> { identifier, mode, length, css }
     this._networkEnabled = false;
     this._networkInFlight = new Map(); // requestId -> { url, type, tsStart }
+    // Request log for list_requests/export_har; redirects keep one entry per hop.
+    this._requests = [];
+    this._requestSeq = 0;
+    this._liveRequests = new Map(); // requestId -> latest entry
+    // mock_route rules (id -> route, see normalizeRouteSpec); replayed after reconnect like installed CSS.
+    this._routes = new Map();
+    this._routeSeq = 0;
+    this._fetchPatterns = null; // JSON of the patterns passed to Fetch.enable, or null while disabled
+    this._storageSeed = null; // { identifier, origins } of the load_storage_state new-document script
+    // Request overrides set by set_request_headers / set_http_auth / set_user_agent; replayed after reconnect.
+    this._extraHeaders = {};
+    this._sensitiveHeaders = [];
+    this._httpAuth = null; // { username, password, origins }
+    this._authAnswered = new Set(); // requestIds already given credentials (a second challenge means they were rejected)
+    this._customUserAgent = null; // { userAgent, platform }
+    // Browser-level mode: one browser WebSocket, the selected page on a flattened session.
+    this._browserLevel = false;
+    this._pageSessionId = null;
+    this._childTargets = new Map(); // sessionId -> { sessionId, targetId, type, title, url, openerId, parentSessionId }
+    // Auto-reconnect: how to find the target again, and the in-flight reconnect loop (if any).
+    this._connectSpec = null;
+    this._reconnectPolicy = null;
+    this._reconnectEpoch = 0;
+    this._reconnecting = null;
+    this._reloadOnReconnect = false;
+    // Gesture state: touch emulation flag and the last Input.dragIntercepted payload.
+    this._touchEmulation = false;
+    this._dragData = null;
+    // Emulation.setUserAgentOverride takes one value, so device UA and later overrides are merged.
+    this._userAgentOverrides = { device: null, platform: null, acceptLanguage: null };
+    this._device = null;
+    this._emulatedMedia = {}; // { media, colorScheme, reducedMotion, contrast, forcedColors }
+    this._conditions = { network: null, cpuThrottlingRate: 1 };
+    this._locale = {}; // { locale, timezoneId, geolocation, acceptLanguage }
+    this._visionDeficiency = 'none';
   }
 
   get isConnected() {
@@ -1175,15 +3667,49 @@ class CdpSession {
     return this._browserUrl;
   }
 
+  /** Whether the current connection was made with allowRemote (non-loopback hosts). */
+  get allowRemote() {
+    return this._allowRemote;
+  }
+
+  /** Promise for the in-flight reconnect loop, or null when none is running. */
+  get reconnecting() {
+    return this._reconnecting;
+  }
+
+  describe() {
+    return {
+      name: this.name,
+      connected: this.isConnected,
+      browserUrl: this._browserUrl,
+      selectedTarget: this._selectedTarget,
+      browserLevel: this._browserLevel,
+      childTargets: this._childTargets.size,
+      autoReconnect: this._reconnectPolicy ? { ...this._reconnectPolicy } : null,
+      reconnecting: !!this._reconnecting,
+      installedCss: this._installedCss.size,
+      bufferedEvents: this._events.length,
+      lastEventSeq: this._eventSeq,
+    };
+  }
+
   async disconnect() {
+    // An explicit disconnect (or a new connect) cancels any pending reconnect loop.
+    this._reconnectEpoch += 1;
+    this._connectSpec = null;
+    this._reloadOnReconnect = false;
     for (const [, p] of this._pending) {
       clearTimeout(p.timeout);
       p.reject(new Error('CDP disconnected'));
     }
     this._pending.clear();
     this._installedCss.clear();
+    this._routes.clear();
+    this._clearRequestOverrides();
     this._networkEnabled = false;
     this._networkInFlight.clear();
+    this._liveRequests.clear();
+    this._resetTargetState();
 
     if (this._ws) {
       try {
@@ -1222,7 +3748,49 @@ class CdpSession {
     debugLog('connect selecting target', { id: selected.id, type: selected.type, title: selected.title, url: selected.url });
 
     await this.disconnect();
-    await this._connectWebSocket(selected.webSocketDebuggerUrl);
+    const attached = await this._attach(browserUrl, selected, !!opts.browserLevel);
+    if (!attached.ok) return attached;
+
+    this._allowRemote = !!opts.allowRemote;
+    this._reconnectPolicy = normalizeReconnectPolicy(opts.autoReconnect);
+    this._connectSpec = {
+      browserUrl,
+      browserLevel: !!opts.browserLevel,
+      targetId: selected.id,
+      targetUrlSubstring: opts.targetUrlSubstring ? String(opts.targetUrlSubstring) : null,
+      targetTitleSubstring: opts.targetTitleSubstring ? String(opts.targetTitleSubstring) : null,
+    };
+
+    if (opts.navigateUrl) {
+      await this._send('Page.navigate', { url: String(opts.navigateUrl) });
+    }
+
+    return { ok: true, targets, selectedTarget: selected, browserUrl: this._browserUrl, browserLevel: this._browserLevel };
+  }
+
+  // Open the WebSocket for `selected` and enable the domains every tool relies on.
+  async _attach(browserUrl, selected, browserLevel) {
+    let browserWsUrl = null;
+    if (browserLevel) {
+      const version = await cdpHttpVersion({ browserUrl, allowRemote: true });
+      if (!version.ok) return version;
+      browserWsUrl = version.webSocketDebuggerUrl;
+    }
+
+    if (browserWsUrl) {
+      await this._connectWebSocket(browserWsUrl);
+      this._browserLevel = true;
+      const attached = await this._send('Target.attachToTarget', { targetId: selected.id, flatten: true }, { sessionId: null });
+      this._pageSessionId = attached && attached.sessionId ? String(attached.sessionId) : null;
+      if (!this._pageSessionId) {
+        this._dropSocket();
+        return { ok: false, error: { code: 'OVERTY_CDP_ERROR', message: `Target.attachToTarget returned no sessionId for ${selected.id}` } };
+      }
+      // Discovery lets us attach popups opened by the page (window.open), which page-level auto-attach misses.
+      await this._send('Target.setDiscoverTargets', { discover: true }, { sessionId: null });
+    } else {
+      await this._connectWebSocket(selected.webSocketDebuggerUrl);
+    }
     this._browserUrl = browserUrl.toString().replace(/\/$/, '');
     this._selectedTarget = selected;
 
@@ -1235,12 +3803,215 @@ class CdpSession {
     } catch {
       // Some targets may not support Log domain; ignore.
     }
+    try {
+      await this._send('Inspector.enable');
+    } catch {
+      // Only used for crash detection; ignore where unsupported.
+    }
+    // Network events feed the request log (list_requests/export_har) and idle detection.
+    const netRes = await this.enableNetwork();
+    if (!netRes.ok) debugLog('Network.enable failed', netRes.error);
 
-    if (opts.navigateUrl) {
-      await this._send('Page.navigate', { url: String(opts.navigateUrl) });
+    if (this._browserLevel) {
+      // OOPIFs and workers attach as flattened child sessions; they pause until runIfWaitingForDebugger.
+      await this._send('Target.setAutoAttach', { autoAttach: true, waitForDebuggerOnStart: true, flatten: true });
+    }
+
+    return { ok: true };
+  }
+
+  // Close the socket without cancelling auto-reconnect (unlike disconnect()).
+  _dropSocket() {
+    if (!this._ws) return;
+    try {
+      this._ws.close();
+    } catch {
+      // ignore
+    }
+  }
+
+  _scheduleReconnect(replay, reason) {
+    if (this._reconnecting || !this._connectSpec || !this._reconnectPolicy) return;
+    const epoch = this._reconnectEpoch;
+    const spec = this._connectSpec;
+    const policy = this._reconnectPolicy;
+
+    const loop = async () => {
+      let delayMs = policy.initialDelayMs;
+      let lastError = null;
+      for (let attempt = 1; attempt <= policy.maxAttempts; attempt += 1) {
+        await sleep(delayMs);
+        if (epoch !== this._reconnectEpoch) return;
+        try {
+          const res = await this._reattach(spec, replay);
+          if (epoch !== this._reconnectEpoch) return;
+          if (res.ok) {
+            this._pushEvent({
+              type: 'reconnect',
+              level: 'info',
+              text: `Reconnected to ${res.target.url || res.target.id} after ${attempt} attempt(s) (${reason})`,
+              reason,
+              attempt,
+              targetId: res.target.id,
+              previousTargetId: spec.targetId,
+              replayed: res.replayed,
+            });
+            spec.targetId = res.target.id;
+            return;
+          }
+          lastError = res.error;
+        } catch (err) {
+          lastError = { code: 'OVERTY_CDP_ERROR', message: String(err && err.message ? err.message : err) };
+        }
+        this._dropSocket();
+        this._resetTargetState();
+        delayMs = Math.min(policy.maxDelayMs, delayMs * 2);
+      }
+      if (epoch !== this._reconnectEpoch) return;
+      this._pushEvent({
+        type: 'reconnect',
+        level: 'error',
+        text: `Reconnect gave up after ${policy.maxAttempts} attempt(s) (${reason})`,
+        reason,
+        attempt: policy.maxAttempts,
+        previousTargetId: spec.targetId,
+        error: lastError,
+      });
+      this._connectSpec = null;
+    };
+
+    debugLog('scheduling reconnect', { session: this.name, reason });
+    this._reconnecting = loop().finally(() => {
+      this._reconnecting = null;
+    });
+  }
+
+  async _reattach(spec, replay) {
+    const targetsRes = await this._listTargets(spec.browserUrl);
+    if (!targetsRes.ok) return targetsRes;
+
+    const target = findReconnectTarget(targetsRes.targets, spec, replay.lastUrl);
+    if (!target) {
+      return { ok: false, error: { code: 'OVERTY_TARGET_NOT_FOUND', message: 'Previous target not found (yet)' } };
+    }
+
+    const attached = await this._attach(spec.browserUrl, target, spec.browserLevel);
+    if (!attached.ok) return attached;
+
+    if (replay.network) {
+      const netRes = await this.enableNetwork();
+      if (!netRes.ok) return netRes;
+    }
+
+    const reload = this._reloadOnReconnect;
+    this._reloadOnReconnect = false;
+
+    for (const [styleId, meta] of replay.installedCss) {
+      const res = await this.installCss({ styleId, css: meta.css, mode: meta.mode });
+      if (!res.ok) return res;
+    }
+
+    for (const route of replay.routes) this._routes.set(route.id, route);
+    const overridesRes = await this._restoreRequestOverrides(replay.requestOverrides);
+    if (!overridesRes.ok) return overridesRes;
+    if (replay.routes.length || this._httpAuth) {
+      const res = await this._updateFetchInterception();
+      if (!res.ok) return res;
+    }
+
+    if (reload) {
+      // A crashed renderer keeps its target but shows an error page until reloaded.
+      await this._send('Page.reload', { ignoreCache: false });
+    }
+
+    return {
+      ok: true,
+      target,
+      replayed: {
+        network: !!replay.network,
+        installedCss: replay.installedCss.map(([styleId]) => styleId),
+        routes: replay.routes.map((route) => route.id),
+        requestHeaders: Object.keys(replay.requestOverrides.headers),
+        httpAuth: !!replay.requestOverrides.httpAuth,
+        userAgent: !!replay.requestOverrides.userAgent,
+        reloaded: reload,
+      },
+    };
+  }
+
+  listChildTargets() {
+    return Array.from(this._childTargets.values()).map((c) => ({ ...c }));
+  }
+
+  _onTargetEvent(method, params, parentSessionId) {
+    if (!this._browserLevel || !params || typeof params !== 'object') return;
+
+    if (method === 'Target.attachedToTarget') {
+      const sessionId = typeof params.sessionId === 'string' ? params.sessionId : null;
+      const info = params.targetInfo && typeof params.targetInfo === 'object' ? params.targetInfo : {};
+      if (!sessionId || sessionId === this._pageSessionId) return;
+      this._childTargets.set(sessionId, {
+        sessionId,
+        targetId: info.targetId || null,
+        type: info.type || null,
+        title: info.title || null,
+        url: info.url || null,
+        openerId: info.openerId || null,
+        parentSessionId: parentSessionId || null,
+      });
+      this._initChildSession(sessionId, info.type, !!params.waitingForDebugger).catch((err) => {
+        debugLog('child session init failed', { sessionId, error: String(err && err.message ? err.message : err) });
+      });
+      return;
+    }
+
+    if (method === 'Target.detachedFromTarget') {
+      const sessionId = typeof params.sessionId === 'string' ? params.sessionId : null;
+      if (sessionId && sessionId === this._pageSessionId) {
+        // The selected page went away; mirror what a closed page WebSocket does.
+        this._dropSocket();
+        return;
+      }
+      if (sessionId) this._childTargets.delete(sessionId);
+      return;
     }
 
-    return { ok: true, targets, selectedTarget: selected, browserUrl: this._browserUrl };
+    if (method === 'Target.targetInfoChanged') {
+      const info = params.targetInfo && typeof params.targetInfo === 'object' ? params.targetInfo : null;
+      if (!info) return;
+      for (const child of this._childTargets.values()) {
+        if (child.targetId !== info.targetId) continue;
+        child.title = info.title || null;
+        child.url = info.url || null;
+      }
+      return;
+    }
+
+    if (method === 'Target.targetCreated') {
+      const info = params.targetInfo && typeof params.targetInfo === 'object' ? params.targetInfo : null;
+      if (!info || info.type !== 'page' || !info.openerId || info.attached) return;
+      const selectedId = this._selectedTarget ? String(this._selectedTarget.id) : null;
+      const isOurs = info.openerId === selectedId || Array.from(this._childTargets.values()).some((c) => c.targetId === info.openerId);
+      if (!isOurs) return;
+      this._send('Target.attachToTarget', { targetId: info.targetId, flatten: true }, { sessionId: null }).catch((err) => {
+        debugLog('popup attach failed', { targetId: info.targetId, error: String(err && err.message ? err.message : err) });
+      });
+    }
+  }
+
+  async _initChildSession(sessionId, type, waitingForDebugger) {
+    const opts = { sessionId, timeoutMs: 5_000 };
+    try {
+      await this._send('Runtime.enable', undefined, opts);
+      if (type === 'page' || type === 'iframe') {
+        await this._send('Log.enable', undefined, opts).catch(() => {});
+        await this._send('Target.setAutoAttach', { autoAttach: true, waitForDebuggerOnStart: true, flatten: true }, opts);
+      }
+    } finally {
+      if (waitingForDebugger) {
+        await this._send('Runtime.runIfWaitingForDebugger', undefined, opts).catch(() => {});
+      }
+    }
   }
 
   _pushEvent(evt) {
@@ -1261,6 +4032,9 @@ class CdpSession {
     if (types && types.length) {
       events = events.filter((e) => types.includes(e.type));
     }
+    if (opts.sessionId) {
+      events = events.filter((e) => e.sessionId === opts.sessionId);
+    }
     if (events.length > limit) {
       events = events.slice(events.length - limit);
     }
@@ -1289,9 +4063,14 @@ class CdpSession {
     return '[arg]';
   }
 
-  _onCdpEvent(method, params) {
+  _onCdpEvent(method, params, child) {
     try {
-      if (this._networkEnabled) {
+      // Events from flattened child sessions (iframes, workers, popups) are tagged with their origin.
+      const origin = child ? { sessionId: child.sessionId, targetId: child.targetId, targetType: child.type } : null;
+
+      if (this._networkEnabled && !child) {
+        if (method.startsWith('Network.')) this._recordRequestEvent(method, params || {});
+
         if (method === 'Network.requestWillBeSent') {
           const requestId = params && typeof params.requestId === 'string' ? params.requestId : null;
           if (!requestId) return;
@@ -1310,6 +4089,30 @@ class CdpSession {
         }
       }
 
+      if (method === 'Fetch.requestPaused' && !child) {
+        this._onRequestPaused(params || {});
+        return;
+      }
+
+      if (method === 'Fetch.authRequired' && !child) {
+        this._onAuthRequired(params || {});
+        return;
+      }
+
+      if (method === 'Input.dragIntercepted' && !child) {
+        this._dragData = params && params.data ? params.data : null;
+        return;
+      }
+
+      if (method === 'Inspector.targetCrashed' && !child) {
+        this._pushEvent({ type: 'crash', level: 'error', text: 'Target crashed' });
+        if (this._connectSpec && this._reconnectPolicy) {
+          this._reloadOnReconnect = true;
+          this._dropSocket();
+        }
+        return;
+      }
+
       if (method === 'Runtime.consoleAPICalled') {
         const type = params && params.type ? String(params.type) : 'log';
         const args = Array.isArray(params && params.args) ? params.args : [];
@@ -1317,6 +4120,7 @@ class CdpSession {
         const stack = params && params.stackTrace && Array.isArray(params.stackTrace.callFrames) ? params.stackTrace.callFrames : [];
         const top = stack[0] || null;
         this._pushEvent({
+          ...origin,
           type: 'console',
           level: type,
           text: text.slice(0, 4000),
@@ -1345,6 +4149,7 @@ class CdpSession {
         const lineNumber = details && Number.isFinite(details.lineNumber) ? details.lineNumber : null;
         const columnNumber = details && Number.isFinite(details.columnNumber) ? details.columnNumber : null;
         this._pushEvent({
+          ...origin,
           type: 'exception',
           level: 'error',
           text: String(description).slice(0, 4000),
@@ -1357,6 +4162,7 @@ class CdpSession {
         const entry = params && params.entry ? params.entry : null;
         if (!entry || typeof entry !== 'object') return;
         this._pushEvent({
+          ...origin,
           type: 'log',
           level: entry.level ? String(entry.level) : 'info',
           text: entry.text ? String(entry.text).slice(0, 4000) : '',
@@ -1444,6 +4250,8 @@ class CdpSession {
         ? undefined
         : Math.max(0, Math.min(100, Math.floor(Number(opts.quality))));
 
+    if (opts.stitch) return this.stitchedScreenshot({ ...opts, format, quality });
+
     const fullPage = !!opts.fullPage;
 
     let clip;
@@ -1489,6 +4297,334 @@ class CdpSession {
     return { ok: true, format, base64: res.data };
   }
 
+  // Scrolls the page (or an inner scroll container) one viewport at a time and composes the tiles
+  // on an in-page canvas. Unlike fullPage, this works for fixed-height app shells and lets lazy
+  // content load at each step.
+  async stitchedScreenshot(opts) {
+    const stitch = opts.stitch && typeof opts.stitch === 'object' ? opts.stitch : {};
+    const format = String(opts.format || 'png').toLowerCase();
+    const scrollSelector = typeof stitch.scrollSelector === 'string' && stitch.scrollSelector.trim() ? stitch.scrollSelector.trim() : null;
+    const stepDelayMs = Number.isFinite(stitch.stepDelayMs) ? Math.max(0, Math.floor(stitch.stepDelayMs)) : 250;
+    const lazyTimeoutMs = Number.isFinite(stitch.lazyTimeoutMs) ? Math.max(0, Math.floor(stitch.lazyTimeoutMs)) : 3_000;
+    const hideSticky = stitch.hideSticky !== false;
+    const maxTiles = Number.isFinite(stitch.maxTiles) ? Math.max(1, Math.min(MAX_STITCH_TILES, Math.floor(stitch.maxTiles))) : MAX_STITCH_TILES;
+    let maxHeight = Number.isFinite(stitch.maxHeight) ? Math.max(1, Math.floor(stitch.maxHeight)) : DEFAULT_STITCH_MAX_HEIGHT;
+    const signal = opts.signal || null;
+    const onProgress = typeof opts.onProgress === 'function' ? opts.onProgress : null;
+
+    const measureRes = await this.evaluate(buildStitchMeasureExpression(scrollSelector), { returnByValue: true, timeoutMs: 10_000 });
+    if (!measureRes.ok) return measureRes;
+    const measured = getRemoteObjectValue(measureRes.result) || {};
+    if (!measured.found) {
+      return { ok: false, error: { code: 'OVERTY_NOT_FOUND', message: `No element matched scrollSelector: ${scrollSelector}` } };
+    }
+    const dpr = Number(measured.devicePixelRatio) || 1;
+    maxHeight = Math.min(maxHeight, Math.floor(MAX_CANVAS_DIMENSION / dpr));
+
+    const tiles = [];
+    let cssWidth = 0;
+    let contentHeight = 0;
+    let result = null;
+    try {
+      let top = 0;
+      while (true) {
+        if (signal && signal.aborted) {
+          result = { ok: false, error: { code: 'OVERTY_CANCELLED', message: 'Stitched screenshot cancelled', details: { tiles: tiles.length } } };
+          break;
+        }
+        const stepRes = await this.evaluate(buildStitchStepExpression({ top, waitMs: stepDelayMs, lazyTimeoutMs, hideSticky: hideSticky && tiles.length > 0 }), {
+          returnByValue: true,
+          awaitPromise: true,
+          timeoutMs: stepDelayMs + lazyTimeoutMs + 10_000,
+        });
+        if (!stepRes.ok) {
+          result = stepRes;
+          break;
+        }
+        const step = getRemoteObjectValue(stepRes.result) || {};
+        const y = Math.max(0, Math.round(Number(step.scrollTop) || 0));
+        // The container stopped scrolling (end of content): the previous tile already covers it.
+        if (tiles.length && y <= tiles[tiles.length - 1].y) break;
+        if (!step.clip || !(step.clip.width > 0) || !(step.clip.height > 0)) {
+          result = { ok: false, error: { code: 'OVERTY_CDP_ERROR', message: 'Scroll container has no visible area to capture' } };
+          break;
+        }
+
+        const shot = await this.screenshotClip({ ...step.clip, format: 'png', captureBeyondViewport: false });
+        if (!shot.ok) {
+          result = shot;
+          break;
+        }
+        cssWidth = step.clip.width;
+        tiles.push({ y, height: step.clip.height, dataUrl: `data:image/png;base64,${shot.base64}` });
+        contentHeight = Math.max(contentHeight, Number(step.scrollHeight) || 0, y + step.clip.height);
+        const expected = Math.min(maxTiles, Math.ceil(Math.min(contentHeight, maxHeight) / step.clip.height));
+        if (onProgress) onProgress(tiles.length, Math.max(expected, tiles.length), `tile ${tiles.length}`);
+
+        if (y + step.clip.height >= Math.min(contentHeight, maxHeight) || tiles.length >= maxTiles) break;
+        top = y + Math.max(1, Math.floor(step.clip.height));
+      }
+    } finally {
+      await this.evaluate(buildStitchRestoreExpression(measured.scrollTop), { returnByValue: true, timeoutMs: 10_000 });
+    }
+    if (result) return result;
+
+    const height = Math.min(maxHeight, Math.ceil(Math.max(...tiles.map((t) => t.y + t.height))));
+    const composeRes = await this.evaluate(buildStitchComposeExpression({ tiles, height, cssWidth, format, quality: opts.quality }), {
+      returnByValue: true,
+      awaitPromise: true,
+      timeoutMs: 60_000,
+    });
+    if (!composeRes.ok) return composeRes;
+    const composed = getRemoteObjectValue(composeRes.result) || {};
+    const m = String(composed.dataUrl || '').match(/^data:image\/([a-z]+);base64,([A-Za-z0-9+/=]+)$/);
+    if (!m) return { ok: false, error: { code: 'OVERTY_CDP_ERROR', message: 'Could not compose stitched screenshot' } };
+
+    return {
+      ok: true,
+      // Canvas falls back to PNG when the browser cannot encode the requested format.
+      format: m[1],
+      base64: m[2],
+      stitch: {
+        scroller: measured.scroller,
+        tiles: tiles.length,
+        width: composed.width,
+        height: composed.height,
+        contentHeight,
+        truncated: contentHeight > height + 1,
+      },
+    };
+  }
+
+  /**
+   * Run a capture with the page made deterministic (spec from normalizeStabilizeSpec): animations
+   * and videos paused, transitions/caret/scrollbars off, masks painted over selectors and optionally
+   * virtual time paused. Everything except virtual time is undone afterwards, including animation
+   * and video positions; a frozen tab is left on advancing virtual time.
+   */
+  async withStabilized(spec, capture) {
+    if (!spec) return capture();
+
+    let playbackRate = null;
+    if (spec.animations) {
+      try {
+        await this._send('Animation.enable');
+        const current = await this._send('Animation.getPlaybackRate').catch(() => null);
+        playbackRate = current && typeof current.playbackRate === 'number' ? current.playbackRate : 1;
+        await this._send('Animation.setPlaybackRate', { playbackRate: 0 });
+      } catch (err) {
+        debugLog('Animation.setPlaybackRate failed', { error: String(err && err.message ? err.message : err) });
+      }
+    }
+
+    let res;
+    let frozen = false;
+    try {
+      const applyRes = await this.evaluate(buildStabilizeApplyExpression(spec), { returnByValue: true, awaitPromise: true, timeoutMs: 15_000 });
+      if (!applyRes.ok) return applyRes;
+      if (spec.freezeTime !== null) {
+        try {
+          await this._send('Emulation.setVirtualTimePolicy', { policy: 'pause', initialVirtualTime: spec.freezeTime / 1000 });
+          frozen = true;
+        } catch (err) {
+          return { ok: false, error: { code: 'OVERTY_CDP_ERROR', message: 'Emulation.setVirtualTimePolicy failed', details: String(err && err.message ? err.message : err) } };
+        }
+      }
+      const info = {
+        ...(getRemoteObjectValue(applyRes.result) || {}),
+        freezeTime: spec.freezeTime !== null ? new Date(spec.freezeTime).toISOString() : null,
+      };
+
+      res = await capture();
+      if (res && res.ok) res = { ...res, stabilize: info };
+    } finally {
+      // Virtual time cannot be switched back to real time for this page; let it run again.
+      if (frozen) await this._send('Emulation.setVirtualTimePolicy', { policy: 'advance' }).catch(() => {});
+      await this.evaluate(buildStabilizeReleaseExpression(), { returnByValue: true, timeoutMs: 10_000 });
+      if (spec.animations) {
+        if (playbackRate !== null) await this._send('Animation.setPlaybackRate', { playbackRate }).catch(() => {});
+        await this._send('Animation.disable').catch(() => {});
+      }
+    }
+    return res;
+  }
+
+  async mouseMove(x, y, modifiers = 0) {
+    await this._send('Input.dispatchMouseEvent', { type: 'mouseMoved', x, y, modifiers, button: 'none' });
+  }
+
+  async mouseClick(opts) {
+    const { x, y } = opts;
+    const button = opts.button || 'left';
+    const clickCount = opts.clickCount || 1;
+    const modifiers = opts.modifiers || 0;
+    await this.mouseMove(x, y, modifiers);
+    // Each click of a double/triple click carries its running clickCount, like a real mouse.
+    for (let n = 1; n <= clickCount; n += 1) {
+      await this._send('Input.dispatchMouseEvent', { type: 'mousePressed', x, y, button, clickCount: n, modifiers });
+      if (opts.holdMs) await sleep(opts.holdMs);
+      await this._send('Input.dispatchMouseEvent', { type: 'mouseReleased', x, y, button, clickCount: n, modifiers });
+    }
+  }
+
+  async mouseEvent(type, x, y, extra = {}) {
+    await this._send('Input.dispatchMouseEvent', { type, x, y, ...extra });
+  }
+
+  async touchEvent(type, touchPoints, modifiers = 0) {
+    await this._send('Input.dispatchTouchEvent', { type, touchPoints, modifiers });
+  }
+
+  // Pages only see touch support (ontouchstart, pointer: coarse) with emulation on.
+  async ensureTouchEmulation() {
+    if (this._touchEmulation) return;
+    await this.setTouchEmulation(true);
+  }
+
+  async setTouchEmulation(enabled) {
+    await this._send('Emulation.setTouchEmulationEnabled', enabled ? { enabled: true, maxTouchPoints: 5 } : { enabled: false });
+    this._touchEmulation = !!enabled;
+  }
+
+  async _applyUserAgentOverride() {
+    const o = this._userAgentOverrides;
+    // set_user_agent wins over a device preset's UA; an empty userAgent keeps (or restores) the browser's own UA.
+    const custom = this._customUserAgent;
+    const userAgent = custom ? custom.userAgent : o.device || '';
+    const platform = custom ? custom.platform : o.device ? o.platform : null;
+    await this._send('Emulation.setUserAgentOverride', {
+      userAgent,
+      ...(userAgent && platform ? { platform } : {}),
+      ...(o.acceptLanguage ? { acceptLanguage: o.acceptLanguage } : {}),
+    });
+  }
+
+  async mouseWheel(opts) {
+    await this._send('Input.dispatchMouseEvent', {
+      type: 'mouseWheel',
+      x: opts.x,
+      y: opts.y,
+      deltaX: opts.deltaX || 0,
+      deltaY: opts.deltaY || 0,
+      modifiers: opts.modifiers || 0,
+    });
+  }
+
+  async pressKey(def, modifiers = []) {
+    const mask = modifierMask(modifiers);
+    // Held modifiers go down first and up last, so shortcuts see them.
+    for (const m of modifiers) {
+      const md = KEY_DEFINITIONS[m];
+      await this._send('Input.dispatchKeyEvent', { type: 'rawKeyDown', key: m, code: md.code, windowsVirtualKeyCode: md.keyCode, modifiers: mask });
+    }
+    // Shortcuts (Control/Meta/Alt) must not also insert their character.
+    const text = def.text && !(mask & (MODIFIER_BITS.Control | MODIFIER_BITS.Meta | MODIFIER_BITS.Alt)) ? def.text : undefined;
+    await this._send('Input.dispatchKeyEvent', {
+      type: text ? 'keyDown' : 'rawKeyDown',
+      key: def.key,
+      code: def.code,
+      windowsVirtualKeyCode: def.keyCode,
+      modifiers: mask,
+      ...(text ? { text, unmodifiedText: text } : {}),
+    });
+    await this._send('Input.dispatchKeyEvent', { type: 'keyUp', key: def.key, code: def.code, windowsVirtualKeyCode: def.keyCode, modifiers: mask });
+    for (const m of [...modifiers].reverse()) {
+      const md = KEY_DEFINITIONS[m];
+      await this._send('Input.dispatchKeyEvent', { type: 'keyUp', key: m, code: md.code, windowsVirtualKeyCode: md.keyCode, modifiers: 0 });
+    }
+  }
+
+  async insertText(text) {
+    await this._send('Input.insertText', { text: String(text) });
+  }
+
+  async elementBox(opts) {
+    const selector = String(opts.selector);
+    const index = Number.isFinite(opts.index) ? Math.max(0, Math.floor(opts.index)) : 0;
+    const evalRes = await this.evaluate(buildElementBoxExpression(selector, index, opts.scrollIntoView !== false), {
+      returnByValue: true,
+      awaitPromise: true,
+      timeoutMs: opts.timeoutMs,
+    });
+    if (!evalRes.ok) return evalRes;
+
+    const info = getRemoteObjectValue(evalRes.result) || null;
+    if (!info || !info.found) {
+      return {
+        ok: false,
+        error: {
+          code: 'OVERTY_NOT_FOUND',
+          message: `No element matched selector: ${selector}`,
+          details: { selector, index, count: info && Number.isFinite(info.count) ? info.count : null },
+        },
+      };
+    }
+    return { ok: true, ...info };
+  }
+
+  async elementClip(opts) {
+    const selector = String(opts.selector);
+    const index = Number.isFinite(opts.index) ? Math.max(0, Math.floor(opts.index)) : 0;
+    const evalRes = await this.evaluate(
+      buildElementClipExpression(selector, index, { frameSelectors: opts.frameSelectors, scrollIntoView: opts.scrollIntoView, paddingPx: opts.paddingPx }),
+      { returnByValue: true, timeoutMs: opts.timeoutMs },
+    );
+    if (!evalRes.ok) return evalRes;
+
+    const info = getRemoteObjectValue(evalRes.result) || null;
+    if (info && info.frameError) {
+      return { ok: false, error: { code: 'OVERTY_NOT_FOUND', message: info.frameError, details: { frameSelectors: opts.frameSelectors || [] } } };
+    }
+    if (!info || !info.found) {
+      return {
+        ok: false,
+        error: {
+          code: 'OVERTY_NOT_FOUND',
+          message: `No element matched selector: ${selector}`,
+          details: { selector, index, count: info && Number.isFinite(info.count) ? info.count : null },
+        },
+      };
+    }
+    return { ok: true, ...info };
+  }
+
+  async setFileInputFiles(opts) {
+    const selector = String(opts.selector);
+    const index = Number.isFinite(opts.index) ? Math.max(0, Math.floor(opts.index)) : 0;
+    try {
+      const doc = await this._send('DOM.getDocument', { depth: 0 });
+      const found = await this._send('DOM.querySelectorAll', { nodeId: doc.root.nodeId, selector });
+      const nodeIds = (found && found.nodeIds) || [];
+      if (nodeIds.length <= index) {
+        return {
+          ok: false,
+          error: { code: 'OVERTY_NOT_FOUND', message: `No element matched selector: ${selector}`, details: { selector, index, count: nodeIds.length } },
+        };
+      }
+      const nodeId = nodeIds[index];
+      const { node } = await this._send('DOM.describeNode', { nodeId });
+      const attrs = {};
+      const list = (node && node.attributes) || [];
+      for (let i = 0; i + 1 < list.length; i += 2) attrs[list[i].toLowerCase()] = list[i + 1];
+      if (!node || node.nodeName !== 'INPUT' || String(attrs.type || '').toLowerCase() !== 'file') {
+        return {
+          ok: false,
+          error: { code: 'OVERTY_INVALID_ARG', message: `Element is not an <input type=file>: ${selector}`, details: { nodeName: node ? node.nodeName : null, type: attrs.type || null } },
+        };
+      }
+      if (opts.files.length > 1 && !('multiple' in attrs)) {
+        return {
+          ok: false,
+          error: { code: 'OVERTY_INVALID_ARG', message: 'Input does not accept multiple files (no multiple attribute)', details: { selector, files: opts.files.length } },
+        };
+      }
+      await this._send('DOM.setFileInputFiles', { files: opts.files, nodeId });
+      return { ok: true, accept: attrs.accept || null, multiple: 'multiple' in attrs };
+    } catch (err) {
+      return { ok: false, error: { code: 'OVERTY_CDP_ERROR', message: 'Failed to set file input files', details: String(err && err.message ? err.message : err) } };
+    }
+  }
+
   async screenshotClip(opts) {
     const format = String(opts.format || 'png').toLowerCase();
     if (!['png', 'jpeg', 'webp'].includes(format)) {
@@ -1525,7 +4661,7 @@ class CdpSession {
         format,
         ...(quality !== undefined && format !== 'png' ? { quality } : {}),
         fromSurface: true,
-        captureBeyondViewport: true,
+        captureBeyondViewport: opts.captureBeyondViewport !== false,
         clip,
       });
     } catch (err) {
@@ -1551,18 +4687,177 @@ class CdpSession {
     const deviceScaleFactor = opts.deviceScaleFactor === undefined ? 1 : Number(opts.deviceScaleFactor);
     const mobile = !!opts.mobile;
 
-    await this._send('Emulation.setDeviceMetricsOverride', {
-      width,
-      height,
-      deviceScaleFactor: Number.isFinite(deviceScaleFactor) && deviceScaleFactor > 0 ? deviceScaleFactor : 1,
-      mobile,
-    });
+    await this._send('Emulation.setDeviceMetricsOverride', {
+      width,
+      height,
+      deviceScaleFactor: Number.isFinite(deviceScaleFactor) && deviceScaleFactor > 0 ? deviceScaleFactor : 1,
+      mobile,
+      ...(opts.landscape !== undefined
+        ? { screenOrientation: opts.landscape ? { type: 'landscapePrimary', angle: 90 } : { type: 'portraitPrimary', angle: 0 } }
+        : {}),
+    });
+
+    // hasTouch / userAgent change only when given or when leaving a device preset, so a plain
+    // size change keeps touch enabled by tap/swipe.
+    const leavingDevice = !!this._device && !opts.device;
+    const hasTouch = opts.hasTouch !== undefined ? opts.hasTouch : leavingDevice ? false : undefined;
+    const userAgentOpt = opts.userAgent !== undefined ? opts.userAgent : leavingDevice ? null : undefined;
+    if (hasTouch !== undefined && !!hasTouch !== this._touchEmulation) {
+      await this.setTouchEmulation(!!hasTouch);
+    }
+    if (userAgentOpt !== undefined) {
+      const userAgent = userAgentOpt || null;
+      const platform = userAgent && opts.platform ? opts.platform : null;
+      if (userAgent !== this._userAgentOverrides.device || platform !== this._userAgentOverrides.platform) {
+        this._userAgentOverrides = { ...this._userAgentOverrides, device: userAgent, platform };
+        await this._applyUserAgentOverride();
+      }
+    }
+    this._device = opts.device || null;
+
+    return {
+      ok: true,
+      width,
+      height,
+      deviceScaleFactor,
+      mobile,
+      hasTouch: this._touchEmulation,
+      userAgent: this._userAgentOverrides.device,
+      device: this._device,
+    };
+  }
+
+  get emulatedMedia() {
+    return { ...this._emulatedMedia };
+  }
+
+  /** Replace the emulated media state; an empty object restores the real media features. */
+  async setEmulatedMedia(spec) {
+    const state = {};
+    for (const [key, value] of Object.entries(spec || {})) {
+      if (value !== null && value !== undefined) state[key] = value;
+    }
+    const features = Object.entries(MEDIA_FEATURE_OPTIONS)
+      .filter(([key]) => state[key])
+      .map(([key, { feature }]) => ({ name: feature, value: state[key] }));
+    await this._send('Emulation.setEmulatedMedia', { media: state.media || '', features });
+    this._emulatedMedia = state;
+    return { ok: true, state };
+  }
+
+  get conditions() {
+    return { network: this._conditions.network ? { ...this._conditions.network } : null, cpuThrottlingRate: this._conditions.cpuThrottlingRate };
+  }
+
+  /** Apply a network profile ({ profile, offline, latency, downloadThroughput, uploadThroughput }); null disables throttling. */
+  async setNetworkConditions(profile) {
+    const enableRes = await this.enableNetwork();
+    if (!enableRes.ok) throw new Error(enableRes.error.message);
+    const p = profile || { offline: false, latency: 0, downloadThroughput: -1, uploadThroughput: -1 };
+    await this._send('Network.emulateNetworkConditions', {
+      offline: !!p.offline,
+      latency: p.latency,
+      downloadThroughput: p.downloadThroughput,
+      uploadThroughput: p.uploadThroughput,
+    });
+    this._conditions.network = profile ? { ...profile } : null;
+  }
+
+  async setCpuThrottlingRate(rate) {
+    await this._send('Emulation.setCPUThrottlingRate', { rate });
+    this._conditions.cpuThrottlingRate = rate;
+  }
+
+  get localeEmulation() {
+    return { ...this._locale, ...(this._locale.geolocation ? { geolocation: { ...this._locale.geolocation } } : {}) };
+  }
+
+  /**
+   * Replace the locale state ({ locale, timezoneId, geolocation, acceptLanguage }); missing keys
+   * clear their override. Only changed keys are sent. Returns warnings for best-effort steps.
+   */
+  async setLocaleEmulation(next) {
+    const prev = this._locale;
+    const state = {};
+    for (const [key, value] of Object.entries(next || {})) {
+      if (value !== null && value !== undefined) state[key] = value;
+    }
+    const warnings = [];
+
+    if (state.locale !== prev.locale) {
+      await this._send('Emulation.setLocaleOverride', state.locale ? { locale: state.locale } : {});
+    }
+    if (state.timezoneId !== prev.timezoneId) {
+      await this._send('Emulation.setTimezoneOverride', { timezoneId: state.timezoneId || '' });
+    }
+    if (JSON.stringify(state.geolocation || null) !== JSON.stringify(prev.geolocation || null)) {
+      if (state.geolocation) {
+        await this._send('Emulation.setGeolocationOverride', state.geolocation);
+        try {
+          await this._send('Browser.grantPermissions', { permissions: ['geolocation'] });
+        } catch (err) {
+          warnings.push(`Could not grant geolocation permission: ${String(err && err.message ? err.message : err)}`);
+        }
+      } else {
+        await this._send('Emulation.clearGeolocationOverride');
+      }
+    }
+    if ((state.acceptLanguage || null) !== this._userAgentOverrides.acceptLanguage) {
+      this._userAgentOverrides = { ...this._userAgentOverrides, acceptLanguage: state.acceptLanguage || null };
+      await this._applyUserAgentOverride();
+    }
+    this._locale = state;
+    return { ok: true, state: this.localeEmulation, warnings };
+  }
+
+  get visionDeficiency() {
+    return this._visionDeficiency;
+  }
+
+  async setVisionDeficiency(type) {
+    await this._send('Emulation.setEmulatedVisionDeficiency', { type });
+    this._visionDeficiency = type;
+  }
 
-    return { ok: true, width, height, deviceScaleFactor, mobile };
+  /** Reload the page and wait for the new document to finish loading. */
+  async reload(opts = {}) {
+    const timeoutMs = Number.isFinite(opts.timeoutMs) ? opts.timeoutMs : 30_000;
+    const marker = '__overtyReloadPending';
+    await this.evaluate(`window.${marker} = true`, { returnByValue: true, timeoutMs: 5_000 });
+    await this._send('Page.reload', { ignoreCache: false });
+    const start = Date.now();
+    while (Date.now() - start <= timeoutMs) {
+      if (opts.signal && opts.signal.aborted) return { ok: false, error: { code: 'OVERTY_CANCELLED', message: 'reload cancelled' } };
+      const res = await this.evaluate(`!window.${marker} && document.readyState === 'complete'`, { returnByValue: true, timeoutMs: 5_000 });
+      if (res.ok && getRemoteObjectValue(res.result) === true) return { ok: true };
+      await sleep(100);
+    }
+    return { ok: false, error: { code: 'OVERTY_TIMEOUT', message: 'Timed out waiting for reload', details: { timeoutMs } } };
+  }
+
+  // Active emulation, recorded in capture_bundle metadata.
+  emulationState() {
+    return {
+      device: this._device,
+      userAgent: this._customUserAgent ? this._customUserAgent.userAgent : this._userAgentOverrides.device,
+      touch: this._touchEmulation,
+      media: this.emulatedMedia,
+      conditions: this.conditions,
+      locale: this.localeEmulation,
+      visionDeficiency: this._visionDeficiency,
+      requestHeaders: redactHeaders(this._extraHeaders, this._sensitiveHeaders),
+      httpAuth: this._httpAuth ? { username: this._httpAuth.username, password: REDACTED, origins: this._httpAuth.origins } : null,
+    };
   }
 
   async clearViewport() {
     await this._send('Emulation.clearDeviceMetricsOverride');
+    if (this._touchEmulation) await this.setTouchEmulation(false);
+    if (this._userAgentOverrides.device) {
+      this._userAgentOverrides = { ...this._userAgentOverrides, device: null, platform: null };
+      await this._applyUserAgentOverride();
+    }
+    this._device = null;
     return { ok: true };
   }
 
@@ -1607,7 +4902,7 @@ class CdpSession {
       };
     }
 
-    this._installedCss.set(styleId, { identifier, mode, length: css.length });
+    this._installedCss.set(styleId, { identifier, mode, length: css.length, css });
 
     // Apply immediately to the current document too.
     const applyRes = await this.evaluate(buildSetCssExpression(styleId, css, mode), {
@@ -1667,6 +4962,285 @@ class CdpSession {
     return { ok: true, removed, notInstalled };
   }
 
+  listRoutes() {
+    return { ok: true, routes: Array.from(this._routes.values()).map(describeRoute) };
+  }
+
+  async addRoute(args) {
+    const id = typeof args.id === 'string' && args.id.trim() ? args.id.trim() : `route-${++this._routeSeq}`;
+    const spec = normalizeRouteSpec(args, id);
+    if (!spec.ok) return { ok: false, error: { code: 'OVERTY_INVALID_ARG', message: spec.error } };
+
+    const prev = this._routes.get(id) || null;
+    // Re-inserting moves the route to the end, so a replaced route also takes precedence again.
+    this._routes.delete(id);
+    this._routes.set(id, spec.route);
+    const res = await this._updateFetchInterception();
+    if (!res.ok) {
+      this._routes.delete(id);
+      if (prev) this._routes.set(id, prev);
+      return res;
+    }
+    return { ok: true, route: describeRoute(spec.route), replaced: !!prev };
+  }
+
+  async removeRoutes(opts) {
+    const id = opts && typeof opts.id === 'string' && opts.id.trim() ? opts.id.trim() : null;
+    const targets = id ? [id] : Array.from(this._routes.keys());
+    const removed = [];
+    const notFound = [];
+    for (const routeId of targets) {
+      const route = this._routes.get(routeId);
+      if (!route) {
+        notFound.push(routeId);
+        continue;
+      }
+      this._routes.delete(routeId);
+      removed.push(describeRoute(route));
+    }
+    const res = await this._updateFetchInterception();
+    if (!res.ok) return res;
+    return { ok: true, removed, notFound };
+  }
+
+  /** Current request overrides (unredacted; for replay and internal use). */
+  get requestOverrides() {
+    return {
+      headers: { ...this._extraHeaders },
+      sensitiveHeaders: [...this._sensitiveHeaders],
+      httpAuth: this._httpAuth ? { ...this._httpAuth } : null,
+      userAgent: this._customUserAgent ? { ...this._customUserAgent } : null,
+    };
+  }
+
+  _clearRequestOverrides() {
+    this._extraHeaders = {};
+    this._sensitiveHeaders = [];
+    this._httpAuth = null;
+    this._authAnswered.clear();
+    this._customUserAgent = null;
+  }
+
+  async _restoreRequestOverrides(saved) {
+    this._sensitiveHeaders = saved.sensitiveHeaders;
+    this._httpAuth = saved.httpAuth;
+    try {
+      if (Object.keys(saved.headers).length) await this.setExtraHeaders(saved.headers);
+      if (saved.userAgent) await this.setCustomUserAgent(saved.userAgent);
+      return { ok: true };
+    } catch (err) {
+      return {
+        ok: false,
+        error: { code: 'OVERTY_CDP_ERROR', message: 'Failed to restore request overrides', details: String(err && err.message ? err.message : err) },
+      };
+    }
+  }
+
+  async setExtraHeaders(headers, sensitive) {
+    await this._send('Network.setExtraHTTPHeaders', { headers });
+    this._extraHeaders = { ...headers };
+    // Sensitive flags only apply to headers that are still set; reset or removal drops them.
+    const present = new Set(Object.keys(headers).map((name) => name.toLowerCase()));
+    this._sensitiveHeaders = Array.from(new Set([...this._sensitiveHeaders, ...(sensitive || [])])).filter((name) => present.has(name.toLowerCase()));
+  }
+
+  async setCustomUserAgent(spec) {
+    this._customUserAgent = spec ? { userAgent: spec.userAgent, platform: spec.platform || null } : null;
+    await this._applyUserAgentOverride();
+  }
+
+  async setHttpAuth(spec) {
+    const prev = this._httpAuth;
+    this._httpAuth = spec ? { username: spec.username, password: spec.password, origins: spec.origins || null } : null;
+    this._authAnswered.clear();
+    const res = await this._updateFetchInterception();
+    if (!res.ok) this._httpAuth = prev;
+    return res;
+  }
+
+  async _onAuthRequired(params) {
+    const requestId = params.requestId;
+    const challenge = params.authChallenge && typeof params.authChallenge === 'object' ? params.authChallenge : {};
+    const auth = this._httpAuth;
+    const matches = !!auth && (!auth.origins || auth.origins.includes(challenge.origin));
+    let response = { response: 'CancelAuth' };
+    if (matches && !this._authAnswered.has(requestId)) {
+      if (this._authAnswered.size > 1_000) this._authAnswered.clear();
+      this._authAnswered.add(requestId);
+      response = { response: 'ProvideCredentials', username: auth.username, password: auth.password };
+    } else if (matches) {
+      this._pushEvent({ type: 'log', level: 'warning', text: `HTTP auth rejected for ${challenge.origin || 'unknown origin'} (realm ${challenge.realm || '-'})` });
+    }
+    try {
+      await this._send('Fetch.continueWithAuth', { requestId, authChallengeResponse: response });
+    } catch (err) {
+      debugLog('Fetch.authRequired handling failed', { origin: challenge.origin || null, error: String(err && err.message ? err.message : err) });
+    }
+  }
+
+  // Fetch.enable replaces the whole pattern list, so every change re-sends it (or disables Fetch when empty).
+  // HTTP auth needs every request intercepted: Fetch.authRequired only fires for paused requests.
+  async _updateFetchInterception() {
+    const patterns = [];
+    const handleAuthRequests = !!this._httpAuth;
+    if (handleAuthRequests) {
+      patterns.push({ urlPattern: '*', requestStage: 'Request' });
+    } else {
+      for (const route of this._routes.values()) {
+        const urlPattern = fetchPatternFor(route.urlPattern);
+        if (!patterns.some((p) => p.urlPattern === urlPattern)) patterns.push({ urlPattern, requestStage: 'Request' });
+      }
+    }
+    const key = patterns.length ? JSON.stringify({ patterns, handleAuthRequests }) : null;
+    if (key === this._fetchPatterns) return { ok: true };
+    try {
+      if (key) await this._send('Fetch.enable', { patterns, handleAuthRequests });
+      else await this._send('Fetch.disable');
+      this._fetchPatterns = key;
+      return { ok: true };
+    } catch (err) {
+      return {
+        ok: false,
+        error: { code: 'OVERTY_CDP_ERROR', message: 'Failed to update Fetch interception', details: String(err && err.message ? err.message : err) },
+      };
+    }
+  }
+
+  async _onRequestPaused(params) {
+    const requestId = params.requestId;
+    const request = params.request && typeof params.request === 'object' ? params.request : {};
+    // Newest route wins.
+    const route = Array.from(this._routes.values())
+      .reverse()
+      .find((r) => routeMatches(r, request, params.resourceType));
+    try {
+      if (!route) {
+        await this._send('Fetch.continueRequest', { requestId });
+        return;
+      }
+      route.hits += 1;
+      if (route.times && route.hits >= route.times && this._routes.get(route.id) === route) {
+        this._routes.delete(route.id);
+        this._updateFetchInterception().catch(() => {});
+      }
+      if (route.delayMs > 0) await sleep(route.delayMs);
+      if (route.fail) {
+        await this._send('Fetch.failRequest', { requestId, errorReason: route.fail });
+      } else {
+        await this._send('Fetch.fulfillRequest', { requestId, responseCode: route.status, responseHeaders: route.headers, body: route.body });
+      }
+    } catch (err) {
+      debugLog('Fetch.requestPaused handling failed', { url: request.url || null, error: String(err && err.message ? err.message : err) });
+    }
+  }
+
+  async getCookies(urls) {
+    try {
+      const res = await this._send('Network.getCookies', Array.isArray(urls) && urls.length ? { urls: urls.map(String) } : {});
+      return { ok: true, cookies: Array.isArray(res.cookies) ? res.cookies : [] };
+    } catch (err) {
+      return { ok: false, error: { code: 'OVERTY_CDP_ERROR', message: 'Network.getCookies failed', details: String(err && err.message ? err.message : err) } };
+    }
+  }
+
+  async setCookies(cookies) {
+    try {
+      await this._send('Network.setCookies', { cookies });
+      return { ok: true, count: cookies.length };
+    } catch (err) {
+      return { ok: false, error: { code: 'OVERTY_CDP_ERROR', message: 'Network.setCookies failed', details: String(err && err.message ? err.message : err) } };
+    }
+  }
+
+  /** Delete the cookies visible to `urls` (default: the current page), or every browser cookie with all=true. */
+  async clearCookies(opts) {
+    try {
+      if (opts && opts.all) {
+        await this._send('Network.clearBrowserCookies');
+        return { ok: true, deleted: 'all' };
+      }
+      const res = await this.getCookies(opts && opts.urls);
+      if (!res.ok) return res;
+      for (const c of res.cookies) {
+        await this._send('Network.deleteCookies', { name: c.name, domain: c.domain, path: c.path });
+      }
+      return { ok: true, deleted: res.cookies.length };
+    } catch (err) {
+      return { ok: false, error: { code: 'OVERTY_CDP_ERROR', message: 'Failed to delete cookies', details: String(err && err.message ? err.message : err) } };
+    }
+  }
+
+  async readPageStorage() {
+    const res = await this.evaluate(buildReadStorageExpression(), { returnByValue: true, awaitPromise: false, timeoutMs: 30_000 });
+    if (!res.ok) return res;
+    return { ok: true, ...(getRemoteObjectValue(res.result) || {}) };
+  }
+
+  async writePageStorage(spec) {
+    const res = await this.evaluate(buildWriteStorageExpression(spec), { returnByValue: true, awaitPromise: false, timeoutMs: 30_000 });
+    if (!res.ok) return res;
+    return { ok: true, ...(getRemoteObjectValue(res.result) || {}) };
+  }
+
+  async listIndexedDbDatabases(origin) {
+    try {
+      const res = await this._send('IndexedDB.requestDatabaseNames', { securityOrigin: origin });
+      return { ok: true, databases: Array.isArray(res.databaseNames) ? res.databaseNames : [] };
+    } catch (err) {
+      return {
+        ok: false,
+        error: { code: 'OVERTY_CDP_ERROR', message: 'IndexedDB.requestDatabaseNames failed', details: String(err && err.message ? err.message : err) },
+      };
+    }
+  }
+
+  async clearIndexedDb(origin) {
+    try {
+      await this._send('Storage.clearDataForOrigin', { origin, storageTypes: 'indexeddb' });
+      return { ok: true };
+    } catch (err) {
+      return {
+        ok: false,
+        error: { code: 'OVERTY_CDP_ERROR', message: 'Storage.clearDataForOrigin failed', details: String(err && err.message ? err.message : err) },
+      };
+    }
+  }
+
+  /**
+   * Seed localStorage/sessionStorage for `origins` on every new document (once per tab, see
+   * buildSeedStorageExpression) and on the current one. Replaces the previous seed.
+   */
+  async seedStorage(origins) {
+    await this.clearStorageSeed();
+    if (!origins.length) return { ok: true, identifier: null, current: null };
+    const token = crypto.randomBytes(8).toString('hex');
+    let identifier = null;
+    try {
+      const res = await this._send('Page.addScriptToEvaluateOnNewDocument', { source: `${buildSeedStorageExpression(origins, token)};` });
+      if (res && typeof res.identifier === 'string') identifier = res.identifier;
+    } catch (err) {
+      return {
+        ok: false,
+        error: { code: 'OVERTY_CDP_ERROR', message: 'Failed to install storage seed', details: String(err && err.message ? err.message : err) },
+      };
+    }
+    this._storageSeed = { identifier, origins: origins.map((o) => o.origin) };
+
+    const applyRes = await this.evaluate(buildSeedStorageExpression(origins, token), { returnByValue: true, awaitPromise: false, timeoutMs: 30_000 });
+    return { ok: true, identifier, current: applyRes.ok ? getRemoteObjectValue(applyRes.result) : null };
+  }
+
+  async clearStorageSeed() {
+    const seed = this._storageSeed;
+    this._storageSeed = null;
+    if (!seed || !seed.identifier) return;
+    try {
+      await this._send('Page.removeScriptToEvaluateOnNewDocument', { identifier: seed.identifier });
+    } catch {
+      // Best-effort cleanup; continue.
+    }
+  }
+
   async enableNetwork() {
     if (this._networkEnabled) return { ok: true };
     try {
@@ -1682,6 +5256,168 @@ class CdpSession {
     }
   }
 
+  _recordRequestEvent(method, params) {
+    const requestId = typeof params.requestId === 'string' ? params.requestId : null;
+    if (!requestId) return;
+    const entry = this._liveRequests.get(requestId) || null;
+
+    if (method === 'Network.requestWillBeSent') {
+      const req = params.request && typeof params.request === 'object' ? params.request : {};
+      if (entry && params.redirectResponse) {
+        this._applyResponse(entry, params.redirectResponse, params.timestamp);
+        entry.state = 'redirected';
+        entry.redirectedTo = typeof req.url === 'string' ? req.url : null;
+        entry.endTimestamp = Number.isFinite(params.timestamp) ? params.timestamp : null;
+      }
+      const initiator = params.initiator && typeof params.initiator === 'object' ? params.initiator : {};
+      const frame = initiator.stack && Array.isArray(initiator.stack.callFrames) ? initiator.stack.callFrames[0] : null;
+      const postData = typeof req.postData === 'string' ? req.postData.slice(0, MAX_POST_DATA_CHARS) : null;
+      this._requestSeq += 1;
+      const next = {
+        seq: this._requestSeq,
+        requestId,
+        url: typeof req.url === 'string' ? req.url : null,
+        method: typeof req.method === 'string' ? req.method : 'GET',
+        type: typeof params.type === 'string' ? params.type : 'Other',
+        state: 'pending',
+        status: null,
+        statusText: null,
+        mimeType: null,
+        protocol: null,
+        remoteIPAddress: null,
+        fromCache: false,
+        fromServiceWorker: false,
+        requestHeaders: req.headers && typeof req.headers === 'object' ? { ...req.headers } : {},
+        responseHeaders: null,
+        postData,
+        initiator: {
+          type: typeof initiator.type === 'string' ? initiator.type : 'other',
+          url: typeof initiator.url === 'string' ? initiator.url : frame && frame.url ? frame.url : null,
+          lineNumber: Number.isFinite(initiator.lineNumber) ? initiator.lineNumber : frame && Number.isFinite(frame.lineNumber) ? frame.lineNumber : null,
+        },
+        startedDateTime: new Date(Number.isFinite(params.wallTime) ? params.wallTime * 1000 : Date.now()).toISOString(),
+        timestamp: Number.isFinite(params.timestamp) ? params.timestamp : null,
+        responseTimestamp: null,
+        endTimestamp: null,
+        timing: null,
+        encodedDataLength: null,
+        dataLength: 0,
+        redirectedTo: null,
+        errorText: null,
+      };
+      this._requests.push(next);
+      this._liveRequests.set(requestId, next);
+      if (this._requests.length > MAX_REQUEST_LOG_ENTRIES) {
+        for (const dropped of this._requests.splice(0, this._requests.length - MAX_REQUEST_LOG_ENTRIES)) {
+          if (this._liveRequests.get(dropped.requestId) === dropped) this._liveRequests.delete(dropped.requestId);
+        }
+      }
+      return;
+    }
+
+    if (!entry) return;
+    if (method === 'Network.responseReceived') {
+      if (typeof params.type === 'string') entry.type = params.type;
+      this._applyResponse(entry, params.response || {}, params.timestamp);
+    } else if (method === 'Network.requestServedFromCache') {
+      entry.fromCache = true;
+    } else if (method === 'Network.dataReceived') {
+      if (Number.isFinite(params.dataLength)) entry.dataLength += params.dataLength;
+    } else if (method === 'Network.loadingFinished') {
+      entry.state = 'finished';
+      entry.endTimestamp = Number.isFinite(params.timestamp) ? params.timestamp : null;
+      if (Number.isFinite(params.encodedDataLength)) entry.encodedDataLength = params.encodedDataLength;
+      this._liveRequests.delete(requestId);
+    } else if (method === 'Network.loadingFailed') {
+      entry.state = 'failed';
+      entry.endTimestamp = Number.isFinite(params.timestamp) ? params.timestamp : null;
+      entry.errorText = params.canceled ? 'canceled' : params.blockedReason ? `blocked:${params.blockedReason}` : String(params.errorText || 'failed');
+      this._liveRequests.delete(requestId);
+    }
+  }
+
+  _applyResponse(entry, response, timestamp) {
+    entry.status = Number.isFinite(response.status) ? response.status : null;
+    entry.statusText = typeof response.statusText === 'string' ? response.statusText : null;
+    entry.mimeType = typeof response.mimeType === 'string' ? response.mimeType : null;
+    entry.protocol = typeof response.protocol === 'string' ? response.protocol : null;
+    entry.remoteIPAddress = typeof response.remoteIPAddress === 'string' ? response.remoteIPAddress : null;
+    entry.fromCache = entry.fromCache || !!response.fromDiskCache || !!response.fromPrefetchCache;
+    entry.fromServiceWorker = !!response.fromServiceWorker;
+    entry.responseHeaders = response.headers && typeof response.headers === 'object' ? { ...response.headers } : {};
+    entry.timing = response.timing && typeof response.timing === 'object' ? { ...response.timing } : null;
+    entry.responseTimestamp = Number.isFinite(timestamp) ? timestamp : null;
+    // Real request headers (cookies, etc.) are only known once the response arrives.
+    if (response.requestHeaders && typeof response.requestHeaders === 'object') entry.requestHeaders = { ...response.requestHeaders };
+  }
+
+  listRequests(opts) {
+    const o = opts || {};
+    const sinceSeq = Number.isFinite(o.sinceSeq) ? Math.max(0, Math.floor(o.sinceSeq)) : 0;
+    const limit = Number.isFinite(o.limit) ? Math.max(1, Math.floor(o.limit)) : null;
+    const types = Array.isArray(o.types) && o.types.length ? o.types.map((t) => String(t).toLowerCase()) : null;
+    const states = Array.isArray(o.states) && o.states.length ? o.states.map(String) : null;
+    const statusFilters = Array.isArray(o.status) && o.status.length ? o.status : null;
+
+    let urlRe = null;
+    if (o.urlPattern) {
+      urlRe = urlPatternToRegExp(o.urlPattern);
+      if (!urlRe) return { ok: false, error: { code: 'OVERTY_INVALID_ARG', message: `Invalid urlPattern: ${o.urlPattern}` } };
+    }
+
+    let requests = this._requests.filter((e) => {
+      if (e.seq <= sinceSeq) return false;
+      if (types && !types.includes(String(e.type).toLowerCase())) return false;
+      if (states && !states.includes(e.state)) return false;
+      if (statusFilters && !matchesStatusFilter(e.status, statusFilters)) return false;
+      if (urlRe && !urlRe.test(e.url || '')) return false;
+      return true;
+    });
+    const total = requests.length;
+    if (limit && requests.length > limit) requests = requests.slice(requests.length - limit);
+
+    if (o.clear) {
+      this._requests = [];
+      this._requestSeq = 0;
+      this._liveRequests.clear();
+    }
+    return { ok: true, requests, total };
+  }
+
+  /** Network.getResponseBody for a logged request; fails once Chrome has evicted the body. */
+  async getResponseBody(requestId) {
+    try {
+      const res = await this._send('Network.getResponseBody', { requestId: String(requestId) }, { timeoutMs: 10_000 });
+      return { ok: true, body: typeof res.body === 'string' ? res.body : '', base64Encoded: !!res.base64Encoded };
+    } catch (err) {
+      return {
+        ok: false,
+        error: { code: 'OVERTY_CDP_ERROR', message: 'Network.getResponseBody failed', details: String(err && err.message ? err.message : err) },
+      };
+    }
+  }
+
+  /** Fetch response bodies for finished entries; returns seq -> { text, base64Encoded, truncated }. */
+  async collectResponseBodies(entries, maxBodyBytes) {
+    const bodies = new Map();
+    const errors = [];
+    for (const e of entries) {
+      if (e.state !== 'finished') continue;
+      const res = await this.getResponseBody(e.requestId);
+      if (!res.ok) {
+        errors.push({ seq: e.seq, url: e.url, error: res.error.details || res.error.message });
+        continue;
+      }
+      const bytes = res.base64Encoded ? Math.floor((res.body.length * 3) / 4) : Buffer.byteLength(res.body);
+      if (bytes > maxBodyBytes) {
+        bodies.set(e.seq, { text: '', base64Encoded: false, truncated: true, bytes });
+        continue;
+      }
+      bodies.set(e.seq, { text: res.body, base64Encoded: res.base64Encoded, truncated: false, bytes });
+    }
+    return { bodies, errors };
+  }
+
   async waitForNetworkIdle(opts) {
     const timeoutMs = Number.isFinite(opts && opts.timeoutMs) ? Math.max(0, Math.floor(opts.timeoutMs)) : 30_000;
     const idleMs = Number.isFinite(opts && opts.idleMs) ? Math.max(0, Math.floor(opts.idleMs)) : 500;
@@ -1692,14 +5428,24 @@ class CdpSession {
       opts && Array.isArray(opts.ignoreResourceTypes) ? opts.ignoreResourceTypes.map((s) => String(s)) : ['EventSource', 'WebSocket'];
     const ignoreResourceTypes = new Set(ignoreResourceTypesRaw);
 
+    const signal = opts && opts.signal ? opts.signal : null;
+    const onProgress = opts && typeof opts.onProgress === 'function' ? opts.onProgress : null;
+
     const enableRes = await this.enableNetwork();
     if (!enableRes.ok) return enableRes;
 
     const start = Date.now();
     let idleStart = null;
+    let lastProgressAt = 0;
 
     while (true) {
       const now = Date.now();
+      if (signal && signal.aborted) {
+        return {
+          ok: false,
+          error: { code: 'OVERTY_CANCELLED', message: 'wait_for_network_idle cancelled', details: { elapsedMs: now - start } },
+        };
+      }
       if (timeoutMs > 0 && now - start > timeoutMs) {
         const sample = [];
         for (const [requestId, info] of this._networkInFlight.entries()) {
@@ -1731,6 +5477,11 @@ class CdpSession {
         relevant += 1;
       }
 
+      if (onProgress && now - lastProgressAt >= 1_000) {
+        lastProgressAt = now;
+        onProgress(now - start, timeoutMs > 0 ? timeoutMs : undefined, `inflight=${relevant} ignored=${total - relevant}`);
+      }
+
       if (relevant <= maxInflight) {
         if (idleStart === null) idleStart = now;
         if (now - idleStart >= idleMs) {
@@ -1841,16 +5592,46 @@ class CdpSession {
 
   _onWsClose(socket) {
     if (socket && this._ws && socket !== this._ws) return;
+    const wasAttached = !!this._ws && socket === this._ws && !!this._selectedTarget;
+    const replay = {
+      installedCss: Array.from(this._installedCss.entries()),
+      routes: Array.from(this._routes.values()),
+      requestOverrides: this.requestOverrides,
+      network: this._networkEnabled,
+      lastUrl: this._selectedTarget ? this._selectedTarget.url : null,
+    };
     for (const [, p] of this._pending) {
       clearTimeout(p.timeout);
       p.reject(new Error('CDP connection closed'));
     }
     this._pending.clear();
     this._installedCss.clear();
+    this._routes.clear();
+    this._clearRequestOverrides();
     this._networkEnabled = false;
     this._networkInFlight.clear();
+    this._liveRequests.clear();
+    this._resetTargetState();
     this._ws = null;
     this._selectedTarget = null;
+
+    if (wasAttached) this._scheduleReconnect(replay, this._reloadOnReconnect ? 'target crashed' : 'connection closed');
+  }
+
+  _resetTargetState() {
+    this._touchEmulation = false;
+    this._dragData = null;
+    this._userAgentOverrides = { device: null, platform: null, acceptLanguage: null };
+    this._device = null;
+    this._emulatedMedia = {};
+    this._conditions = { network: null, cpuThrottlingRate: 1 };
+    this._locale = {};
+    this._visionDeficiency = 'none';
+    this._fetchPatterns = null;
+    this._storageSeed = null;
+    this._browserLevel = false;
+    this._pageSessionId = null;
+    this._childTargets.clear();
   }
 
   _onWsMessage(event, socket) {
@@ -1917,7 +5698,13 @@ class CdpSession {
     // CDP event.
     if (typeof msg.method === 'string') {
       debugLog('cdp recv event', msg.method);
-      this._onCdpEvent(msg.method, msg.params);
+      const sessionId = typeof msg.sessionId === 'string' ? msg.sessionId : null;
+      if (msg.method.startsWith('Target.')) this._onTargetEvent(msg.method, msg.params, sessionId);
+      if (!this._browserLevel || sessionId === this._pageSessionId) {
+        this._onCdpEvent(msg.method, msg.params);
+      } else if (sessionId && this._childTargets.has(sessionId)) {
+        this._onCdpEvent(msg.method, msg.params, this._childTargets.get(sessionId));
+      }
     }
   }
 
@@ -1928,8 +5715,10 @@ class CdpSession {
 
     const id = this._nextId++;
     const timeoutMs = Number.isFinite(options.timeoutMs) ? options.timeoutMs : 30_000;
+    // In browser-level mode commands default to the selected page's session; sessionId: null targets the browser.
+    const sessionId = options.sessionId !== undefined ? options.sessionId : this._pageSessionId;
 
-    const payload = { id, method, ...(params ? { params } : {}) };
+    const payload = { id, method, ...(params ? { params } : {}), ...(sessionId ? { sessionId } : {}) };
     const json = JSON.stringify(payload);
 
     return new Promise((resolve, reject) => {
@@ -1975,12 +5764,315 @@ function selectTarget(targets, opts) {
     });
     if (match) return match;
   }
-
-  if (wantedIndex !== null) return pool[wantedIndex] || null;
-
-  // Prefer "page" targets if present.
-  const page = pool.find((t) => t.type === 'page');
-  return page || pool[0];
+
+  if (wantedIndex !== null) return pool[wantedIndex] || null;
+
+  // Prefer "page" targets if present.
+  const page = pool.find((t) => t.type === 'page');
+  return page || pool[0];
+}
+
+// Where click/hover/scroll act: an element (center of its box, like screenshot_element) or a raw point.
+const POINTER_TARGET_PROPERTIES = {
+  selector: { type: 'string', description: 'CSS selector of the element to act on (its box center unless offsetX/offsetY are given).' },
+  index: { type: 'integer', minimum: 0, description: 'Which match to use (0-based). Default 0.' },
+  offsetX: { type: 'number', description: 'Optional: x offset from the element box left edge (CSS px).' },
+  offsetY: { type: 'number', description: 'Optional: y offset from the element box top edge (CSS px).' },
+  x: { type: 'number', description: 'Viewport x in CSS px (used when selector is omitted).' },
+  y: { type: 'number', description: 'Viewport y in CSS px (used when selector is omitted).' },
+  scrollIntoView: { type: 'boolean', description: 'Scroll the element into view first. Default true.' },
+  timeoutMs: { type: 'integer', minimum: 0, description: 'Timeout for selector lookup (default: 30000).' },
+};
+const GESTURE_SCREENSHOTS_PROPERTY = {
+  type: 'array',
+  items: { type: 'string', enum: ['mid', 'after'] },
+  description: 'Viewport screenshots to take in the same call: "mid" while the pointer/fingers are still down halfway through, "after" once released.',
+};
+const CONDITIONS_PROPERTIES = {
+  network: { type: 'string', description: 'Network profile: Offline, "Slow 3G", "Fast 3G", 4G, or none (no throttling).' },
+  latencyMs: { type: 'number', minimum: 0, description: 'Custom added round-trip latency (overrides the profile).' },
+  downloadKbps: { type: 'number', minimum: 0, description: 'Custom download throughput in kbit/s (0 = unlimited).' },
+  uploadKbps: { type: 'number', minimum: 0, description: 'Custom upload throughput in kbit/s (0 = unlimited).' },
+  offline: { type: 'boolean', description: 'Custom offline flag.' },
+  cpuThrottlingRate: { type: 'number', minimum: 1, description: 'CPU slowdown factor via Emulation.setCPUThrottlingRate (1 = none, 4 = mid-tier mobile).' },
+  reset: { type: 'boolean', description: 'Clear network and CPU throttling first.' },
+};
+const STITCH_PROPERTY = {
+  type: ['boolean', 'object'],
+  properties: {
+    scrollSelector: { type: 'string', description: 'Scroll container to step through (default: the document if it scrolls, else the largest scrollable element).' },
+    stepDelayMs: { type: 'integer', minimum: 0, description: 'Wait after each scroll step for lazy content (default: 250).' },
+    lazyTimeoutMs: { type: 'integer', minimum: 0, description: 'Max extra wait per step for in-view images to finish loading (default: 3000).' },
+    hideSticky: { type: 'boolean', description: 'Hide fixed/sticky elements after the first tile so headers are not repeated (default: true).' },
+    maxHeight: { type: 'integer', minimum: 1, description: `Max stitched height in CSS px (default: ${DEFAULT_STITCH_MAX_HEIGHT}).` },
+    maxTiles: { type: 'integer', minimum: 1, maximum: MAX_STITCH_TILES, description: `Max scroll steps (default: ${MAX_STITCH_TILES}).` },
+  },
+  description:
+    'Scroll-and-stitch capture: scroll the page or an inner scroll container one screen at a time, wait for lazy content, and compose the tiles into one image. Use when fullPage only returns the viewport (fixed-height app shells) or lazy sections come out blank. true or an options object.',
+};
+const STABILIZE_PROPERTY = {
+  type: ['boolean', 'object'],
+  properties: {
+    animations: { type: 'boolean', description: 'Pause running animations (finite ones at their end, infinite ones at their start), pause new ones (Animation domain), disable transitions and pause videos at 0s (default: true).' },
+    caret: { type: 'boolean', description: 'Hide the text caret (default: true).' },
+    scrollbars: { type: 'boolean', description: 'Hide scrollbars (default: true).' },
+    freezeTime: {
+      type: ['boolean', 'number', 'string'],
+      description:
+        'Pause virtual time (Emulation.setVirtualTimePolicy) during capture so Date, performance.now() and timers stand still: true = now, or epoch ms / ISO date. Requires allowVirtualTime. Not combinable with stitch. Default: off.',
+    },
+    allowVirtualTime: {
+      type: 'boolean',
+      description:
+        'Required with freezeTime: Chrome cannot switch a tab back to real time, so it stays on advancing virtual time afterwards (idle timers fast-forward). Use a dedicated tab (open_page with its own session).',
+    },
+    masks: { type: 'array', items: { type: 'string' }, description: 'CSS selectors painted over with a solid box (timestamps, avatars, ads).' },
+    maskColor: { type: 'string', description: `Mask fill color (default: ${DEFAULT_MASK_COLOR}).` },
+  },
+  description:
+    'Deterministic capture: settle animations and transitions, hide caret and scrollbars, optionally freeze time, and mask volatile regions. Undone after capture. true or an options object.',
+};
+const MODIFIERS_PROPERTY = {
+  type: 'array',
+  items: { type: 'string', enum: Object.keys(MODIFIER_BITS) },
+  description: 'Modifier keys held during the action.',
+};
+
+// Points along a polyline, `steps` per segment, excluding the start point.
+function interpolatePath(points, steps) {
+  const out = [];
+  for (let i = 1; i < points.length; i += 1) {
+    const a = points[i - 1];
+    const b = points[i];
+    for (let n = 1; n <= steps; n += 1) {
+      out.push({ x: a.x + ((b.x - a.x) * n) / steps, y: a.y + ((b.y - a.y) * n) / steps });
+    }
+  }
+  return out;
+}
+
+function readPoint(raw) {
+  return raw && Number.isFinite(raw.x) && Number.isFinite(raw.y) ? { x: Number(raw.x), y: Number(raw.y) } : null;
+}
+
+async function captureGestureScreenshot(session, toolName, phase) {
+  const shot = await session.screenshot({ format: 'png' });
+  if (!shot.ok) return { phase, error: shot.error };
+  const bytes = Buffer.from(shot.base64, 'base64');
+  if (bytes.length < MAX_INLINE_SCREENSHOT_BYTES) {
+    return { phase, bytes: bytes.length, format: shot.format, base64: shot.base64 };
+  }
+  const filePath = path.join(DEFAULT_SCREENSHOT_DIR, `${toolName}-${phase}-${nowFileSafe()}.png`);
+  atomicWriteFileSync(filePath, bytes);
+  return { phase, bytes: bytes.length, format: shot.format, filePath };
+}
+
+// Tool result for a gesture: summary text, then each screenshot (inline image or saved path).
+function gestureResult(summary, structured, shots) {
+  const content = [{ type: 'text', text: summary }];
+  for (const shot of shots) {
+    if (shot.error) {
+      content.push({ type: 'text', text: `${shot.phase} screenshot failed: ${shot.error.message}` });
+    } else if (shot.filePath) {
+      content.push({ type: 'text', text: `${shot.phase} screenshot saved to ${shot.filePath}` });
+    } else {
+      content.push({ type: 'text', text: `${shot.phase} screenshot:` });
+      content.push({ type: 'image', data: shot.base64, mimeType: `image/${shot.format}` });
+    }
+  }
+  return {
+    content,
+    structuredContent: {
+      ...structured,
+      screenshots: shots.map(({ base64, ...meta }) => ({ ...meta, inline: !!base64 })),
+    },
+  };
+}
+
+/**
+ * Move one or more touch points along parallel paths (same length), e.g. one finger for a
+ * swipe or two for a pinch. `onMid` runs with the fingers still down halfway through.
+ */
+async function performTouchPaths(session, paths, opts) {
+  const stepDelay = opts.steps > 0 ? opts.durationMs / opts.steps : 0;
+  const pointsAt = (i) => paths.map((p, id) => ({ x: p[i].x, y: p[i].y, id }));
+  await session.touchEvent('touchStart', pointsAt(0));
+  const last = paths[0].length - 1;
+  const mid = Math.max(1, Math.round(last / 2));
+  let ended = false;
+  try {
+    for (let i = 1; i <= last; i += 1) {
+      if (opts.signal && opts.signal.aborted) throw new Error('Gesture cancelled');
+      if (stepDelay) await sleep(stepDelay);
+      await session.touchEvent('touchMove', pointsAt(i));
+      if (i === mid && opts.onMid) await opts.onMid();
+    }
+    await session.touchEvent('touchEnd', []);
+    ended = true;
+  } finally {
+    // A failed or cancelled gesture must not leave the page with an active touch.
+    if (!ended) await session.touchEvent('touchCancel', []).catch(() => {});
+  }
+}
+
+/**
+ * Mouse drag with press/move/release. Native HTML5 drag-and-drop does not follow synthetic
+ * mouse moves, so drags are intercepted (Input.setInterceptDrags) and, once the page starts
+ * one, finished with Input.dispatchDragEvent dragEnter/dragOver/drop.
+ */
+async function performDrag(session, points, opts) {
+  const stepDelay = points.length > 1 ? opts.durationMs / (points.length - 1) : 0;
+  let intercept = opts.mode !== 'mouse';
+  if (intercept) {
+    try {
+      await session._send('Input.setInterceptDrags', { enabled: true });
+    } catch {
+      intercept = false;
+    }
+  }
+  session._dragData = null;
+
+  let mode = 'mouse';
+  const start = points[0];
+  const midIndex = Math.max(1, Math.round((points.length - 1) / 2));
+  let pressed = false;
+  let released = false;
+  let last = start;
+  try {
+    await session.mouseEvent('mouseMoved', start.x, start.y);
+    await session.mouseEvent('mousePressed', start.x, start.y, { button: 'left', buttons: 1, clickCount: 1 });
+    pressed = true;
+    for (let i = 1; i < points.length; i += 1) {
+      if (opts.signal && opts.signal.aborted) throw new Error('Drag cancelled');
+      const pt = points[i];
+      if (stepDelay) await sleep(stepDelay);
+      last = pt;
+      if (mode === 'html5') {
+        await session._send('Input.dispatchDragEvent', { type: 'dragOver', x: pt.x, y: pt.y, data: session._dragData });
+      } else {
+        await session.mouseEvent('mouseMoved', pt.x, pt.y, { button: 'left', buttons: 1 });
+        if (intercept && session._dragData) {
+          mode = 'html5';
+          await session._send('Input.dispatchDragEvent', { type: 'dragEnter', x: pt.x, y: pt.y, data: session._dragData });
+        }
+      }
+      if (i === midIndex && opts.onMid) await opts.onMid();
+    }
+    const end = points[points.length - 1];
+    if (mode === 'html5') {
+      await session._send('Input.dispatchDragEvent', { type: 'drop', x: end.x, y: end.y, data: session._dragData });
+    }
+    await session.mouseEvent('mouseReleased', end.x, end.y, { button: 'left', buttons: 0, clickCount: 1 });
+    released = true;
+  } finally {
+    // A failed or cancelled drag must not leave the button pressed or an HTML5 drag open.
+    if (pressed && !released) {
+      if (mode === 'html5') {
+        await session._send('Input.dispatchDragEvent', { type: 'dragCancel', x: last.x, y: last.y, data: session._dragData }).catch(() => {});
+      }
+      await session.mouseEvent('mouseReleased', last.x, last.y, { button: 'left', buttons: 0, clickCount: 1 }).catch(() => {});
+    }
+    session._dragData = null;
+    if (intercept) {
+      await session._send('Input.setInterceptDrags', { enabled: false }).catch(() => {});
+    }
+  }
+  return { mode };
+}
+
+function inputErrorResult(action, err) {
+  return toolError('OVERTY_CDP_ERROR', `${action} failed`, String(err && err.message ? err.message : err));
+}
+
+async function resolvePointerTarget(session, args, defaults = {}) {
+  const timeoutMs = Number.isFinite(args.timeoutMs) ? Math.max(0, Math.floor(args.timeoutMs)) : 30_000;
+  if (typeof args.selector === 'string' && args.selector.trim()) {
+    const selector = String(args.selector);
+    const index = Number.isFinite(args.index) ? Math.max(0, Math.floor(args.index)) : 0;
+    const scrollIntoView = typeof args.scrollIntoView === 'boolean' ? args.scrollIntoView : defaults.scrollIntoView !== false;
+    const box = await session.elementBox({ selector, index, scrollIntoView, timeoutMs });
+    if (!box.ok) return box;
+
+    const rect = box.rect;
+    if (!(rect.width > 0 && rect.height > 0)) {
+      return { ok: false, error: { code: 'OVERTY_NOT_FOUND', message: `Element has an empty box (hidden?): ${selector}`, details: { selector, index, rect } } };
+    }
+    const x = rect.x + (Number.isFinite(args.offsetX) ? Number(args.offsetX) : rect.width / 2);
+    const y = rect.y + (Number.isFinite(args.offsetY) ? Number(args.offsetY) : rect.height / 2);
+    const hitRes = await session.evaluate(buildHitTestExpression(x, y, selector, index), { returnByValue: true, awaitPromise: true, timeoutMs });
+    const hit = hitRes.ok ? getRemoteObjectValue(hitRes.result) || {} : {};
+    return { ok: true, target: { x, y, selector, index, rect, viewport: box.viewport, hit: hit.hit || null, obscured: hit.obscured === true } };
+  }
+
+  if (Number.isFinite(args.x) && Number.isFinite(args.y)) {
+    const x = Number(args.x);
+    const y = Number(args.y);
+    const hitRes = await session.evaluate(buildHitTestExpression(x, y, null, 0), { returnByValue: true, awaitPromise: true, timeoutMs });
+    const hit = hitRes.ok ? getRemoteObjectValue(hitRes.result) || {} : {};
+    return { ok: true, target: { x, y, selector: null, index: null, rect: null, hit: hit.hit || null, obscured: false } };
+  }
+
+  if (defaults.allowViewportCenter) {
+    const evalRes = await session.evaluate('({ width: window.innerWidth, height: window.innerHeight })', { returnByValue: true, awaitPromise: true, timeoutMs });
+    const vp = evalRes.ok ? getRemoteObjectValue(evalRes.result) || {} : {};
+    return { ok: true, target: { x: (vp.width || 0) / 2, y: (vp.height || 0) / 2, selector: null, index: null, rect: null, hit: null, obscured: false } };
+  }
+
+  return { ok: false, error: { code: 'OVERTY_INVALID_ARG', message: 'Provide selector or x/y' } };
+}
+
+function describePointerTarget(target) {
+  const where = target.selector ? `${target.selector}${target.index ? `[${target.index}]` : ''}` : 'point';
+  return `${where} at (${Math.round(target.x)}, ${Math.round(target.y)})${target.obscured ? ` — obscured by ${target.hit || 'another element'}` : ''}`;
+}
+
+/** Write the session's request log (filtered like list_requests) as a HAR 1.2 file. */
+async function writeHarFile(session, filePath, opts) {
+  const o = opts || {};
+  const listRes = session.listRequests({ urlPattern: o.urlPattern, types: o.types, status: o.status, sinceSeq: o.sinceSeq });
+  if (!listRes.ok) return listRes;
+  const entries = listRes.requests;
+  const maxBodyBytes = Number.isFinite(o.maxBodyBytes) ? Math.max(0, Math.floor(o.maxBodyBytes)) : 1_000_000;
+  const { bodies, errors } = o.includeBodies ? await session.collectResponseBodies(entries, maxBodyBytes) : { bodies: new Map(), errors: [] };
+  const target = session.selectedTarget;
+  const har = buildHar(entries, { pageUrl: target ? target.url : null, pageTitle: target ? target.title : null, bodies });
+  const text = `${JSON.stringify(har, null, 2)}\n`;
+  atomicWriteFileSync(filePath, text);
+  return { ok: true, filePath, entries: entries.length, bodies: bodies.size, bodyErrors: errors, bytes: Buffer.byteLength(text) };
+}
+
+// Off unless requested: a reconnected session replays CSS, routes and request overrides, but not emulation.
+function normalizeReconnectPolicy(raw) {
+  if (raw !== true && !(raw && typeof raw === 'object')) return null;
+  const o = raw === true ? {} : raw;
+  const int = (v, fallback, min) => (Number.isFinite(v) ? Math.max(min, Math.floor(v)) : fallback);
+  const initialDelayMs = int(o.initialDelayMs, RECONNECT_DEFAULTS.initialDelayMs, 10);
+  return {
+    maxAttempts: int(o.maxAttempts, RECONNECT_DEFAULTS.maxAttempts, 1),
+    initialDelayMs,
+    maxDelayMs: Math.max(initialDelayMs, int(o.maxDelayMs, RECONNECT_DEFAULTS.maxDelayMs, 10)),
+  };
+}
+
+// Re-select the previous target: same id first (page reload, WebSocket drop), then the
+// original URL/title pattern, then the last URL seen (Chrome restart assigns new ids).
+function findReconnectTarget(targets, spec, lastUrl) {
+  const pool = targets.filter((t) => t && typeof t.webSocketDebuggerUrl === 'string');
+  const byId = pool.find((t) => String(t.id || '') === String(spec.targetId || ''));
+  if (byId) return byId;
+  if (spec.targetUrlSubstring || spec.targetTitleSubstring) {
+    const match = pool.find(
+      (t) =>
+        (spec.targetUrlSubstring && typeof t.url === 'string' && t.url.includes(spec.targetUrlSubstring)) ||
+        (spec.targetTitleSubstring && typeof t.title === 'string' && t.title.includes(spec.targetTitleSubstring)),
+    );
+    if (match) return match;
+  }
+  if (lastUrl) {
+    const match = pool.find((t) => t.url === lastUrl);
+    if (match) return match;
+  }
+  return null;
 }
 
 const TOOL_DEFS = [
@@ -2021,6 +6113,47 @@ const TOOL_DEFS = [
           type: 'string',
           description: 'Optional: after connecting, navigate the selected target to this URL.',
         },
+        browserLevel: {
+          type: 'boolean',
+          description:
+            'If true, connect to the browser endpoint (/json/version) and attach to the selected target with flattened Target.setAutoAttach, so popups, out-of-process iframes and workers become child targets (see list_targets) whose console events flow into list_events tagged with sessionId. Default false (page WebSocket only).',
+        },
+        autoReconnect: {
+          description: `Reconnect with exponential backoff when the target crashes or its WebSocket drops, re-selecting it by id, then URL/title pattern, then last URL. Re-enables domains and re-installs install_css styles, and records a "reconnect" event. Viewport, device, media, locale and vision emulation are not replayed. true, false (default), or { maxAttempts (default ${RECONNECT_DEFAULTS.maxAttempts}), initialDelayMs (default ${RECONNECT_DEFAULTS.initialDelayMs}), maxDelayMs (default ${RECONNECT_DEFAULTS.maxDelayMs}) }.`,
+          anyOf: [
+            { type: 'boolean' },
+            {
+              type: 'object',
+              properties: {
+                maxAttempts: { type: 'integer', minimum: 1 },
+                initialDelayMs: { type: 'integer', minimum: 10 },
+                maxDelayMs: { type: 'integer', minimum: 10 },
+              },
+            },
+          ],
+        },
+      },
+      required: [],
+    },
+  },
+  {
+    name: 'list_sessions',
+    title: 'List Sessions',
+    annotations: { readOnlyHint: true },
+    description: 'List named CDP sessions created by connect/open_page, with their browser endpoint and selected target.',
+    inputSchema: { type: 'object', properties: {}, required: [] },
+  },
+  {
+    name: 'close_session',
+    title: 'Close Session',
+    description: 'Disconnect a named session and forget it. Optionally also close its target/page.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        closeTarget: {
+          type: 'boolean',
+          description: 'If true, also close the session target via /json/close (default: false).',
+        },
       },
       required: [],
     },
@@ -2028,7 +6161,9 @@ const TOOL_DEFS = [
   {
     name: 'list_targets',
     title: 'List CDP Targets',
-    description: 'List debuggable targets from a CDP HTTP endpoint (without connecting).',
+    annotations: { readOnlyHint: true },
+    description:
+      'List debuggable targets from a CDP HTTP endpoint (without connecting). When the session is connected browser-level to the same endpoint, also lists its auto-attached child targets (iframes, workers, popups).',
     inputSchema: {
       type: 'object',
       properties: {
@@ -2072,6 +6207,10 @@ const TOOL_DEFS = [
           type: 'boolean',
           description: 'If true, bring the new page to the front (best-effort). Default true.',
         },
+        browserLevel: {
+          type: 'boolean',
+          description: 'If true, connect browser-level with child target auto-attach (see connect.browserLevel). Default false.',
+        },
       },
       required: [],
     },
@@ -2100,97 +6239,478 @@ const TOOL_DEFS = [
     },
   },
   {
-    name: 'set_viewport',
-    title: 'Set Viewport',
+    name: 'launch_browser',
+    title: 'Launch Browser',
+    description:
+      'Find a local Chrome/Chromium (executablePath, OVERTY_CHROME_BIN, PATH, Playwright cache, or the playwright package via OVERTY_PLAYWRIGHT_NODE_PATH), start it with a temp profile and a free remote debugging port, and connect the session to it. The browser is owned by the session and torn down by close_browser, close_session, or server exit.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        executablePath: { type: 'string', description: 'Optional: explicit Chrome/Chromium binary.' },
+        headless: { type: 'boolean', description: 'Run headless (--headless=new). Default true.' },
+        url: { type: 'string', description: 'Initial page URL (default: about:blank).' },
+        args: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Extra command-line switches, e.g. ["--window-size=1280,800"].',
+        },
+        browserLevel: { type: 'boolean', description: 'Connect browser-level with child target auto-attach (see connect.browserLevel). Default false.' },
+        timeoutMs: { type: 'integer', minimum: 1000, description: `Max time to wait for the browser to start and expose a page (default: ${DEFAULT_LAUNCH_TIMEOUT_MS}).` },
+      },
+      required: [],
+    },
+  },
+  {
+    name: 'launch_electron',
+    title: 'Launch Electron App',
+    description:
+      'Start an Electron app under test with a free --remote-debugging-port, wait for its first BrowserWindow target, and connect the session to it. The app\'s stdout/stderr lines are recorded in list_events as type "process". Stopped by close_browser, close_session, or server exit.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        appPath: {
+          type: 'string',
+          description: 'App directory or main script (run with the Electron binary), or a packaged app executable (run directly).',
+        },
+        electronPath: { type: 'string', description: 'Optional: Electron binary (default: OVERTY_ELECTRON_BIN, the app\'s electron package, or PATH).' },
+        args: { type: 'array', items: { type: 'string' }, description: 'Extra arguments passed to the app.' },
+        env: {
+          type: 'object',
+          additionalProperties: { type: 'string' },
+          description: 'Extra environment variables for the app process.',
+        },
+        targetUrlSubstring: { type: 'string', description: 'Optional: wait for the first window whose URL contains this substring.' },
+        browserLevel: { type: 'boolean', description: 'Connect browser-level with child target auto-attach (see connect.browserLevel). Default false.' },
+        timeoutMs: { type: 'integer', minimum: 1000, description: `Max time to wait for the first window (default: ${DEFAULT_LAUNCH_TIMEOUT_MS}).` },
+      },
+      required: ['appPath'],
+    },
+  },
+  {
+    name: 'close_browser',
+    title: 'Close Browser',
+    description:
+      'Disconnect the session and shut down the browser or Electron app it started with launch_browser/launch_electron (SIGTERM, then SIGKILL), removing any temp profile.',
+    inputSchema: { type: 'object', properties: {}, required: [] },
+  },
+  {
+    name: 'set_viewport',
+    title: 'Set Viewport',
+    description:
+      'Set a viewport size for consistent screenshots using Emulation.setDeviceMetricsOverride, or emulate a named device (size, DPR, mobile, touch and user agent). See list_devices for the catalog.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        device: { type: 'string', description: 'Device preset name, e.g. "iPhone 15" or "Desktop 4K" (case/space-insensitive). Explicit fields below override it.' },
+        landscape: { type: 'boolean', description: 'With device: swap width and height (default: false).' },
+        width: { type: 'integer', minimum: 1, description: 'Viewport width in CSS pixels (required without device).' },
+        height: { type: 'integer', minimum: 1, description: 'Viewport height in CSS pixels (required without device).' },
+        hasTouch: { type: 'boolean', description: 'Enable touch emulation (Emulation.setTouchEmulationEnabled). Default: the device preset, else unchanged.' },
+        deviceScaleFactor: {
+          type: 'number',
+          minimum: 0,
+          description: 'Device scale factor (default: 1).',
+        },
+        mobile: {
+          type: 'boolean',
+          description: 'Whether to emulate a mobile device (default: false).',
+        },
+      },
+      required: [],
+    },
+  },
+  {
+    name: 'clear_viewport',
+    title: 'Clear Viewport Override',
+    description: 'Clear any viewport/device metrics override previously set by set_viewport, including device touch and user agent emulation.',
+    inputSchema: { type: 'object', properties: {}, required: [] },
+  },
+  {
+    name: 'emulate_media',
+    title: 'Emulate Media',
+    description:
+      'Emulate CSS media features via Emulation.setEmulatedMedia: prefers-color-scheme, prefers-reduced-motion, prefers-contrast, forced-colors and the print media type. Given keys are merged into the session state (null clears one); reset clears everything.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        colorScheme: { type: ['string', 'null'], enum: [...MEDIA_FEATURE_OPTIONS.colorScheme.values, null], description: 'prefers-color-scheme.' },
+        reducedMotion: { type: ['string', 'null'], enum: [...MEDIA_FEATURE_OPTIONS.reducedMotion.values, null], description: 'prefers-reduced-motion.' },
+        contrast: { type: ['string', 'null'], enum: [...MEDIA_FEATURE_OPTIONS.contrast.values, null], description: 'prefers-contrast.' },
+        forcedColors: { type: ['string', 'null'], enum: [...MEDIA_FEATURE_OPTIONS.forcedColors.values, null], description: 'forced-colors (high contrast mode).' },
+        media: { type: ['string', 'null'], enum: [...MEDIA_TYPES, null], description: 'Media type; "print" applies @media print styles on screen.' },
+        reset: { type: 'boolean', description: 'Clear all media emulation first (default: false).' },
+      },
+      required: [],
+    },
+  },
+  {
+    name: 'emulate_conditions',
+    title: 'Emulate Network/CPU Conditions',
+    description:
+      'Throttle the network (Network.emulateNetworkConditions) with a profile (Offline, Slow 3G, Fast 3G, 4G) or custom latency/throughput, and/or slow down the CPU (Emulation.setCPUThrottlingRate). Stays active for later navigate calls until changed or reset.',
+    inputSchema: {
+      type: 'object',
+      properties: { ...CONDITIONS_PROPERTIES },
+      required: [],
+    },
+  },
+  {
+    name: 'emulate_locale',
+    title: 'Emulate Locale',
+    description:
+      'Emulate locale (Emulation.setLocaleOverride: Intl formatting), Accept-Language / navigator.language, timezone (Emulation.setTimezoneOverride) and geolocation (Emulation.setGeolocationOverride). Given keys are merged into the session state (null clears one); reset clears everything. Reload for apps that pick their language at startup.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        locale: { type: ['string', 'null'], description: 'BCP 47 locale, e.g. "de-DE", "ar-EG", "ja-JP".' },
+        acceptLanguage: { type: ['string', 'null'], description: 'Accept-Language header / navigator.languages (default: derived from locale).' },
+        timezoneId: { type: ['string', 'null'], description: 'IANA timezone, e.g. "Europe/Berlin".' },
+        geolocation: {
+          anyOf: [
+            {
+              type: 'object',
+              properties: {
+                latitude: { type: 'number', minimum: -90, maximum: 90 },
+                longitude: { type: 'number', minimum: -180, maximum: 180 },
+                accuracy: { type: 'number', minimum: 0, description: 'Meters (default: 50).' },
+              },
+              required: ['latitude', 'longitude'],
+            },
+            { type: 'null' },
+          ],
+          description: 'Geolocation override; the geolocation permission is granted when possible.',
+        },
+        reset: { type: 'boolean', description: 'Clear all locale emulation first (default: false).' },
+        reload: { type: 'boolean', description: 'Reload the page afterwards and wait for load (default: false).' },
+      },
+      required: [],
+    },
+  },
+  {
+    name: 'simulate_vision',
+    title: 'Simulate Vision Deficiency',
+    description:
+      'Render the page as seen with a vision deficiency (Emulation.setEmulatedVisionDeficiency): protanopia, deuteranopia, tritanopia, achromatopsia, blurredVision, reducedContrast, or none. With gallery=true, screenshots the current page under every type (or `types`) into outputDir with an index.html gallery and manifest.json, then restores the previous setting.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        type: { type: 'string', enum: VISION_DEFICIENCIES, description: 'Deficiency to simulate (single mode; stays active until changed or "none").' },
+        gallery: { type: 'boolean', description: 'Capture a gallery across deficiencies instead of setting one (default: false).' },
+        types: {
+          type: 'array',
+          items: { type: 'string', enum: VISION_DEFICIENCIES },
+          description: 'Gallery: types to capture (default: all, starting with "none" as the baseline).',
+        },
+        format: { type: 'string', enum: ['png', 'jpeg', 'webp'], description: 'Gallery screenshot format (default: png).' },
+        quality: { type: 'integer', minimum: 0, maximum: 100, description: 'Quality for jpeg/webp.' },
+        fullPage: { type: 'boolean', description: 'Gallery: full-page screenshots (default: false).' },
+        waitMs: { type: 'integer', minimum: 0, description: 'Gallery: wait after switching type before capturing (default: 100).' },
+        outputDir: {
+          type: 'string',
+          description: `Gallery output directory (default: ${path.relative(process.cwd(), DEFAULT_MOCKUP_DIR)}/vision-<timestamp>/).`,
+        },
+        writeManifest: { type: 'boolean', description: 'Gallery: write manifest.json (default: true).' },
+        writeIndexHtml: { type: 'boolean', description: 'Gallery: write index.html (default: true).' },
+        indexTitle: { type: 'string', description: 'Gallery: title for index.html (default: "Vision deficiencies: <page url>").' },
+        inlineLimit: { type: 'integer', minimum: 0, description: 'Gallery: attach up to this many screenshots inline when small enough (default: 0).' },
+      },
+      required: [],
+    },
+  },
+  {
+    name: 'list_devices',
+    title: 'List Device Presets',
+    description: 'List the device presets usable as set_viewport({ device }) and qa_matrix({ devices }): built-ins plus any from OVERTY_DEVICES_FILE.',
+    inputSchema: { type: 'object', properties: {}, required: [] },
+    annotations: { readOnlyHint: true },
+  },
+  {
+    name: 'set_css',
+    title: 'Set CSS',
+    description:
+      `Create/update a <style> tag in the page and set its CSS text. Default style id: "${DEFAULT_STYLE_ID}".`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        css: { type: 'string', description: 'CSS text to apply.' },
+        styleId: { type: 'string', description: `Style element id (default: ${DEFAULT_STYLE_ID}).` },
+        mode: {
+          type: 'string',
+          enum: ['replace', 'append'],
+          description: 'Whether to replace or append to the existing style text. Default replace.',
+        },
+      },
+      required: ['css'],
+    },
+  },
+  {
+    name: 'install_css',
+    title: 'Install CSS (Persistent)',
+    description:
+      'Install a persistent CSS injection for the current target (Page.addScriptToEvaluateOnNewDocument) and apply it immediately. Useful for keeping a live CSS patch across navigations/reloads.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        css: { type: 'string', description: 'CSS text to install.' },
+        styleId: { type: 'string', description: `Style element id (default: ${DEFAULT_STYLE_ID}).` },
+        mode: { type: 'string', enum: ['replace', 'append'], description: 'Replace or append CSS text (default: replace).' },
+      },
+      required: ['css'],
+    },
+  },
+  {
+    name: 'uninstall_css',
+    title: 'Uninstall CSS (Persistent)',
+    description:
+      'Remove a previously installed persistent CSS injection (Page.removeScriptToEvaluateOnNewDocument). By default also removes the <style> element from the current document.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        styleId: {
+          type: 'string',
+          description: `Style element id to uninstall. If omitted, uninstalls all installs created by install_css (default: all).`,
+        },
+        removeFromPage: {
+          type: 'boolean',
+          description: `If true, remove the <style> element from the current document as well (default: true).`,
+        },
+      },
+      required: [],
+    },
+  },
+  {
+    name: 'list_installed_css',
+    title: 'List Installed CSS',
+    annotations: { readOnlyHint: true },
+    description: 'List persistent CSS installs previously created by install_css in this session.',
+    inputSchema: { type: 'object', properties: {}, required: [] },
+  },
+  {
+    name: 'mock_route',
+    title: 'Mock Route',
+    description:
+      'Intercept requests matching urlPattern (Fetch domain) and fulfill them with inline JSON, a text body, or a fixture file from the input roots, with optional status, headers and delay; or fail them with a network error. Rules persist across navigations and reconnects until unmock_route. The newest matching rule wins.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', description: 'Route id (default: route-<n>). Reusing an id replaces that route.' },
+        urlPattern: {
+          type: 'string',
+          description: 'URL filter: substring, glob with "*" over the whole URL (e.g. "*/api/users*"), or "/regex/flags".',
+        },
+        method: { type: 'string', description: 'Only match this HTTP method (e.g. "POST").' },
+        resourceTypes: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Only match these Network.ResourceType values (e.g. ["XHR","Fetch"]).',
+        },
+        status: { type: 'integer', minimum: 100, maximum: 599, description: 'Response status (default: 200).' },
+        headers: { type: 'object', additionalProperties: { type: 'string' }, description: 'Response headers.' },
+        json: { description: 'Respond with this value as JSON (Content-Type: application/json).' },
+        body: { type: 'string', description: 'Respond with this text body (Content-Type: text/plain unless contentType/headers say otherwise).' },
+        filePath: {
+          type: 'string',
+          description: `Respond with this fixture file; must be under the input roots (default: ${path.relative(process.cwd(), DEFAULT_INPUT_DIR)}; OVERTY_INPUT_DIRS).`,
+        },
+        contentType: { type: 'string', description: 'Content-Type override (default: derived from json/body/file extension).' },
+        delayMs: { type: 'integer', minimum: 0, description: 'Hold matching requests this long before responding (loading states).' },
+        fail: {
+          type: ['boolean', 'string'],
+          description: `Fail matching requests instead: true or a Network.ErrorReason (${FETCH_ERROR_REASONS.join(', ')}).`,
+        },
+        times: { type: 'integer', minimum: 1, description: 'Remove the route after this many matches (default: unlimited).' },
+      },
+      required: ['urlPattern'],
+    },
+  },
+  {
+    name: 'unmock_route',
+    title: 'Unmock Route',
+    description: 'Remove a mock_route rule by id, or all rules when id is omitted. Fetch interception is disabled once no rules remain.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', description: 'Route id to remove (default: all routes).' },
+      },
+      required: [],
+    },
+  },
+  {
+    name: 'list_routes',
+    title: 'List Mocked Routes',
+    annotations: { readOnlyHint: true },
+    description: 'List mock_route rules of this session with their match counts.',
+    inputSchema: { type: 'object', properties: {}, required: [] },
+  },
+  {
+    name: 'set_request_headers',
+    title: 'Set Request Headers',
+    description:
+      'Send extra HTTP headers with every request of this session (Network.setExtraHTTPHeaders), e.g. a tenant or feature-flag header. Merges into the current headers; null removes one, reset clears all. Persists across navigations and reconnects. Values of auth/cookie/token-like headers (and those named in sensitive) are redacted in results and capture_bundle metadata.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        headers: {
+          type: 'object',
+          additionalProperties: { type: ['string', 'null'] },
+          description: 'Header name -> value (null removes the header).',
+        },
+        sensitive: { type: 'array', items: { type: 'string' }, description: 'Extra header names to redact in results and metadata.' },
+        reset: { type: 'boolean', description: 'Clear all extra headers before applying headers.' },
+      },
+      required: [],
+    },
+  },
+  {
+    name: 'set_http_auth',
+    title: 'Set HTTP Auth',
+    description:
+      'Answer HTTP auth challenges (basic/digest, Fetch.authRequired) with these credentials for the rest of the session, e.g. a staging site behind basic auth. Optionally limited to origins. Rejected credentials are cancelled (the page gets the 401) and logged in list_events. Call with clear: true to stop. The password is never echoed.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        username: { type: 'string', description: 'User name.' },
+        password: { type: 'string', description: 'Password.' },
+        origins: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Only answer challenges from these origins (e.g. ["https://staging.example.com"]). Default: any origin.',
+        },
+        clear: { type: 'boolean', description: 'Remove stored credentials.' },
+      },
+      required: [],
+    },
+  },
+  {
+    name: 'set_user_agent',
+    title: 'Set User Agent',
+    description:
+      'Override the user agent (navigator.userAgent and the User-Agent header) for this session; takes precedence over a set_viewport device preset UA. Persists across navigations and reconnects. reset: true restores the device preset or browser UA.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        userAgent: { type: 'string', description: 'User agent string.' },
+        platform: { type: 'string', description: 'Optional navigator.platform override (e.g. "iPhone", "Win32").' },
+        reset: { type: 'boolean', description: 'Remove the override.' },
+      },
+      required: [],
+    },
+  },
+  {
+    name: 'get_storage',
+    title: 'Get Storage',
+    annotations: { readOnlyHint: true },
+    description:
+      "Read the current page's cookies (Network.getCookies), localStorage and sessionStorage, and list its IndexedDB databases.",
+    inputSchema: {
+      type: 'object',
+      properties: {
+        types: {
+          type: 'array',
+          items: { type: 'string', enum: STORAGE_TYPES },
+          description: 'What to read (default: all).',
+        },
+        urls: { type: 'array', items: { type: 'string' }, description: 'Return cookies for these URLs (default: the current page).' },
+      },
+      required: [],
+    },
+  },
+  {
+    name: 'set_storage',
+    title: 'Set Storage',
     description:
-      'Set a viewport size for consistent screenshots using Emulation.setDeviceMetricsOverride.',
+      'Set cookies (Network.setCookies) and/or localStorage/sessionStorage keys of the current page. Cookies without url/domain apply to the current page URL; a null storage value removes the key. To seed storage before the app first renders, use load_storage_state before navigate.',
     inputSchema: {
       type: 'object',
       properties: {
-        width: { type: 'integer', minimum: 1, description: 'Viewport width in CSS pixels.' },
-        height: { type: 'integer', minimum: 1, description: 'Viewport height in CSS pixels.' },
-        deviceScaleFactor: {
-          type: 'number',
-          minimum: 0,
-          description: 'Device scale factor (default: 1).',
+        cookies: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string' },
+              value: { type: 'string' },
+              url: { type: 'string' },
+              domain: { type: 'string' },
+              path: { type: 'string' },
+              expires: { type: 'number', description: 'Unix time in seconds (default: session cookie).' },
+              httpOnly: { type: 'boolean' },
+              secure: { type: 'boolean' },
+              sameSite: { type: 'string', enum: ['Strict', 'Lax', 'None'] },
+            },
+            required: ['name', 'value'],
+          },
+          description: 'Cookies to set.',
         },
-        mobile: {
-          type: 'boolean',
-          description: 'Whether to emulate a mobile device (default: false).',
+        localStorage: {
+          type: 'object',
+          additionalProperties: { type: ['string', 'null'] },
+          description: 'localStorage keys to set (null removes).',
+        },
+        sessionStorage: {
+          type: 'object',
+          additionalProperties: { type: ['string', 'null'] },
+          description: 'sessionStorage keys to set (null removes).',
         },
       },
-      required: ['width', 'height'],
+      required: [],
     },
   },
   {
-    name: 'clear_viewport',
-    title: 'Clear Viewport Override',
-    description: 'Clear any viewport/device metrics override previously set by set_viewport.',
-    inputSchema: { type: 'object', properties: {}, required: [] },
-  },
-  {
-    name: 'set_css',
-    title: 'Set CSS',
+    name: 'clear_storage',
+    title: 'Clear Storage',
     description:
-      `Create/update a <style> tag in the page and set its CSS text. Default style id: "${DEFAULT_STYLE_ID}".`,
+      "Clear the current page's cookies, localStorage, sessionStorage and/or IndexedDB (Storage.clearDataForOrigin). Also drops a pending load_storage_state seed.",
     inputSchema: {
       type: 'object',
       properties: {
-        css: { type: 'string', description: 'CSS text to apply.' },
-        styleId: { type: 'string', description: `Style element id (default: ${DEFAULT_STYLE_ID}).` },
-        mode: {
-          type: 'string',
-          enum: ['replace', 'append'],
-          description: 'Whether to replace or append to the existing style text. Default replace.',
+        types: {
+          type: 'array',
+          items: { type: 'string', enum: STORAGE_TYPES },
+          description: 'What to clear (default: cookies, localStorage, sessionStorage).',
         },
+        allCookies: { type: 'boolean', description: 'Clear every browser cookie instead of the current page\'s (default: false).' },
       },
-      required: ['css'],
+      required: [],
     },
   },
   {
-    name: 'install_css',
-    title: 'Install CSS (Persistent)',
+    name: 'save_storage_state',
+    title: 'Save Storage State',
     description:
-      'Install a persistent CSS injection for the current target (Page.addScriptToEvaluateOnNewDocument) and apply it immediately. Useful for keeping a live CSS patch across navigations/reloads.',
+      'Write the current page\'s cookies plus its origin\'s localStorage/sessionStorage to a JSON file ({ cookies, origins: [{ origin, localStorage, sessionStorage }] }, compatible with Playwright storageState), e.g. after logging in.',
     inputSchema: {
       type: 'object',
       properties: {
-        css: { type: 'string', description: 'CSS text to install.' },
-        styleId: { type: 'string', description: `Style element id (default: ${DEFAULT_STYLE_ID}).` },
-        mode: { type: 'string', enum: ['replace', 'append'], description: 'Replace or append CSS text (default: replace).' },
+        filePath: {
+          type: 'string',
+          description: `Output path (default: ${path.relative(process.cwd(), DEFAULT_BUNDLE_DIR)}/<timestamp>-storage-state.json).`,
+        },
+        urls: { type: 'array', items: { type: 'string' }, description: 'Save cookies for these URLs (default: the current page).' },
       },
-      required: ['css'],
+      required: [],
     },
   },
   {
-    name: 'uninstall_css',
-    title: 'Uninstall CSS (Persistent)',
+    name: 'load_storage_state',
+    title: 'Load Storage State',
     description:
-      'Remove a previously installed persistent CSS injection (Page.removeScriptToEvaluateOnNewDocument). By default also removes the <style> element from the current document.',
+      'Restore a storage state file (save_storage_state or Playwright storageState): sets its cookies and seeds localStorage/sessionStorage for each saved origin before page scripts run on the next document of that origin (and on the current page if it matches). Call before navigate to start logged in.',
     inputSchema: {
       type: 'object',
       properties: {
-        styleId: {
+        filePath: {
           type: 'string',
-          description: `Style element id to uninstall. If omitted, uninstalls all installs created by install_css (default: all).`,
-        },
-        removeFromPage: {
-          type: 'boolean',
-          description: `If true, remove the <style> element from the current document as well (default: true).`,
+          description: `State file under the input roots (default: ${path.relative(process.cwd(), DEFAULT_INPUT_DIR)}; OVERTY_INPUT_DIRS) or the output roots.`,
         },
       },
-      required: [],
+      required: ['filePath'],
     },
   },
-  {
-    name: 'list_installed_css',
-    title: 'List Installed CSS',
-    description: 'List persistent CSS installs previously created by install_css in this session.',
-    inputSchema: { type: 'object', properties: {}, required: [] },
-  },
   {
     name: 'wait_for',
     title: 'Wait For',
+    annotations: { readOnlyHint: true },
     description:
       'Wait for a delay, a DOM text snippet to appear, or a JS predicate expression to become truthy.',
     inputSchema: {
@@ -2214,8 +6734,9 @@ const TOOL_DEFS = [
   {
     name: 'wait_for_network_idle',
     title: 'Wait For Network Idle',
+    annotations: { readOnlyHint: true },
     description:
-      'Wait until the Network domain has <= maxInflight in-flight requests for at least idleMs. Enables Network domain lazily. By default ignores EventSource and WebSocket so long-lived connections do not block.',
+      'Wait until the Network domain has <= maxInflight in-flight requests for at least idleMs. Enables Network domain lazily. By default ignores EventSource and WebSocket so long-lived connections do not block. Reports progress (elapsed ms) when a progressToken is supplied.',
     inputSchema: {
       type: 'object',
       properties: {
@@ -2250,6 +6771,11 @@ const TOOL_DEFS = [
         waitForExpression: { type: 'string', description: 'Optional: JS predicate expression to wait for after navigation.' },
         timeoutMs: { type: 'integer', minimum: 0, description: 'Overall timeout in ms (default: 30000).' },
         pollMs: { type: 'integer', minimum: 10, description: 'Polling interval in ms (default: 100).' },
+        conditions: {
+          type: 'object',
+          properties: CONDITIONS_PROPERTIES,
+          description: 'Optional: apply emulate_conditions options before navigating (they stay active afterwards).',
+        },
       },
       required: ['url'],
     },
@@ -2257,8 +6783,9 @@ const TOOL_DEFS = [
   {
     name: 'list_events',
     title: 'List Captured Events',
+    annotations: { readOnlyHint: true },
     description:
-      'List captured CDP events (console, exceptions, logs) since connect(). Useful for debugging layout/CSS/JS issues while iterating.',
+      'List captured CDP events (console, exceptions, logs) since connect(). Useful for debugging layout/CSS/JS issues while iterating. With a browser-level connection, events from child targets carry sessionId, targetId and targetType.',
     inputSchema: {
       type: 'object',
       properties: {
@@ -2266,17 +6793,81 @@ const TOOL_DEFS = [
         limit: { type: 'integer', minimum: 1, description: 'Max events to return (default: 50).' },
         types: {
           type: 'array',
-          description: 'Optional filter: any of ["console","exception","log"].',
-          items: { type: 'string', enum: ['console', 'exception', 'log'] },
+          description: 'Optional filter: any of ["console","exception","log","crash","reconnect","process"].',
+          items: { type: 'string', enum: ['console', 'exception', 'log', 'crash', 'reconnect', 'process'] },
+        },
+        sessionId: {
+          type: 'string',
+          description: 'Optional filter: only events from this child target sessionId (browser-level connections).',
         },
         clear: { type: 'boolean', description: 'If true, clear buffered events after returning.' },
       },
       required: [],
     },
   },
+  {
+    name: 'list_requests',
+    title: 'List Network Requests',
+    description:
+      'List logged network requests of the selected page (recorded from connect(); the last 1000 are kept): URL, method, status, resource type, timing, sizes and initiator. Filter by status, type, state and URL pattern; optionally include headers and response bodies (Network.getResponseBody).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        urlPattern: {
+          type: 'string',
+          description: 'URL filter: substring, glob with "*" over the whole URL (e.g. "*/api/*"), or "/regex/flags".',
+        },
+        status: {
+          type: 'array',
+          items: { type: ['integer', 'string'] },
+          description: 'Status filter: exact codes and/or classes like "4xx" (e.g. [404, "5xx"]).',
+        },
+        types: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Network.ResourceType filter (Document, Stylesheet, Image, Media, Font, Script, XHR, Fetch, EventSource, WebSocket, Other, ...).',
+        },
+        states: {
+          type: 'array',
+          items: { type: 'string', enum: ['pending', 'finished', 'failed', 'redirected'] },
+          description: 'Lifecycle filter (default: all).',
+        },
+        sinceSeq: { type: 'integer', minimum: 0, description: 'Only return requests with seq > sinceSeq.' },
+        limit: { type: 'integer', minimum: 1, description: 'Max requests to return, newest last (default: 50).' },
+        includeHeaders: { type: 'boolean', description: 'Include request/response headers and post data (default: false).' },
+        includeBodies: { type: 'boolean', description: 'Fetch response bodies of finished requests (default: false).' },
+        maxBodyBytes: { type: 'integer', minimum: 0, description: 'Skip bodies larger than this (default: 100000).' },
+        clear: { type: 'boolean', description: 'If true, clear the request log after returning.' },
+      },
+      required: [],
+    },
+  },
+  {
+    name: 'export_har',
+    title: 'Export HAR',
+    description:
+      'Write the request log of the selected page as a HAR 1.2 file (opens in Chrome DevTools, Charles, etc.). Accepts the list_requests filters; response bodies are optional.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        filePath: {
+          type: 'string',
+          description: `Output path (default: ${path.relative(process.cwd(), DEFAULT_BUNDLE_DIR)}/<timestamp>-network.har).`,
+        },
+        urlPattern: { type: 'string', description: 'URL filter (same syntax as list_requests).' },
+        status: { type: 'array', items: { type: ['integer', 'string'] }, description: 'Status filter (same as list_requests).' },
+        types: { type: 'array', items: { type: 'string' }, description: 'Network.ResourceType filter.' },
+        sinceSeq: { type: 'integer', minimum: 0, description: 'Only export requests with seq > sinceSeq.' },
+        includeBodies: { type: 'boolean', description: 'Embed response bodies (default: false).' },
+        maxBodyBytes: { type: 'integer', minimum: 0, description: 'Omit bodies larger than this (default: 1000000).' },
+      },
+      required: [],
+    },
+  },
   {
     name: 'audit_layout',
     title: 'Audit Layout',
+    annotations: { readOnlyHint: true },
     description:
       'Heuristic layout audit: detect horizontal overflow and report a few elements that extend past the viewport.',
     inputSchema: {
@@ -2301,6 +6892,7 @@ const TOOL_DEFS = [
         format: { type: 'string', enum: ['png', 'jpeg', 'webp'], description: 'Screenshot format (default: png).' },
         quality: { type: 'integer', minimum: 0, maximum: 100, description: 'Quality for jpeg/webp.' },
         fullPage: { type: 'boolean', description: 'If true, attempt a full-page screenshot (best-effort). Default false.' },
+        stitch: STITCH_PROPERTY,
         inlineScreenshot: { type: 'boolean', description: 'If true, attach the screenshot inline when small enough. Default false.' },
 
         includeDom: { type: 'boolean', description: 'If true, include a DOM snapshot file (default true).' },
@@ -2317,6 +6909,9 @@ const TOOL_DEFS = [
         },
         clearEvents: { type: 'boolean', description: 'If true, clear buffered events after capture (default false).' },
 
+        includeHar: { type: 'boolean', description: 'If true, include the request log as network.har (default false).' },
+        harIncludeBodies: { type: 'boolean', description: 'If true, embed response bodies in network.har (default false).' },
+
         includeLayoutAudit: { type: 'boolean', description: 'If true, include a layout.json file (default true).' },
         tolerancePx: { type: 'integer', minimum: 0, description: 'Tolerance in px for overflow detection (default: 1).' },
         maxElements: { type: 'integer', minimum: 1, description: 'Max overflowing elements to include (default: 30).' },
@@ -2327,6 +6922,7 @@ const TOOL_DEFS = [
   {
     name: 'assert_layout',
     title: 'Assert Layout Rules',
+    annotations: { readOnlyHint: true },
     description:
       'Run layout assertions (overflow, clipped text, overlaps, tap target size) and return pass/fail with sampled violations.',
     inputSchema: {
@@ -2376,6 +6972,8 @@ const TOOL_DEFS = [
         format: { type: 'string', enum: ['png', 'jpeg', 'webp'], description: 'Format used when auto-capturing candidate (default: png).' },
         quality: { type: 'integer', minimum: 0, maximum: 100, description: 'Quality used for jpeg/webp candidate capture.' },
         fullPage: { type: 'boolean', description: 'If true, candidate capture is full-page (default: false).' },
+        stitch: { ...STITCH_PROPERTY, description: 'Scroll-and-stitch the candidate capture (see take_screenshot.stitch).' },
+        stabilize: { ...STABILIZE_PROPERTY, description: 'Deterministic candidate capture (see take_screenshot.stabilize); capture the baseline with the same options.' },
         threshold: {
           type: 'number',
           minimum: 0,
@@ -2404,7 +7002,7 @@ const TOOL_DEFS = [
     name: 'qa_matrix',
     title: 'QA Matrix (Viewport Sweep)',
     description:
-      'Capture screenshots (and optional layout assertions) across a viewport matrix and write a manifest with per-viewport results.',
+      'Capture screenshots (and optional layout assertions) across a viewport and/or device preset matrix, optionally crossed with media variants (e.g. light/dark) and locales, and write a manifest with per-viewport results. Reports progress per viewport when a progressToken is supplied; cancellation clears the viewport override.',
     inputSchema: {
       type: 'object',
       properties: {
@@ -2429,9 +7027,66 @@ const TOOL_DEFS = [
             required: ['name', 'width', 'height'],
           },
         },
+        devices: {
+          type: 'array',
+          description: 'Device presets to sweep (see list_devices), as names or { device, landscape, name, fullPage, waitMs }. Added after viewports; when given without viewports, only devices are captured.',
+          items: {
+            anyOf: [
+              { type: 'string' },
+              {
+                type: 'object',
+                properties: {
+                  device: { type: 'string' },
+                  landscape: { type: 'boolean' },
+                  name: { type: 'string', description: 'Label for files/manifest (default: device name).' },
+                  fullPage: { type: 'boolean' },
+                  waitMs: { type: 'integer', minimum: 0 },
+                },
+                required: ['device'],
+              },
+            ],
+          },
+        },
+        media: {
+          type: 'array',
+          description: 'Optional media axis: each viewport is captured once per entry (e.g. light and dark). Entries use emulate_media options; media emulation is restored afterwards.',
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string', description: 'Label for files/manifest (default: derived, e.g. "dark-reduce").' },
+              colorScheme: { type: 'string', enum: MEDIA_FEATURE_OPTIONS.colorScheme.values },
+              reducedMotion: { type: 'string', enum: MEDIA_FEATURE_OPTIONS.reducedMotion.values },
+              contrast: { type: 'string', enum: MEDIA_FEATURE_OPTIONS.contrast.values },
+              forcedColors: { type: 'string', enum: MEDIA_FEATURE_OPTIONS.forcedColors.values },
+              media: { type: 'string', enum: MEDIA_TYPES },
+            },
+          },
+        },
+        locales: {
+          type: 'array',
+          description:
+            'Optional locale axis (emulate_locale options, or just a locale string). Runs locale-major and reloads once per locale so apps re-render; each result records the document lang and direction. Locale emulation is restored afterwards.',
+          items: {
+            anyOf: [
+              { type: 'string' },
+              {
+                type: 'object',
+                properties: {
+                  name: { type: 'string', description: 'Label for files/manifest (default: the locale).' },
+                  locale: { type: 'string' },
+                  acceptLanguage: { type: 'string' },
+                  timezoneId: { type: 'string' },
+                },
+                required: ['locale'],
+              },
+            ],
+          },
+        },
+        reloadOnLocaleChange: { type: 'boolean', description: 'Reload the page after switching locale (default: true).' },
         format: { type: 'string', enum: ['png', 'jpeg', 'webp'], description: 'Screenshot format (default: png).' },
         quality: { type: 'integer', minimum: 0, maximum: 100, description: 'Quality for jpeg/webp screenshots.' },
         fullPage: { type: 'boolean', description: 'Default fullPage flag for matrix captures (default: false).' },
+        stabilize: { ...STABILIZE_PROPERTY, description: 'Deterministic capture for every cell (see take_screenshot.stabilize).' },
         waitMs: { type: 'integer', minimum: 0, description: 'Default wait after viewport set and before capture (default: 120).' },
         includeLayoutAudit: { type: 'boolean', description: 'If true, include audit_layout result per viewport (default: true).' },
         includeAssertions: {
@@ -2452,7 +7107,7 @@ const TOOL_DEFS = [
     name: 'render_html_mockups',
     title: 'Render HTML Mockups (Batch)',
     description:
-      'Render a standalone HTML string in a fresh tab, apply multiple CSS variants, and save screenshots for each variant. Optionally restores the previously connected target.',
+      'Render a standalone HTML string in a fresh tab, apply multiple CSS variants, and save screenshots for each variant. Runs in a private session, so the caller\'s session stays connected to its target. Reports progress per variant when a progressToken is supplied; cancellation closes the temporary tab.',
     inputSchema: {
       type: 'object',
       properties: {
@@ -2516,7 +7171,8 @@ const TOOL_DEFS = [
         keepPageOpen: { type: 'boolean', description: 'If true, do not close the mockup tab. Default false.' },
         restorePreviousTarget: {
           type: 'boolean',
-          description: 'If true and previously connected, reconnect to the previous target after rendering. Default true.',
+          description:
+            'If true and previously connected, the session stays on its previous target after rendering. If false and keepPageOpen is set, the session is left connected to the mockup tab. Default true.',
         },
         inlineLimit: {
           type: 'integer',
@@ -2536,30 +7192,245 @@ const TOOL_DEFS = [
     inputSchema: {
       type: 'object',
       properties: {
-        expression: {
-          type: 'string',
-          description: 'JavaScript expression to evaluate in the page context.',
-        },
-        awaitPromise: {
-          type: 'boolean',
-          description: 'If true, await returned promise. Default true.',
-        },
-        returnByValue: {
-          type: 'boolean',
-          description: 'If true, return JSON-serializable value. Default true.',
-        },
-        timeoutMs: {
-          type: 'integer',
-          minimum: 0,
-          description: 'Timeout in milliseconds for CDP response. Default 30000.',
-        },
+        expression: {
+          type: 'string',
+          description: 'JavaScript expression to evaluate in the page context.',
+        },
+        awaitPromise: {
+          type: 'boolean',
+          description: 'If true, await returned promise. Default true.',
+        },
+        returnByValue: {
+          type: 'boolean',
+          description: 'If true, return JSON-serializable value. Default true.',
+        },
+        timeoutMs: {
+          type: 'integer',
+          minimum: 0,
+          description: 'Timeout in milliseconds for CDP response. Default 30000.',
+        },
+      },
+      required: ['expression'],
+    },
+  },
+  {
+    name: 'click',
+    title: 'Click',
+    description:
+      'Click an element (or viewport point) with real Input.dispatchMouseEvent pointer events: move, press, release. Reports whether another element covers the click point.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...POINTER_TARGET_PROPERTIES,
+        button: { type: 'string', enum: MOUSE_BUTTONS, description: 'Mouse button (default: left).' },
+        clickCount: { type: 'integer', minimum: 1, maximum: 3, description: '2 for a double click, 3 for a triple click (default: 1).' },
+        holdMs: { type: 'integer', minimum: 0, description: 'Optional: hold the button down this long before releasing.' },
+        modifiers: MODIFIERS_PROPERTY,
+      },
+      required: [],
+    },
+  },
+  {
+    name: 'hover',
+    title: 'Hover',
+    description: 'Move the mouse over an element (or viewport point) so :hover styles, tooltips and mouseover handlers apply before take_screenshot.',
+    inputSchema: {
+      type: 'object',
+      properties: { ...POINTER_TARGET_PROPERTIES },
+      required: [],
+    },
+  },
+  {
+    name: 'type_text',
+    title: 'Type Text',
+    description:
+      'Type text into the focused element via Input.insertText. With selector, clicks the element first to focus it (focus rings and focus handlers fire as for a user).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        text: { type: 'string', description: 'Text to type.' },
+        selector: { type: 'string', description: 'Optional: click this element first to focus it.' },
+        index: { type: 'integer', minimum: 0, description: 'Which match to use (0-based). Default 0.' },
+        clear: { type: 'boolean', description: 'Select the existing content and delete it before typing. Default false.' },
+        delayMs: { type: 'integer', minimum: 0, description: 'Optional: type one character at a time with this delay between characters.' },
+        timeoutMs: { type: 'integer', minimum: 0, description: 'Timeout for selector lookup (default: 30000).' },
+      },
+      required: ['text'],
+    },
+  },
+  {
+    name: 'upload_files',
+    title: 'Upload Files',
+    description:
+      'Set the files of an <input type=file> (DOM.setFileInputFiles), which fires its input/change events like a user picking files. Paths must be inside the input roots (OVERTY_INPUT_DIRS, default output/overty/inputs). Optionally waits for the resulting network activity to go idle.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        selector: { type: 'string', description: 'CSS selector of the file input.' },
+        index: { type: 'integer', minimum: 0, description: 'Which match to use (0-based). Default 0.' },
+        files: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'File paths (absolute, or relative to the cwd or the first input root). An empty array clears the selection.',
+        },
+        waitForNetworkIdle: {
+          anyOf: [
+            { type: 'boolean' },
+            {
+              type: 'object',
+              properties: {
+                idleMs: { type: 'integer', minimum: 0 },
+                timeoutMs: { type: 'integer', minimum: 0 },
+              },
+            },
+          ],
+          description: 'Wait for uploads triggered by the change to finish (true, or { idleMs, timeoutMs }). Default false.',
+        },
+      },
+      required: ['selector', 'files'],
+    },
+  },
+  {
+    name: 'fill_form',
+    title: 'Fill Form',
+    description:
+      'Fill form fields from a map of selector -> value (text inputs, textarea, select, checkbox, radio, date/time, contenteditable) using native setters plus input/change events, so React/Vue controlled inputs update their state. Reports per-field success and validation state (validity, validationMessage, aria-invalid).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        fields: {
+          type: 'object',
+          additionalProperties: {
+            anyOf: [{ type: 'string' }, { type: 'number' }, { type: 'boolean' }, { type: 'array', items: { type: 'string' } }],
+          },
+          description:
+            'Map of CSS selector to value. Checkbox: boolean. Radio: selector for the group plus the value (or label) to pick. Select: option value or text (array for multiple). Date/time inputs take their wire format (e.g. 2024-05-31, 13:45).',
+        },
+        blur: { type: 'boolean', description: 'Blur the last focused field afterwards so on-blur validation runs. Default true.' },
+        settleMs: { type: 'integer', minimum: 0, description: 'Wait before reading validation state (default: 100).' },
+        timeoutMs: { type: 'integer', minimum: 0, description: 'Evaluation timeout (default: 30000).' },
+      },
+      required: ['fields'],
+    },
+  },
+  {
+    name: 'press_key',
+    title: 'Press Key',
+    description:
+      'Press a key via Input.dispatchKeyEvent (keyDown/keyUp), e.g. "Enter", "Escape", "Tab", "ArrowDown", "a", or a combo like "Shift+Tab" / "Control+a".',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        key: { type: 'string', description: 'Key name (DOM KeyboardEvent.key) or "Modifier+Key" combo.' },
+        modifiers: MODIFIERS_PROPERTY,
+        count: { type: 'integer', minimum: 1, maximum: 100, description: 'How many times to press (default: 1).' },
+        selector: { type: 'string', description: 'Optional: focus this element (element.focus()) first.' },
+        index: { type: 'integer', minimum: 0, description: 'Which match to use (0-based). Default 0.' },
+      },
+      required: ['key'],
+    },
+  },
+  {
+    name: 'scroll',
+    title: 'Scroll',
+    description:
+      'Scroll with a mouse wheel event at an element (scrolls its nearest scrollable container) or viewport point. Without deltas and with a selector, just scrolls the element into view. Returns the resulting scroll positions.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...POINTER_TARGET_PROPERTIES,
+        scrollIntoView: { type: 'boolean', description: 'Scroll the element into view first. Default: true only when no deltas are given.' },
+        deltaX: { type: 'number', description: 'Horizontal wheel delta in CSS px (positive = right).' },
+        deltaY: { type: 'number', description: 'Vertical wheel delta in CSS px (positive = down).' },
+        settleMs: { type: 'integer', minimum: 0, description: 'Wait after the wheel event before reading scroll positions (default: 150).' },
+      },
+      required: [],
+    },
+  },
+  {
+    name: 'drag',
+    title: 'Drag',
+    description:
+      'Drag with the mouse: press at the start (selector or x/y), move along an optional path to the destination (toSelector, toX/toY, or deltaX/deltaY), release. HTML5 drag-and-drop is detected and completed with Input.dispatchDragEvent. Optionally screenshots mid-drag and after.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...POINTER_TARGET_PROPERTIES,
+        toSelector: { type: 'string', description: 'Destination element (its box center).' },
+        toIndex: { type: 'integer', minimum: 0, description: 'Which destination match to use (0-based). Default 0.' },
+        toX: { type: 'number', description: 'Destination viewport x (CSS px).' },
+        toY: { type: 'number', description: 'Destination viewport y (CSS px).' },
+        deltaX: { type: 'number', description: 'Destination relative to the start (CSS px).' },
+        deltaY: { type: 'number', description: 'Destination relative to the start (CSS px).' },
+        path: {
+          type: 'array',
+          items: { type: 'object', properties: { x: { type: 'number' }, y: { type: 'number' } }, required: ['x', 'y'] },
+          description: 'Optional intermediate viewport points between start and destination.',
+        },
+        steps: { type: 'integer', minimum: 1, maximum: 200, description: 'Mouse moves per path segment (default: 10).' },
+        durationMs: { type: 'integer', minimum: 0, description: 'Total time spent moving (default: 300).' },
+        mode: { type: 'string', enum: ['auto', 'mouse'], description: 'auto (default) completes HTML5 drags via dispatchDragEvent; mouse sends mouse events only.' },
+        screenshots: GESTURE_SCREENSHOTS_PROPERTY,
+      },
+      required: [],
+    },
+  },
+  {
+    name: 'tap',
+    title: 'Tap',
+    description: 'Tap an element (or viewport point) with Input.dispatchTouchEvent (touch emulation is enabled automatically). holdMs makes it a long press.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...POINTER_TARGET_PROPERTIES,
+        holdMs: { type: 'integer', minimum: 0, description: 'Time between touchStart and touchEnd (default: 50).' },
+        screenshots: GESTURE_SCREENSHOTS_PROPERTY,
+      },
+      required: [],
+    },
+  },
+  {
+    name: 'swipe',
+    title: 'Swipe',
+    description:
+      'One-finger swipe with touch events from an element (or point) in a direction, e.g. to page a carousel. Distance defaults to 70% of the element size along the axis (200px for a point).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...POINTER_TARGET_PROPERTIES,
+        direction: { type: 'string', enum: ['left', 'right', 'up', 'down'], description: 'Finger movement direction (default: left).' },
+        distance: { type: 'number', minimum: 1, description: 'Swipe distance in CSS px.' },
+        toX: { type: 'number', description: 'Optional explicit end x (overrides direction/distance).' },
+        toY: { type: 'number', description: 'Optional explicit end y (overrides direction/distance).' },
+        steps: { type: 'integer', minimum: 1, maximum: 200, description: 'touchMove events (default: 10).' },
+        durationMs: { type: 'integer', minimum: 0, description: 'Total gesture time (default: 250).' },
+        screenshots: GESTURE_SCREENSHOTS_PROPERTY,
+      },
+      required: [],
+    },
+  },
+  {
+    name: 'pinch',
+    title: 'Pinch',
+    description:
+      'Two-finger pinch with touch events around an element (or point, default viewport center). scale > 1 spreads the fingers (zoom in), scale < 1 brings them together (zoom out).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...POINTER_TARGET_PROPERTIES,
+        scale: { type: 'number', exclusiveMinimum: 0, description: 'End finger distance / start distance (default: 2).' },
+        startDistance: { type: 'number', minimum: 2, description: 'Initial distance between the fingers in CSS px (default: 80 to zoom in, 240 to zoom out).' },
+        steps: { type: 'integer', minimum: 1, maximum: 200, description: 'touchMove events (default: 10).' },
+        durationMs: { type: 'integer', minimum: 0, description: 'Total gesture time (default: 300).' },
+        screenshots: GESTURE_SCREENSHOTS_PROPERTY,
       },
-      required: ['expression'],
+      required: [],
     },
   },
   {
     name: 'take_screenshot',
     title: 'Take Screenshot',
+    annotations: { readOnlyHint: true },
     description: 'Capture a screenshot of the currently selected target.',
     inputSchema: {
       type: 'object',
@@ -2579,6 +7450,8 @@ const TOOL_DEFS = [
           type: 'boolean',
           description: 'If true, attempt a full-page capture (best-effort). Default false.',
         },
+        stitch: STITCH_PROPERTY,
+        stabilize: STABILIZE_PROPERTY,
         filePath: {
           type: 'string',
           description:
@@ -2592,14 +7465,27 @@ const TOOL_DEFS = [
     name: 'screenshot_element',
     title: 'Screenshot Element',
     description:
-      'Capture a screenshot of a single element matched by CSS selector (best-effort clip to the viewport).',
+      'Capture a screenshot of an element matched by CSS selector: its full bounding box, even past the viewport (captureBeyondViewport). frameSelector reaches into same-origin iframes. Scroll containers and iframes still clip their content; the result reports clipped/clippedBy. selectorAll writes one screenshot per match plus manifest.json to a folder.',
     inputSchema: {
       type: 'object',
       properties: {
         selector: { type: 'string', description: 'CSS selector to target.' },
         index: { type: 'integer', minimum: 0, description: 'Which match to use (0-based). Default 0.' },
+        frameSelector: {
+          type: ['string', 'array'],
+          items: { type: 'string' },
+          description: 'iframe selector (or chain of selectors for nested frames) to resolve selector in. Same-origin frames only.',
+        },
+        selectorAll: { type: 'boolean', description: 'Capture every match (up to maxElements) into outputDir with a manifest.json.' },
+        maxElements: { type: 'integer', minimum: 1, description: 'selectorAll: max matches to capture (default: 50).' },
+        outputDir: {
+          type: 'string',
+          description: `selectorAll: output directory (default: ${path.relative(process.cwd(), DEFAULT_SCREENSHOT_DIR)}/elements-<selector>-<timestamp>/).`,
+        },
+        writeManifest: { type: 'boolean', description: 'selectorAll: write manifest.json (default: true).' },
+        inlineLimit: { type: 'integer', minimum: 0, description: 'selectorAll: attach up to this many screenshots inline when small enough (default: 0).' },
         paddingPx: { type: 'number', minimum: 0, description: 'Extra padding around the element clip in px (default: 0).' },
-        scrollIntoView: { type: 'boolean', description: 'If true, scroll element into view before capture. Default true.' },
+        scrollIntoView: { type: 'boolean', description: 'If true, scroll element into view before capture (keeps it visible inside scroll containers). Default true.' },
         format: { type: 'string', enum: ['png', 'jpeg', 'webp'], description: 'Image format (default: png).' },
         quality: {
           type: 'integer',
@@ -2613,6 +7499,7 @@ const TOOL_DEFS = [
             'Optional: save the screenshot to this path (absolute or relative). If omitted, image is returned inline when small enough.',
         },
         timeoutMs: { type: 'integer', minimum: 0, description: 'Timeout for selector lookup + capture (default: 30000).' },
+        stabilize: STABILIZE_PROPERTY,
       },
       required: ['selector'],
     },
@@ -2620,6 +7507,7 @@ const TOOL_DEFS = [
   {
     name: 'take_dom_snapshot',
     title: 'Take DOM Snapshot',
+    annotations: { readOnlyHint: true },
     description:
       'Return the current DOM as HTML (document.documentElement.outerHTML) or a selected element outerHTML.',
     inputSchema: {
@@ -2645,9 +7533,41 @@ const TOOL_DEFS = [
   },
 ];
 
-const cdp = new CdpSession();
+// Every tool except list_sessions / list_devices operates on a named session.
+for (const def of TOOL_DEFS) {
+  if (def.name === 'list_sessions' || def.name === 'list_devices') continue;
+  def.inputSchema.properties.session = {
+    type: 'string',
+    pattern: SESSION_NAME_PATTERN.source,
+    description:
+      ['connect', 'open_page', 'launch_browser', 'launch_electron'].includes(def.name)
+        ? `Session name to create or replace (default: "${DEFAULT_SESSION_NAME}"). Use distinct names to drive several targets side by side.`
+        : `Named session to operate on (default: "${DEFAULT_SESSION_NAME}").`,
+  };
+}
+
+const READ_ONLY_TOOLS = new Set(TOOL_DEFS.filter((def) => def.annotations && def.annotations.readOnlyHint).map((def) => def.name));
+
+const sessions = new Map(); // name -> CdpSession
+
+function normalizeSessionName(raw) {
+  if (raw === undefined || raw === null || raw === '') return DEFAULT_SESSION_NAME;
+  const name = String(raw).trim();
+  return SESSION_NAME_PATTERN.test(name) ? name : null;
+}
+
+// Unknown names get a fresh, unregistered session so "Not connected" errors stay uniform;
+// only connect/open_page register a session in `sessions`.
+function lookupSession(name) {
+  return sessions.get(name) || new CdpSession(name);
+}
+
+function registerSession(session) {
+  sessions.set(session.name, session);
+  return session;
+}
 
-async function handleRequest(msg) {
+async function handleRequest(msg, ctx) {
   switch (msg.method) {
     case 'initialize': {
       const clientProto = msg.params && msg.params.protocolVersion ? String(msg.params.protocolVersion) : MCP_PROTOCOL_VERSION;
@@ -2655,27 +7575,46 @@ async function handleRequest(msg) {
         protocolVersion: clientProto || MCP_PROTOCOL_VERSION,
         capabilities: {
           tools: {},
+          resources: {},
         },
         serverInfo: SERVER_INFO,
         instructions: [
           'overty connects to a CDP endpoint (Chrome/Electron) and lets you:',
+          '- start and own a local headless Chrome when no endpoint exists (launch_browser / close_browser)',
+          '- start an Electron app under test and capture its stdout/stderr as process events (launch_electron)',
+          '- drive several targets side by side via named sessions (session arg on every tool, list_sessions, close_session)',
           '- execute JS (inject CSS, query layout, read state)',
+          '- interact with real input events to reach UI states (click, hover, type_text, press_key, scroll)',
+          '- fill whole forms so framework-controlled inputs update, with per-field validation (fill_form)',
+          '- set <input type=file> files from the input roots and wait for the upload (upload_files)',
+          '- drag-and-drop and touch gestures with mid/after screenshots in one call (drag, tap, swipe, pinch)',
           '- set CSS quickly (set_css)',
           '- install CSS persistently across reloads (install_css / uninstall_css / list_installed_css)',
-          '- set a consistent viewport (set_viewport)',
+          '- mock API responses, delays and network errors to screenshot error/empty/loading states (mock_route / unmock_route / list_routes)',
+          '- send extra headers, answer HTTP basic auth and override the user agent for the session (set_request_headers / set_http_auth / set_user_agent)',
+          '- read, set and clear cookies/localStorage/sessionStorage, and save/restore a logged-in state before navigate (get_storage / set_storage / clear_storage / save_storage_state / load_storage_state)',
+          '- set a consistent viewport or emulate a named device (set_viewport, list_devices)',
+          '- emulate dark mode, reduced motion, contrast, forced colors or print media (emulate_media)',
+          '- throttle network (Offline, Slow 3G, Fast 3G, 4G) and CPU (emulate_conditions, or navigate.conditions)',
+          '- emulate locale, Accept-Language, timezone and geolocation for i18n screenshots (emulate_locale; qa_matrix locales axis)',
+          '- simulate color-vision deficiencies and blur, or capture a gallery across all of them (simulate_vision)',
           '- navigate with readiness waits (navigate)',
           '- wait for stability (wait_for)',
           '- wait for network idle (wait_for_network_idle)',
-          '- inspect console/log/exception events (list_events)',
+          '- connect browser-level to also see popups, OOPIFs and workers (connect browserLevel=true; list_targets childTargets)',
+          '- inspect console/log/exception events, including child targets (list_events)',
+          '- inspect network requests and export them as HAR (list_requests, export_har; capture_bundle includeHar)',
+          '- survive crashes/reloads/restarts: connect with autoReconnect to re-attach and re-install CSS automatically (reconnect events in list_events)',
           '- run a basic layout audit (audit_layout)',
           '- assert layout quality rules (assert_layout)',
-          '- compare screenshots with pixel-diff metrics (visual_diff)',
+          '- compare screenshots with pixel-diff metrics (visual_diff); pass stabilize to take_screenshot / screenshot_element / qa_matrix / visual_diff to freeze animations, hide carets and scrollbars and mask volatile regions',
           '- run viewport QA sweeps with screenshots + assertions (qa_matrix)',
           '- capture a QA bundle (capture_bundle)',
-          '- take screenshots for instant visual QA',
-          '- screenshot a single element (screenshot_element)',
+          '- take screenshots for instant visual QA (stitch: true scroll-and-stitches long pages and inner scroll containers)',
+          '- screenshot an element\'s full box, even past the viewport or inside a same-origin iframe, or every match into a folder with selectorAll (screenshot_element)',
           '- snapshot DOM (outerHTML) for inspection',
           '- batch-render standalone HTML mockups with CSS variants + gallery (render_html_mockups)',
+          '- fetch written artifacts (screenshots, DOM snapshots, manifests, diffs) as MCP resources (resources/list, resources/read)',
           '',
           `Default CDP endpoint: ${DEFAULT_BROWSER_URL}`,
           'Safety: connect() refuses non-loopback endpoints unless allowRemote=true.',
@@ -2691,10 +7630,87 @@ async function handleRequest(msg) {
       return { tools: TOOL_DEFS };
     }
 
+    case 'resources/list': {
+      const cursor = msg.params && msg.params.cursor !== undefined ? String(msg.params.cursor) : '';
+      const offset = cursor ? Number.parseInt(cursor, 10) : 0;
+      if (!Number.isFinite(offset) || offset < 0) {
+        throw Object.assign(new Error(`Invalid cursor: ${cursor}`), { _mcpCode: -32602 });
+      }
+
+      const files = await listArtifactFiles();
+      const page = files.slice(offset, offset + ARTIFACT_RESOURCES_PAGE_SIZE);
+      const resources = page.map((f) => {
+        const rel = path.relative(f.root.dir, f.filePath).split(path.sep).join('/');
+        return {
+          uri: artifactUriFromPath(f.filePath),
+          name: `${f.root.name}/${rel}`,
+          title: path.basename(f.filePath),
+          mimeType: mimeFromPath(f.filePath, 'application/octet-stream'),
+          size: f.size,
+          annotations: { lastModified: new Date(f.mtimeMs).toISOString() },
+        };
+      });
+      const nextOffset = offset + page.length;
+      return {
+        resources,
+        ...(nextOffset < files.length ? { nextCursor: String(nextOffset) } : {}),
+      };
+    }
+
+    case 'resources/templates/list': {
+      return {
+        resourceTemplates: ARTIFACT_ROOTS.map((root) => ({
+          uriTemplate: `${ARTIFACT_URI_PREFIX}${root.name}/{+path}`,
+          name: root.name,
+          title: `overty ${root.name}`,
+          description: `${root.description} Root: ${path.relative(process.cwd(), root.dir) || root.dir}`,
+        })),
+      };
+    }
+
+    case 'resources/read': {
+      const uri = msg.params && typeof msg.params.uri === 'string' ? msg.params.uri : '';
+      if (!uri) throw Object.assign(new Error('Missing required param: uri'), { _mcpCode: -32602 });
+
+      const filePath = resolveArtifactUri(uri);
+      let stat = null;
+      try {
+        stat = filePath ? fs.statSync(filePath) : null;
+      } catch {
+        stat = null;
+      }
+      if (!filePath || !stat || !stat.isFile()) {
+        throw Object.assign(new Error(`Resource not found: ${uri}`), { _mcpCode: -32002 });
+      }
+      if (stat.size > MAX_RESOURCE_READ_BYTES) {
+        throw Object.assign(new Error(`Resource too large (${stat.size} bytes): ${uri}`), { _mcpCode: -32602 });
+      }
+
+      const mimeType = mimeFromPath(filePath, 'application/octet-stream');
+      const buf = fs.readFileSync(filePath);
+      return {
+        contents: [
+          isTextMimeType(mimeType)
+            ? { uri, mimeType, text: buf.toString('utf8') }
+            : { uri, mimeType, blob: buf.toString('base64') },
+        ],
+      };
+    }
+
     case 'tools/call': {
       const name = msg.params && msg.params.name ? String(msg.params.name) : '';
       const args = (msg.params && msg.params.arguments) || {};
 
+      const sessionName = normalizeSessionName(args.session);
+      if (!sessionName) {
+        return toolError('OVERTY_INVALID_ARG', `Invalid session name: ${String(args.session)}`, { pattern: SESSION_NAME_PATTERN.source });
+      }
+      const cdp = lookupSession(sessionName);
+      // Let an in-flight auto-reconnect settle instead of failing with "Not connected".
+      if (cdp.reconnecting && !['connect', 'open_page', 'close_session', 'list_sessions', 'list_devices'].includes(name)) {
+        await cdp.reconnecting;
+      }
+
       switch (name) {
         case 'connect': {
           const res = await cdp.connect({
@@ -2705,21 +7721,76 @@ async function handleRequest(msg) {
             targetUrlSubstring: args.targetUrlSubstring,
             targetTitleSubstring: args.targetTitleSubstring,
             navigateUrl: args.navigateUrl,
+            browserLevel: !!args.browserLevel,
+            autoReconnect: args.autoReconnect,
           });
           if (!res.ok) return toolError(res.error.code, res.error.message, res.error.details);
+          registerSession(cdp);
 
           return {
             content: [
               {
                 type: 'text',
                 text: [
-                  `Connected to ${res.browserUrl}`,
+                  `Connected to ${res.browserUrl} (session: ${cdp.name})`,
                   `Selected: [${res.selectedTarget.type}] ${res.selectedTarget.title || '(untitled)'} ${res.selectedTarget.url || ''}`.trim(),
                   `Targets: ${res.targets.length}`,
+                  ...(res.browserLevel ? ['Mode: browser-level (auto-attaching child targets)'] : []),
                 ].join('\n'),
               },
             ],
-            structuredContent: { browserUrl: res.browserUrl, selectedTarget: res.selectedTarget, targets: res.targets },
+            structuredContent: {
+              session: cdp.name,
+              browserUrl: res.browserUrl,
+              browserLevel: res.browserLevel,
+              selectedTarget: res.selectedTarget,
+              targets: res.targets,
+            },
+          };
+        }
+
+        case 'list_sessions': {
+          const list = Array.from(sessions.values()).map((session) => ({
+            ...session.describe(),
+            launched: describeLaunchedProcess(launchedProcesses.get(session.name)),
+          }));
+          return {
+            content: [
+              {
+                type: 'text',
+                text: list.length
+                  ? list
+                      .map((d) => `${d.name}: ${d.connected ? 'connected' : 'disconnected'}${d.selectedTarget ? ` [${d.selectedTarget.type}] ${d.selectedTarget.url || ''}` : ''}`.trim())
+                      .join('\n')
+                  : 'No sessions.',
+              },
+            ],
+            structuredContent: { sessions: list },
+          };
+        }
+
+        case 'close_session': {
+          const known = sessions.get(sessionName);
+          if (!known) return toolError('OVERTY_NOT_FOUND', `No such session: ${sessionName}`);
+
+          let closedTarget = null;
+          if (args.closeTarget && known.browserUrl && known.selectedTarget && known.selectedTarget.id) {
+            const targetId = String(known.selectedTarget.id);
+            const closeRes = await cdpHttpClose({ browserUrl: known.browserUrl, allowRemote: known.allowRemote, targetId });
+            closedTarget = closeRes.ok ? { ok: true, targetId } : { ok: false, targetId, error: closeRes.error };
+          }
+          await known.disconnect();
+          sessions.delete(sessionName);
+          const closedBrowser = await closeLaunchedProcess(sessionName);
+
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `Closed session ${sessionName}${closedTarget && closedTarget.ok ? ` (target ${closedTarget.targetId} closed)` : ''}${closedBrowser ? ` (browser pid ${closedBrowser.pid} stopped)` : ''}`,
+              },
+            ],
+            structuredContent: { session: sessionName, closedTarget, closedBrowser },
           };
         }
 
@@ -2732,9 +7803,16 @@ async function handleRequest(msg) {
           if (!targetsRes.ok) return toolError(targetsRes.error.code, targetsRes.error.message, targetsRes.error.details);
 
           const base = toCdpHttpBase(guard.url.toString());
+          // Workers and in-process children never appear in /json/list; report what the session auto-attached.
+          const childTargets = cdp.isConnected && cdp.browserUrl === base ? cdp.listChildTargets() : [];
+          const lines = [`Targets: ${targetsRes.targets.length}`, `Browser: ${base}`];
+          if (childTargets.length) {
+            lines.push(`Child targets (session ${cdp.name}): ${childTargets.length}`);
+            for (const c of childTargets) lines.push(`- [${c.type}] ${c.url || ''} (sessionId ${c.sessionId})`);
+          }
           return {
-            content: [{ type: 'text', text: `Targets: ${targetsRes.targets.length}\nBrowser: ${base}` }],
-            structuredContent: { browserUrl: base, targets: targetsRes.targets },
+            content: [{ type: 'text', text: lines.join('\n') }],
+            structuredContent: { browserUrl: base, targets: targetsRes.targets, childTargets },
           };
         }
 
@@ -2756,58 +7834,477 @@ async function handleRequest(msg) {
             if (!actRes.ok) log('open_page: activate failed', actRes.error);
           }
 
-          if (!doConnect) {
-            return {
-              content: [{ type: 'text', text: `Opened new page (not connected): ${target.id} ${target.url || ''}`.trim() }],
-              structuredContent: { browserUrl: toCdpHttpBase(rawBrowserUrl), target },
-            };
+          if (!doConnect) {
+            return {
+              content: [{ type: 'text', text: `Opened new page (not connected): ${target.id} ${target.url || ''}`.trim() }],
+              structuredContent: { browserUrl: toCdpHttpBase(rawBrowserUrl), target },
+            };
+          }
+
+          const conn = await cdp.connect({ browserUrl: rawBrowserUrl, allowRemote, targetId: target.id, browserLevel: !!args.browserLevel });
+          if (!conn.ok) return toolError(conn.error.code, conn.error.message, conn.error.details);
+          registerSession(cdp);
+
+          return {
+            content: [{ type: 'text', text: `Opened + connected: ${conn.browserUrl} (session: ${cdp.name})\nTarget: ${conn.selectedTarget.id} ${conn.selectedTarget.url || ''}`.trim() }],
+            structuredContent: { session: cdp.name, browserUrl: conn.browserUrl, selectedTarget: conn.selectedTarget, targets: conn.targets },
+          };
+        }
+
+        case 'close_target': {
+          const rawBrowserUrl = args.browserUrl || cdp.browserUrl || DEFAULT_BROWSER_URL;
+          const allowRemote = !!args.allowRemote;
+          const targetId = args.targetId
+            ? String(args.targetId)
+            : cdp.selectedTarget && cdp.selectedTarget.id
+              ? String(cdp.selectedTarget.id)
+              : '';
+
+          if (!targetId) return toolError('OVERTY_INVALID_ARG', 'No targetId provided and no target is currently connected.');
+
+          const closeRes = await cdpHttpClose({ browserUrl: rawBrowserUrl, allowRemote, targetId });
+          if (!closeRes.ok) return toolError(closeRes.error.code, closeRes.error.message, closeRes.error.details);
+
+          // Any session attached to the closed target is now dangling.
+          for (const session of new Set([cdp, ...sessions.values()])) {
+            if (session.selectedTarget && String(session.selectedTarget.id) === targetId) {
+              await session.disconnect();
+            }
+          }
+
+          return {
+            content: [{ type: 'text', text: `Closed target ${targetId}` }],
+            structuredContent: { targetId, result: closeRes.result },
+          };
+        }
+
+        case 'launch_browser': {
+          const timeoutMs = Number.isFinite(args.timeoutMs) ? Math.max(1_000, Math.floor(args.timeoutMs)) : DEFAULT_LAUNCH_TIMEOUT_MS;
+          const headless = args.headless !== false;
+          const url = args.url ? String(args.url) : 'about:blank';
+          const extraArgs = Array.isArray(args.args) ? args.args.map(String) : [];
+
+          const found = findChromeExecutable(args.executablePath);
+          if (!found.ok) return toolError(found.error.code, found.error.message, found.error.details);
+
+          // Replace whatever this session launched before.
+          await cdp.disconnect();
+          await closeLaunchedProcess(cdp.name);
+
+          const launched = await launchBrowserProcess({ executable: found.path, headless, url, extraArgs, timeoutMs });
+          if (!launched.ok) return toolError(launched.error.code, launched.error.message, launched.error.details);
+
+          const entry = {
+            kind: 'browser',
+            proc: launched.proc,
+            pid: launched.proc.pid,
+            port: launched.port,
+            browserUrl: launched.browserUrl,
+            executable: { path: found.path, source: found.source },
+            headless,
+            profileDir: launched.profileDir,
+            startedAt: new Date().toISOString(),
+          };
+          launchedProcesses.set(cdp.name, entry);
+          launched.proc.once('exit', (code, signal) => {
+            if (launchedProcesses.get(cdp.name) !== entry) return;
+            launchedProcesses.delete(cdp.name);
+            removeProfileDir(entry.profileDir);
+            log(`launched browser for session ${cdp.name} exited (${code !== null ? `exit ${code}` : `signal ${signal || 'unknown'}`})`);
+          });
+
+          // The first page target can lag slightly behind DevToolsActivePort.
+          const deadline = Date.now() + timeoutMs;
+          let conn;
+          while (true) {
+            conn = await cdp.connect({ browserUrl: launched.browserUrl, browserLevel: !!args.browserLevel });
+            if (conn.ok || Date.now() >= deadline || !['OVERTY_NO_TARGETS', 'OVERTY_CDP_UNREACHABLE'].includes(conn.error.code)) break;
+            await sleep(100);
+          }
+          if (!conn.ok) {
+            await closeLaunchedProcess(cdp.name);
+            return toolError(conn.error.code, conn.error.message, conn.error.details);
+          }
+          registerSession(cdp);
+
+          return {
+            content: [
+              {
+                type: 'text',
+                text: [
+                  `Launched ${headless ? 'headless ' : ''}browser pid ${entry.pid} (${found.source}: ${found.path})`,
+                  `Connected to ${conn.browserUrl} (session: ${cdp.name})`,
+                  `Selected: [${conn.selectedTarget.type}] ${conn.selectedTarget.url || ''}`.trim(),
+                ].join('\n'),
+              },
+            ],
+            structuredContent: {
+              session: cdp.name,
+              ...describeLaunchedProcess(entry),
+              browserLevel: conn.browserLevel,
+              selectedTarget: conn.selectedTarget,
+              targets: conn.targets,
+            },
+          };
+        }
+
+        case 'launch_electron': {
+          const rawAppPath = args.appPath ? String(args.appPath) : '';
+          if (!rawAppPath) return toolError('OVERTY_INVALID_ARG', 'Missing required argument: appPath');
+          const appPath = path.resolve(process.cwd(), rawAppPath);
+          if (!fs.existsSync(appPath)) return toolError('OVERTY_NOT_FOUND', `App path does not exist: ${appPath}`);
+
+          const timeoutMs = Number.isFinite(args.timeoutMs) ? Math.max(1_000, Math.floor(args.timeoutMs)) : DEFAULT_LAUNCH_TIMEOUT_MS;
+          const appArgs = Array.isArray(args.args) ? args.args.map(String) : [];
+          const extraEnv = {};
+          if (args.env && typeof args.env === 'object') {
+            for (const [key, value] of Object.entries(args.env)) extraEnv[key] = String(value);
+          }
+
+          // A packaged app is its own executable; a source app runs under the Electron binary.
+          const packaged = !fs.statSync(appPath).isDirectory() && !/\.[cm]?js$/i.test(appPath) && isExecutableFile(appPath);
+          let executable;
+          if (packaged) {
+            executable = { ok: true, path: appPath, source: 'appPath' };
+          } else {
+            const appDir = fs.statSync(appPath).isDirectory() ? appPath : path.dirname(appPath);
+            executable = findElectronExecutable(args.electronPath, appDir);
+            if (!executable.ok) return toolError(executable.error.code, executable.error.message, executable.error.details);
+          }
+
+          await cdp.disconnect();
+          await closeLaunchedProcess(cdp.name);
+
+          const port = await findFreePort();
+          const spawnArgs = [`--remote-debugging-port=${port}`, ...(packaged ? [] : [appPath]), ...appArgs];
+          const proc = spawn(executable.path, spawnArgs, {
+            cwd: fs.statSync(appPath).isDirectory() ? appPath : path.dirname(appPath),
+            env: { ...process.env, ...extraEnv },
+            stdio: ['ignore', 'pipe', 'pipe'],
+          });
+          // Spawn failures (ENOENT, EACCES) arrive as an 'error' event on the next tick; it must have a listener.
+          const spawnError = new Promise((resolve) => proc.once('error', (err) => resolve(err)));
+          const spawnFailure = (err) => ({
+            ok: false,
+            error: { code: 'OVERTY_INTERNAL', message: `Failed to spawn ${executable.path}`, details: String(err && err.message ? err.message : err) },
+          });
+          if (!proc.pid) {
+            const failed = spawnFailure(await spawnError);
+            return toolError(failed.error.code, failed.error.message, failed.error.details);
+          }
+          const entry = {
+            kind: 'electron',
+            proc,
+            pid: proc.pid,
+            port,
+            browserUrl: `http://127.0.0.1:${port}`,
+            executable: { path: executable.path, source: executable.source },
+            appPath,
+            headless: false,
+            profileDir: null,
+            startedAt: new Date().toISOString(),
+          };
+          launchedProcesses.set(cdp.name, entry);
+
+          const session = cdp;
+          const recordOutput = (stream) => (line) => {
+            session._pushEvent({ type: 'process', level: stream === 'stderr' ? 'error' : 'info', stream, pid: entry.pid, text: line });
+          };
+          forwardProcessLines(proc.stdout, recordOutput('stdout'));
+          forwardProcessLines(proc.stderr, recordOutput('stderr'));
+          proc.once('exit', (code, signal) => {
+            session._pushEvent({
+              type: 'process',
+              level: code === 0 ? 'info' : 'error',
+              stream: null,
+              pid: entry.pid,
+              text: `Electron app exited (${code !== null ? `exit ${code}` : `signal ${signal || 'unknown'}`})`,
+            });
+            if (launchedProcesses.get(session.name) === entry) launchedProcesses.delete(session.name);
+          });
+
+          const win = await Promise.race([
+            waitForElectronWindow(cdp, entry.browserUrl, proc, {
+              timeoutMs,
+              targetUrlSubstring: args.targetUrlSubstring ? String(args.targetUrlSubstring) : null,
+            }),
+            spawnError.then(spawnFailure),
+          ]);
+          if (!win.ok) {
+            await closeLaunchedProcess(cdp.name);
+            const details = win.error.details || { recentOutput: cdp.listEvents({ types: ['process'], limit: 20 }).events.map((e) => e.text) };
+            return toolError(win.error.code, win.error.message, details);
+          }
+
+          const conn = await cdp.connect({ browserUrl: entry.browserUrl, targetId: win.target.id, browserLevel: !!args.browserLevel });
+          if (!conn.ok) {
+            await closeLaunchedProcess(cdp.name);
+            return toolError(conn.error.code, conn.error.message, conn.error.details);
+          }
+          registerSession(cdp);
+
+          return {
+            content: [
+              {
+                type: 'text',
+                text: [
+                  `Launched Electron pid ${entry.pid} (${executable.source}: ${executable.path})`,
+                  `Connected to ${conn.browserUrl} (session: ${cdp.name})`,
+                  `Window: ${conn.selectedTarget.title || '(untitled)'} ${conn.selectedTarget.url || ''}`.trim(),
+                ].join('\n'),
+              },
+            ],
+            structuredContent: {
+              session: cdp.name,
+              ...describeLaunchedProcess(entry),
+              appPath,
+              browserLevel: conn.browserLevel,
+              selectedTarget: conn.selectedTarget,
+              targets: conn.targets,
+            },
+          };
+        }
+
+        case 'close_browser': {
+          if (!launchedProcesses.has(cdp.name)) {
+            return toolError('OVERTY_NOT_FOUND', `Session ${cdp.name} has no browser started by launch_browser/launch_electron`);
+          }
+          if (cdp.browserUrl === launchedProcesses.get(cdp.name).browserUrl) await cdp.disconnect();
+          const closed = await closeLaunchedProcess(cdp.name);
+
+          return {
+            content: [{ type: 'text', text: `Closed ${closed.kind === 'electron' ? 'Electron app' : 'browser'} pid ${closed.pid} (session: ${cdp.name})` }],
+            structuredContent: { session: cdp.name, ...closed },
+          };
+        }
+
+        case 'set_viewport': {
+          if (!cdp.isConnected) return toolError('OVERTY_NOT_CONNECTED', 'Not connected. Call connect() first.');
+          let spec = { width: args.width, height: args.height, deviceScaleFactor: args.deviceScaleFactor, mobile: args.mobile };
+          if (typeof args.device === 'string' && args.device.trim()) {
+            const found = findDevicePreset(args.device);
+            if (!found.device) {
+              return toolError('OVERTY_INVALID_ARG', `Unknown device: ${args.device}`, { devices: found.names, ...(found.error ? { presetsError: found.error } : {}) });
+            }
+            const preset = deviceViewport(found.device, args.landscape === true);
+            spec = { ...preset, device: found.device.name };
+            for (const key of ['width', 'height', 'deviceScaleFactor', 'mobile']) {
+              if (args[key] !== undefined) spec[key] = args[key];
+            }
+          }
+          if (typeof args.hasTouch === 'boolean') spec.hasTouch = args.hasTouch;
+
+          let res;
+          try {
+            res = await cdp.setViewport(spec);
+          } catch (err) {
+            return toolError('OVERTY_CDP_ERROR', 'set_viewport failed', String(err && err.message ? err.message : err));
+          }
+          if (!res.ok) return toolError(res.error.code, res.error.message, res.error.details);
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `Viewport set${res.device ? ` (${res.device}${spec.landscape ? ', landscape' : ''})` : ''}: ${res.width}x${res.height} dpr=${res.deviceScaleFactor} mobile=${res.mobile} touch=${res.hasTouch}`,
+              },
+            ],
+            structuredContent: res,
+          };
+        }
+
+        case 'emulate_media': {
+          if (!cdp.isConnected) return toolError('OVERTY_NOT_CONNECTED', 'Not connected. Call connect() first.');
+          const norm = normalizeMediaSpec(args);
+          if (!norm.ok) return toolError('OVERTY_INVALID_ARG', norm.error);
+          const next = { ...(args.reset ? {} : cdp.emulatedMedia), ...norm.spec };
+          let res;
+          try {
+            res = await cdp.setEmulatedMedia(next);
+          } catch (err) {
+            return toolError('OVERTY_CDP_ERROR', 'emulate_media failed', String(err && err.message ? err.message : err));
+          }
+          const state = res.state;
+          const active = Object.entries(state).map(([k, v]) => `${k}=${v}`);
+          return {
+            content: [{ type: 'text', text: active.length ? `Media emulation: ${active.join(' ')}` : 'Media emulation cleared.' }],
+            structuredContent: { media: state },
+          };
+        }
+
+        case 'emulate_conditions': {
+          if (!cdp.isConnected) return toolError('OVERTY_NOT_CONNECTED', 'Not connected. Call connect() first.');
+          const res = await applyConditions(cdp, args);
+          if (!res.ok) return toolError(res.error.code, res.error.message, res.error.details);
+          return {
+            content: [{ type: 'text', text: `Conditions: ${describeConditions(res.conditions)}` }],
+            structuredContent: { conditions: res.conditions },
+          };
+        }
+
+        case 'emulate_locale': {
+          if (!cdp.isConnected) return toolError('OVERTY_NOT_CONNECTED', 'Not connected. Call connect() first.');
+          const norm = normalizeLocaleSpec(args);
+          if (!norm.ok) return toolError('OVERTY_INVALID_ARG', norm.error);
+          let res;
+          try {
+            res = await cdp.setLocaleEmulation({ ...(args.reset ? {} : cdp.localeEmulation), ...norm.spec });
+          } catch (err) {
+            return toolError('OVERTY_CDP_ERROR', 'emulate_locale failed', String(err && err.message ? err.message : err));
+          }
+          if (args.reload) {
+            const reloadRes = await cdp.reload({ signal: ctx.signal });
+            if (!reloadRes.ok) return toolError(reloadRes.error.code, reloadRes.error.message, reloadRes.error.details);
+          }
+
+          const st = res.state;
+          const active = [
+            st.locale ? `locale=${st.locale}` : null,
+            st.acceptLanguage ? `acceptLanguage=${st.acceptLanguage}` : null,
+            st.timezoneId ? `timezone=${st.timezoneId}` : null,
+            st.geolocation ? `geolocation=${st.geolocation.latitude},${st.geolocation.longitude}` : null,
+          ].filter(Boolean);
+          return {
+            content: [
+              {
+                type: 'text',
+                text: [active.length ? `Locale emulation: ${active.join(' ')}` : 'Locale emulation cleared.', args.reload ? 'Reloaded.' : null, ...res.warnings]
+                  .filter(Boolean)
+                  .join('\n'),
+              },
+            ],
+            structuredContent: { locale: st, reloaded: !!args.reload, warnings: res.warnings },
+          };
+        }
+
+        case 'simulate_vision': {
+          if (!cdp.isConnected) return toolError('OVERTY_NOT_CONNECTED', 'Not connected. Call connect() first.');
+
+          if (!args.gallery) {
+            const type = typeof args.type === 'string' ? args.type : null;
+            if (!type || !VISION_DEFICIENCIES.includes(type)) {
+              return toolError('OVERTY_INVALID_ARG', `Provide type (${VISION_DEFICIENCIES.join(' | ')}) or gallery: true`);
+            }
+            try {
+              await cdp.setVisionDeficiency(type);
+            } catch (err) {
+              return toolError('OVERTY_CDP_ERROR', 'Emulation.setEmulatedVisionDeficiency failed', String(err && err.message ? err.message : err));
+            }
+            return {
+              content: [{ type: 'text', text: type === 'none' ? 'Vision deficiency simulation cleared.' : `Simulating vision deficiency: ${type}` }],
+              structuredContent: { visionDeficiency: type },
+            };
+          }
+
+          const types = Array.isArray(args.types) && args.types.length ? Array.from(new Set(args.types.map(String))) : VISION_DEFICIENCIES;
+          const unknown = types.filter((t) => !VISION_DEFICIENCIES.includes(t));
+          if (unknown.length) return toolError('OVERTY_INVALID_ARG', `Unknown vision deficiency type(s): ${unknown.join(', ')}`);
+
+          const format = args.format ? String(args.format) : 'png';
+          const ext = format === 'jpeg' ? 'jpg' : format;
+          const fullPage = !!args.fullPage;
+          const waitMs = Number.isFinite(args.waitMs) ? Math.max(0, Math.floor(args.waitMs)) : 100;
+          const writeManifest = args.writeManifest !== false;
+          const writeIndexHtml = args.writeIndexHtml !== false;
+          const indexTitle = typeof args.indexTitle === 'string' && args.indexTitle.trim() ? args.indexTitle.trim() : null;
+          const inlineLimit = Number.isFinite(args.inlineLimit) ? Math.max(0, Math.floor(args.inlineLimit)) : 0;
+
+          const outputDir = args.outputDir
+            ? resolveSafeOutputPath(String(args.outputDir))
+            : path.join(DEFAULT_MOCKUP_DIR, `vision-${nowFileSafe()}`);
+          if (!outputDir || !isSafeOutputPath(outputDir)) return toolError('OVERTY_INVALID_ARG', 'Invalid outputDir');
+          ensureDirSync(outputDir);
+
+          const createdAt = new Date().toISOString();
+          const previous = cdp.visionDeficiency;
+          const results = [];
+          const failures = [];
+          const inlineImages = [];
+          try {
+            for (let i = 0; i < types.length; i++) {
+              if (ctx.signal.aborted) break;
+              const type = types[i];
+              ctx.reportProgress(i, types.length, `vision ${type}`);
+              try {
+                await cdp.setVisionDeficiency(type);
+                if (waitMs > 0) await sleep(waitMs);
+                const shot = await cdp.screenshot({ format, quality: args.quality, fullPage });
+                if (!shot.ok) throw new Error(`[${shot.error.code}] ${shot.error.message}`);
+                const bytes = Buffer.from(shot.base64, 'base64');
+                const fileName = `${String(i + 1).padStart(2, '0')}-${sanitizeFileBase(type)}.${ext}`;
+                const filePath = path.join(outputDir, fileName);
+                atomicWriteFileSync(filePath, bytes);
+                results.push({ name: type, fileName, filePath, bytes: bytes.length, format: shot.format, fullPage });
+                if (inlineImages.length < inlineLimit && bytes.length < MAX_INLINE_SCREENSHOT_BYTES) {
+                  inlineImages.push({ type: 'image', data: shot.base64, mimeType: `image/${shot.format}` });
+                }
+              } catch (err) {
+                failures.push({ name: type, error: String(err && err.message ? err.message : err) });
+              }
+            }
+          } finally {
+            try {
+              await cdp.setVisionDeficiency(previous);
+            } catch {
+              // best-effort cleanup
+            }
+          }
+
+          if (ctx.signal.aborted) {
+            return toolError('OVERTY_CANCELLED', 'simulate_vision cancelled', { captured: results.length, outputDir });
           }
+          ctx.reportProgress(types.length, types.length, 'done');
 
-          const conn = await cdp.connect({ browserUrl: rawBrowserUrl, allowRemote, targetId: target.id });
-          if (!conn.ok) return toolError(conn.error.code, conn.error.message, conn.error.details);
-
-          return {
-            content: [{ type: 'text', text: `Opened + connected: ${conn.browserUrl}\nTarget: ${conn.selectedTarget.id} ${conn.selectedTarget.url || ''}`.trim() }],
-            structuredContent: { browserUrl: conn.browserUrl, selectedTarget: conn.selectedTarget, targets: conn.targets },
-          };
-        }
-
-        case 'close_target': {
-          const rawBrowserUrl = args.browserUrl || cdp.browserUrl || DEFAULT_BROWSER_URL;
-          const allowRemote = !!args.allowRemote;
-          const targetId = args.targetId
-            ? String(args.targetId)
-            : cdp.selectedTarget && cdp.selectedTarget.id
-              ? String(cdp.selectedTarget.id)
-              : '';
-
-          if (!targetId) return toolError('OVERTY_INVALID_ARG', 'No targetId provided and no target is currently connected.');
+          const outputDirDisplay = path.relative(process.cwd(), outputDir) || outputDir;
+          const lines = [`Captured ${results.length}/${types.length} vision deficiency views`, `Output: ${outputDir}`, failures.length ? `Failures: ${failures.length}` : null].filter(Boolean);
 
-          const closeRes = await cdpHttpClose({ browserUrl: rawBrowserUrl, allowRemote, targetId });
-          if (!closeRes.ok) return toolError(closeRes.error.code, closeRes.error.message, closeRes.error.details);
+          let manifestPath = null;
+          if (writeManifest) {
+            manifestPath = path.join(outputDir, 'manifest.json');
+            const manifest = {
+              schemaVersion: 1,
+              createdAt,
+              serverInfo: SERVER_INFO,
+              session: cdp.name,
+              browserUrl: cdp.browserUrl || null,
+              selectedTarget: cdp.selectedTarget || null,
+              outputDir: outputDirDisplay,
+              results: results.map((r) => ({ name: r.name, fileName: r.fileName, bytes: r.bytes, format: r.format, fullPage: r.fullPage })),
+              failures,
+            };
+            atomicWriteFileSync(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`);
+            lines.push(`Manifest: ${manifestPath}`);
+          }
 
-          if (cdp.selectedTarget && String(cdp.selectedTarget.id) === targetId) {
-            await cdp.disconnect();
+          let indexPath = null;
+          if (writeIndexHtml) {
+            indexPath = path.join(outputDir, 'index.html');
+            const page = cdp.selectedTarget && cdp.selectedTarget.url ? cdp.selectedTarget.url : 'current page';
+            const indexHtml = buildMockupsIndexHtml({
+              title: indexTitle || `Vision deficiencies: ${page}`,
+              createdAt,
+              outputDir: outputDirDisplay,
+              results,
+              failures,
+            });
+            atomicWriteFileSync(indexPath, indexHtml);
+            lines.push(`Index: ${indexPath}`);
           }
 
           return {
-            content: [{ type: 'text', text: `Closed target ${targetId}` }],
-            structuredContent: { targetId, result: closeRes.result },
+            content: [{ type: 'text', text: lines.join('\n') }, ...inlineImages],
+            structuredContent: { outputDir, createdAt, results, failures, manifestPath, indexPath, restored: previous },
           };
         }
 
-        case 'set_viewport': {
-          if (!cdp.isConnected) return toolError('OVERTY_NOT_CONNECTED', 'Not connected. Call connect() first.');
-          const res = await cdp.setViewport({
-            width: args.width,
-            height: args.height,
-            deviceScaleFactor: args.deviceScaleFactor,
-            mobile: args.mobile,
-          });
-          if (!res.ok) return toolError(res.error.code, res.error.message, res.error.details);
+        case 'list_devices': {
+          const { devices, error } = listDevicePresets();
+          const lines = devices.map(
+            (d) => `- ${d.name}: ${d.width}x${d.height} @${d.deviceScaleFactor}x${d.mobile ? ' mobile' : ''}${d.hasTouch ? ' touch' : ''}${d.source === 'custom' ? ' (custom)' : ''}`,
+          );
+          if (error) lines.push(`Warning: ${error}`);
           return {
-            content: [{ type: 'text', text: `Viewport set: ${res.width}x${res.height} dpr=${res.deviceScaleFactor} mobile=${res.mobile}` }],
-            structuredContent: res,
+            content: [{ type: 'text', text: lines.join('\n') }],
+            structuredContent: { devices, devicesFile: OVERTY_DEVICES_FILE || null, error },
           };
         }
 
@@ -2866,6 +8363,308 @@ async function handleRequest(msg) {
           };
         }
 
+        case 'mock_route': {
+          if (!cdp.isConnected) return toolError('OVERTY_NOT_CONNECTED', 'Not connected. Call connect() first.');
+
+          const res = await cdp.addRoute(args);
+          if (!res.ok) return toolError(res.error.code, res.error.message, res.error.details);
+
+          const r = res.route;
+          const action = r.fail ? `fail (${r.fail})` : `${r.status}${r.source ? ` from ${r.source === 'json' || r.source === 'body' ? r.source : path.basename(r.source)}` : ''}`;
+          return {
+            content: [{ type: 'text', text: `Route ${res.replaced ? 'replaced' : 'added'}: ${r.id} ${r.method || '*'} ${r.urlPattern} -> ${action}${r.delayMs ? ` after ${r.delayMs}ms` : ''}` }],
+            structuredContent: res,
+          };
+        }
+
+        case 'unmock_route': {
+          if (!cdp.isConnected) return toolError('OVERTY_NOT_CONNECTED', 'Not connected. Call connect() first.');
+
+          const res = await cdp.removeRoutes({ id: args.id });
+          if (!res.ok) return toolError(res.error.code, res.error.message, res.error.details);
+
+          return {
+            content: [{ type: 'text', text: `Routes removed: ${res.removed.length} notFound=${res.notFound.length}` }],
+            structuredContent: res,
+          };
+        }
+
+        case 'list_routes': {
+          const res = cdp.listRoutes();
+          return {
+            content: [{ type: 'text', text: `Mocked routes: ${res.routes.length}` }],
+            structuredContent: res,
+          };
+        }
+
+        case 'set_request_headers': {
+          if (!cdp.isConnected) return toolError('OVERTY_NOT_CONNECTED', 'Not connected. Call connect() first.');
+          const given = args.headers && typeof args.headers === 'object' && !Array.isArray(args.headers) ? args.headers : {};
+          if (!Object.keys(given).length && !args.reset) return toolError('OVERTY_INVALID_ARG', 'Provide headers or reset: true');
+
+          const next = args.reset ? {} : cdp.requestOverrides.headers;
+          for (const [name, value] of Object.entries(given)) {
+            if (!/^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(name)) return toolError('OVERTY_INVALID_ARG', `Invalid header name: ${name}`);
+            // Header names are case-insensitive; drop any existing spelling first.
+            for (const existing of Object.keys(next)) if (existing.toLowerCase() === name.toLowerCase()) delete next[existing];
+            if (value !== null) next[name] = String(value);
+          }
+          const sensitive = Array.isArray(args.sensitive) ? args.sensitive.map(String) : [];
+          try {
+            await cdp.setExtraHeaders(next, sensitive);
+          } catch (err) {
+            return toolError('OVERTY_CDP_ERROR', 'Network.setExtraHTTPHeaders failed', String(err && err.message ? err.message : err));
+          }
+
+          const headers = cdp.emulationState().requestHeaders;
+          const names = Object.keys(headers);
+          return {
+            content: [{ type: 'text', text: names.length ? `Extra request headers: ${names.map((n) => `${n}: ${headers[n]}`).join(', ')}` : 'Extra request headers cleared.' }],
+            structuredContent: { headers },
+          };
+        }
+
+        case 'set_http_auth': {
+          if (!cdp.isConnected) return toolError('OVERTY_NOT_CONNECTED', 'Not connected. Call connect() first.');
+          let spec = null;
+          if (!args.clear) {
+            if (typeof args.username !== 'string' || typeof args.password !== 'string') {
+              return toolError('OVERTY_INVALID_ARG', 'Provide username and password, or clear: true');
+            }
+            const origins = Array.isArray(args.origins) && args.origins.length ? [] : null;
+            for (const raw of origins ? args.origins : []) {
+              let origin;
+              try {
+                origin = new URL(String(raw)).origin;
+              } catch {
+                origin = 'null';
+              }
+              if (origin === 'null') return toolError('OVERTY_INVALID_ARG', `Invalid origin: ${raw}`);
+              origins.push(origin);
+            }
+            spec = { username: args.username, password: args.password, origins };
+          }
+
+          const res = await cdp.setHttpAuth(spec);
+          if (!res.ok) return toolError(res.error.code, res.error.message, res.error.details);
+
+          const httpAuth = cdp.emulationState().httpAuth;
+          return {
+            content: [
+              {
+                type: 'text',
+                text: httpAuth ? `HTTP auth set for ${httpAuth.username}${httpAuth.origins ? ` on ${httpAuth.origins.join(', ')}` : ' (any origin)'}` : 'HTTP auth cleared.',
+              },
+            ],
+            structuredContent: { httpAuth },
+          };
+        }
+
+        case 'set_user_agent': {
+          if (!cdp.isConnected) return toolError('OVERTY_NOT_CONNECTED', 'Not connected. Call connect() first.');
+          const userAgent = typeof args.userAgent === 'string' ? args.userAgent.trim() : '';
+          if (!args.reset && !userAgent) return toolError('OVERTY_INVALID_ARG', 'Provide userAgent or reset: true');
+          try {
+            await cdp.setCustomUserAgent(args.reset ? null : { userAgent, platform: typeof args.platform === 'string' ? args.platform : null });
+          } catch (err) {
+            return toolError('OVERTY_CDP_ERROR', 'Emulation.setUserAgentOverride failed', String(err && err.message ? err.message : err));
+          }
+          const effective = cdp.emulationState().userAgent;
+          return {
+            content: [{ type: 'text', text: args.reset ? `User agent override removed${effective ? ` (device preset UA: ${effective})` : ''}.` : `User agent: ${userAgent}` }],
+            structuredContent: { userAgent: effective, custom: !args.reset },
+          };
+        }
+
+        case 'get_storage': {
+          if (!cdp.isConnected) return toolError('OVERTY_NOT_CONNECTED', 'Not connected. Call connect() first.');
+
+          const types = Array.isArray(args.types) && args.types.length ? args.types.filter((t) => STORAGE_TYPES.includes(t)) : STORAGE_TYPES;
+          const out = { origin: null, url: null };
+          if (types.includes('cookies')) {
+            const res = await cdp.getCookies(args.urls);
+            if (!res.ok) return toolError(res.error.code, res.error.message, res.error.details);
+            out.cookies = res.cookies.map(cookieToStateCookie);
+          }
+          if (types.some((t) => t !== 'cookies')) {
+            const page = await cdp.readPageStorage();
+            if (!page.ok) return toolError(page.error.code, page.error.message, page.error.details);
+            out.origin = page.origin;
+            out.url = page.href;
+            if (types.includes('localStorage')) out.localStorage = page.localStorage;
+            if (types.includes('sessionStorage')) out.sessionStorage = page.sessionStorage;
+            if (page.errors && page.errors.length) out.errors = page.errors;
+            if (types.includes('indexedDB') && page.origin && page.origin !== 'null') {
+              const idb = await cdp.listIndexedDbDatabases(page.origin);
+              if (!idb.ok) return toolError(idb.error.code, idb.error.message, idb.error.details);
+              out.indexedDB = idb.databases;
+            }
+          }
+
+          const counts = ['cookies', 'localStorage', 'sessionStorage', 'indexedDB']
+            .filter((k) => Array.isArray(out[k]))
+            .map((k) => `${k}=${out[k].length}`);
+          return {
+            content: [{ type: 'text', text: `Storage${out.origin ? ` for ${out.origin}` : ''}: ${counts.join(' ')}` }],
+            structuredContent: out,
+          };
+        }
+
+        case 'set_storage': {
+          if (!cdp.isConnected) return toolError('OVERTY_NOT_CONNECTED', 'Not connected. Call connect() first.');
+
+          const hasCookies = Array.isArray(args.cookies) && args.cookies.length > 0;
+          const hasLocal = args.localStorage && typeof args.localStorage === 'object';
+          const hasSession = args.sessionStorage && typeof args.sessionStorage === 'object';
+          if (!hasCookies && !hasLocal && !hasSession) return toolError('OVERTY_INVALID_ARG', 'Provide cookies, localStorage and/or sessionStorage');
+
+          const page = await cdp.readPageStorage();
+          if (!page.ok) return toolError(page.error.code, page.error.message, page.error.details);
+
+          const result = { origin: page.origin, cookies: 0, localStorage: 0, sessionStorage: 0 };
+          if (hasCookies) {
+            const cookies = [];
+            for (const raw of args.cookies) {
+              const norm = normalizeCookieParam(raw, page.href);
+              if (!norm.ok) return toolError('OVERTY_INVALID_ARG', norm.error);
+              cookies.push(norm.cookie);
+            }
+            const res = await cdp.setCookies(cookies);
+            if (!res.ok) return toolError(res.error.code, res.error.message, res.error.details);
+            result.cookies = res.count;
+          }
+          if (hasLocal || hasSession) {
+            const res = await cdp.writePageStorage({ localStorage: hasLocal ? args.localStorage : null, sessionStorage: hasSession ? args.sessionStorage : null });
+            if (!res.ok) return toolError(res.error.code, res.error.message, res.error.details);
+            if (res.errors && res.errors.length) return toolError('OVERTY_JS_EXCEPTION', `Could not write storage for ${res.origin}`, res.errors);
+            result.localStorage = res.localStorage;
+            result.sessionStorage = res.sessionStorage;
+          }
+
+          return {
+            content: [
+              { type: 'text', text: `Storage set for ${result.origin}: cookies=${result.cookies} localStorage=${result.localStorage} sessionStorage=${result.sessionStorage}` },
+            ],
+            structuredContent: result,
+          };
+        }
+
+        case 'clear_storage': {
+          if (!cdp.isConnected) return toolError('OVERTY_NOT_CONNECTED', 'Not connected. Call connect() first.');
+
+          const types = Array.isArray(args.types) && args.types.length ? args.types.filter((t) => STORAGE_TYPES.includes(t)) : ['cookies', 'localStorage', 'sessionStorage'];
+          const result = { origin: null, cleared: [] };
+          if (types.includes('cookies')) {
+            const res = await cdp.clearCookies({ all: !!args.allCookies });
+            if (!res.ok) return toolError(res.error.code, res.error.message, res.error.details);
+            result.cookiesDeleted = res.deleted;
+            result.cleared.push('cookies');
+          }
+          if (types.some((t) => t !== 'cookies')) {
+            const clearLocal = types.includes('localStorage');
+            const clearSession = types.includes('sessionStorage');
+            if (clearLocal || clearSession) await cdp.clearStorageSeed();
+            const res = await cdp.writePageStorage({ clearLocalStorage: clearLocal, clearSessionStorage: clearSession });
+            if (!res.ok) return toolError(res.error.code, res.error.message, res.error.details);
+            if (res.errors && res.errors.length) return toolError('OVERTY_JS_EXCEPTION', `Could not clear storage for ${res.origin}`, res.errors);
+            result.origin = res.origin;
+            if (clearLocal) result.cleared.push('localStorage');
+            if (clearSession) result.cleared.push('sessionStorage');
+            if (types.includes('indexedDB') && res.origin && res.origin !== 'null') {
+              const idb = await cdp.clearIndexedDb(res.origin);
+              if (!idb.ok) return toolError(idb.error.code, idb.error.message, idb.error.details);
+              result.cleared.push('indexedDB');
+            }
+          }
+
+          return {
+            content: [{ type: 'text', text: `Cleared: ${result.cleared.join(', ') || 'nothing'}${result.origin ? ` (${result.origin})` : ''}` }],
+            structuredContent: result,
+          };
+        }
+
+        case 'save_storage_state': {
+          if (!cdp.isConnected) return toolError('OVERTY_NOT_CONNECTED', 'Not connected. Call connect() first.');
+
+          const filePath = args.filePath
+            ? resolveSafeOutputPath(String(args.filePath))
+            : path.join(DEFAULT_BUNDLE_DIR, `${nowFileSafe()}-storage-state.json`);
+          if (!filePath || !isSafeOutputPath(filePath)) return toolError('OVERTY_INVALID_ARG', 'Invalid filePath');
+
+          const cookiesRes = await cdp.getCookies(args.urls);
+          if (!cookiesRes.ok) return toolError(cookiesRes.error.code, cookiesRes.error.message, cookiesRes.error.details);
+          const page = await cdp.readPageStorage();
+          if (!page.ok) return toolError(page.error.code, page.error.message, page.error.details);
+
+          const origins = [];
+          if (page.origin && page.origin !== 'null') {
+            origins.push({ origin: page.origin, localStorage: page.localStorage || [], sessionStorage: page.sessionStorage || [] });
+          }
+          const state = { cookies: cookiesRes.cookies.map(cookieToStateCookie), origins };
+          ensureDirSync(path.dirname(filePath));
+          atomicWriteFileSync(filePath, `${JSON.stringify(state, null, 2)}\n`);
+
+          const summary = {
+            filePath,
+            cookies: state.cookies.length,
+            origins: origins.map((o) => ({ origin: o.origin, localStorage: o.localStorage.length, sessionStorage: o.sessionStorage.length })),
+          };
+          return {
+            content: [{ type: 'text', text: `Storage state saved: ${filePath} (cookies=${summary.cookies}, origins=${origins.length})` }],
+            structuredContent: summary,
+          };
+        }
+
+        case 'load_storage_state': {
+          if (!cdp.isConnected) return toolError('OVERTY_NOT_CONNECTED', 'Not connected. Call connect() first.');
+          if (typeof args.filePath !== 'string' || !args.filePath.trim()) return toolError('OVERTY_INVALID_ARG', 'Missing required string argument: filePath');
+
+          const filePath = resolveStorageStatePath(args.filePath);
+          if (!filePath) {
+            return toolError('OVERTY_INVALID_ARG', `Storage state not found under the input or output roots: ${args.filePath}`, { inputRoots: SAFE_INPUT_DIRS });
+          }
+          let state;
+          try {
+            state = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+          } catch (err) {
+            return toolError('OVERTY_INVALID_ARG', `Could not parse storage state: ${filePath}`, String(err && err.message ? err.message : err));
+          }
+          if (!state || typeof state !== 'object') return toolError('OVERTY_INVALID_ARG', 'Storage state must be a JSON object');
+
+          const cookies = [];
+          for (const raw of Array.isArray(state.cookies) ? state.cookies : []) {
+            const norm = normalizeCookieParam(raw, null);
+            if (!norm.ok) return toolError('OVERTY_INVALID_ARG', norm.error);
+            cookies.push(norm.cookie);
+          }
+          const origins = (Array.isArray(state.origins) ? state.origins : [])
+            .filter((o) => o && typeof o.origin === 'string' && o.origin)
+            .map((o) => ({
+              origin: o.origin,
+              localStorage: Array.isArray(o.localStorage) ? o.localStorage.filter((i) => i && typeof i.name === 'string') : [],
+              sessionStorage: Array.isArray(o.sessionStorage) ? o.sessionStorage.filter((i) => i && typeof i.name === 'string') : [],
+            }));
+
+          if (cookies.length) {
+            const res = await cdp.setCookies(cookies);
+            if (!res.ok) return toolError(res.error.code, res.error.message, res.error.details);
+          }
+          const seedRes = await cdp.seedStorage(origins);
+          if (!seedRes.ok) return toolError(seedRes.error.code, seedRes.error.message, seedRes.error.details);
+
+          const current = seedRes.current && seedRes.current.seeded ? seedRes.current.origin : null;
+          const lines = [
+            `Storage state loaded: ${filePath}`,
+            `Cookies: ${cookies.length}`,
+            `Origins: ${origins.map((o) => o.origin).join(', ') || 'none'}`,
+            current ? `Seeded the current page (${current}); reload to let the app pick it up.` : origins.length ? 'Storage is seeded when a saved origin loads; navigate next.' : null,
+          ].filter(Boolean);
+          return {
+            content: [{ type: 'text', text: lines.join('\n') }],
+            structuredContent: { filePath, cookies: cookies.length, origins: origins.map((o) => o.origin), seededCurrentPage: !!current },
+          };
+        }
+
         case 'wait_for': {
           const timeoutMs = Number.isFinite(args.timeoutMs) ? Math.max(0, Math.floor(args.timeoutMs)) : 30_000;
           const pollMs = Number.isFinite(args.pollMs) ? Math.max(10, Math.floor(args.pollMs)) : 100;
@@ -2903,6 +8702,7 @@ async function handleRequest(msg) {
           let lastValue = undefined;
 
           while (Date.now() - start <= timeoutMs) {
+            if (ctx.signal.aborted) return toolError('OVERTY_CANCELLED', 'wait_for cancelled');
             const evalRes = await cdp.evaluate(expr, { returnByValue: true, awaitPromise: true, timeoutMs: Math.min(5_000, timeoutMs) });
             if (!evalRes.ok) {
               if (evalRes.error && evalRes.error.code === 'OVERTY_JS_CONTEXT_LOST') {
@@ -2938,6 +8738,8 @@ async function handleRequest(msg) {
             pollMs: args.pollMs,
             maxInflight: args.maxInflight,
             ignoreResourceTypes: args.ignoreResourceTypes,
+            signal: ctx.signal,
+            onProgress: ctx.reportProgress,
           });
           if (!res.ok) return toolError(res.error.code, res.error.message, res.error.details);
           return {
@@ -2966,6 +8768,13 @@ async function handleRequest(msg) {
           const timeoutMs = Number.isFinite(args.timeoutMs) ? Math.max(0, Math.floor(args.timeoutMs)) : 30_000;
           const pollMs = Number.isFinite(args.pollMs) ? Math.max(10, Math.floor(args.pollMs)) : 100;
 
+          let conditions = null;
+          if (args.conditions && typeof args.conditions === 'object') {
+            const condRes = await applyConditions(cdp, args.conditions);
+            if (!condRes.ok) return toolError(condRes.error.code, condRes.error.message, condRes.error.details);
+            conditions = condRes.conditions;
+          }
+
           const start = Date.now();
 
           try {
@@ -2979,6 +8788,7 @@ async function handleRequest(msg) {
             let satisfied = false;
             let lastState = null;
             while (Date.now() - start <= timeoutMs) {
+              if (ctx.signal.aborted) return toolError('OVERTY_CANCELLED', 'navigate cancelled');
               const evalRes = await cdp.evaluate('document.readyState', {
                 returnByValue: true,
                 awaitPromise: true,
@@ -3018,6 +8828,7 @@ async function handleRequest(msg) {
                  })()`;
 
             while (Date.now() - start <= timeoutMs) {
+              if (ctx.signal.aborted) return toolError('OVERTY_CANCELLED', 'navigate cancelled');
               const evalRes = await cdp.evaluate(expr, {
                 returnByValue: true,
                 awaitPromise: true,
@@ -3048,8 +8859,19 @@ async function handleRequest(msg) {
           const extra = info && info.title ? `Title: ${info.title}` : null;
 
           return {
-            content: [{ type: 'text', text: [summary, extra, `Elapsed: ${elapsedMs}ms`].filter(Boolean).join('\n') }],
-            structuredContent: { url: info && info.url ? info.url : String(url), title: info && info.title ? info.title : null, readyState: info && info.readyState ? info.readyState : null, elapsedMs },
+            content: [
+              {
+                type: 'text',
+                text: [summary, extra, conditions ? `Conditions: ${describeConditions(conditions)}` : null, `Elapsed: ${elapsedMs}ms`].filter(Boolean).join('\n'),
+              },
+            ],
+            structuredContent: {
+              url: info && info.url ? info.url : String(url),
+              title: info && info.title ? info.title : null,
+              readyState: info && info.readyState ? info.readyState : null,
+              elapsedMs,
+              ...(conditions ? { conditions } : {}),
+            },
           };
         }
 
@@ -3058,8 +8880,9 @@ async function handleRequest(msg) {
           const limit = args.limit;
           const types = args.types;
           const clear = !!args.clear;
+          const sessionId = args.sessionId ? String(args.sessionId) : null;
 
-          const res = cdp.listEvents({ sinceSeq, limit, types, clear });
+          const res = cdp.listEvents({ sinceSeq, limit, types, sessionId, clear });
           if (!res.ok) return toolError('OVERTY_INTERNAL', 'Could not list events');
 
           const events = res.events || [];
@@ -3071,6 +8894,67 @@ async function handleRequest(msg) {
           };
         }
 
+        case 'list_requests': {
+          const includeHeaders = !!args.includeHeaders;
+          const res = cdp.listRequests({
+            urlPattern: args.urlPattern,
+            status: args.status,
+            types: args.types,
+            states: args.states,
+            sinceSeq: args.sinceSeq,
+            limit: Number.isFinite(args.limit) ? args.limit : 50,
+            clear: !!args.clear,
+          });
+          if (!res.ok) return toolError(res.error.code, res.error.message, res.error.details);
+
+          const requests = res.requests.map((e) => summarizeRequest(e, includeHeaders));
+          let bodyErrors = [];
+          if (args.includeBodies && res.requests.length) {
+            if (!cdp.isConnected) return toolError('OVERTY_NOT_CONNECTED', 'Not connected. Call connect() first.');
+            const maxBodyBytes = Number.isFinite(args.maxBodyBytes) ? Math.max(0, Math.floor(args.maxBodyBytes)) : 100_000;
+            const collected = await cdp.collectResponseBodies(res.requests, maxBodyBytes);
+            bodyErrors = collected.errors;
+            for (const r of requests) {
+              const body = collected.bodies.get(r.seq);
+              if (body) r.body = body;
+            }
+          }
+
+          const lines = [`Requests: ${requests.length}${res.total > requests.length ? ` of ${res.total}` : ''}`];
+          for (const r of requests) {
+            const status = r.state === 'failed' ? `ERR ${r.errorText}` : r.status !== null ? String(r.status) : r.state;
+            const duration = r.durationMs !== null ? ` ${r.durationMs}ms` : '';
+            lines.push(`#${r.seq} ${r.method} ${status} ${r.type}${duration} ${String(r.url).slice(0, 200)}`);
+          }
+
+          return {
+            content: [{ type: 'text', text: lines.join('\n') }],
+            structuredContent: { total: res.total, requests, ...(bodyErrors.length ? { bodyErrors } : {}) },
+          };
+        }
+
+        case 'export_har': {
+          const filePath = args.filePath
+            ? resolveSafeOutputPath(String(args.filePath))
+            : path.join(DEFAULT_BUNDLE_DIR, `${nowFileSafe()}-network.har`);
+          if (!filePath || !isSafeOutputPath(filePath)) return toolError('OVERTY_INVALID_ARG', 'Invalid filePath');
+          if (args.includeBodies && !cdp.isConnected) return toolError('OVERTY_NOT_CONNECTED', 'Not connected. Call connect() first.');
+          ensureDirSync(path.dirname(filePath));
+
+          const harRes = await writeHarFile(cdp, filePath, args);
+          if (!harRes.ok) return toolError(harRes.error.code, harRes.error.message, harRes.error.details);
+
+          const lines = [
+            `HAR: ${filePath}`,
+            `Entries: ${harRes.entries}`,
+            args.includeBodies ? `Bodies: ${harRes.bodies}${harRes.bodyErrors.length ? ` (${harRes.bodyErrors.length} unavailable)` : ''}` : null,
+          ].filter(Boolean);
+          return {
+            content: [{ type: 'text', text: lines.join('\n') }],
+            structuredContent: { filePath, entries: harRes.entries, bodies: harRes.bodies, bodyErrors: harRes.bodyErrors, bytes: harRes.bytes },
+          };
+        }
+
         case 'audit_layout': {
           if (!cdp.isConnected) return toolError('OVERTY_NOT_CONNECTED', 'Not connected. Call connect() first.');
 
@@ -3161,11 +9045,20 @@ async function handleRequest(msg) {
             }
             candidateDataUrl = dataUrlFromBuffer(candidateBuf, mimeFromPath(candidatePath, 'image/png'));
           } else {
-            const shot = await cdp.screenshot({
-              format: args.format,
-              quality: args.quality,
-              fullPage: args.fullPage,
-            });
+            const stabilize = normalizeStabilizeSpec(args.stabilize);
+            if (!stabilize.ok) return toolError('OVERTY_INVALID_ARG', stabilize.error);
+            if (args.stitch && stabilize.spec && stabilize.spec.freezeTime !== null) {
+              return toolError('OVERTY_INVALID_ARG', 'stabilize.freezeTime cannot be combined with stitch (scroll steps need running timers)');
+            }
+            const shot = await cdp.withStabilized(stabilize.spec, () =>
+              cdp.screenshot({
+                format: args.format,
+                quality: args.quality,
+                fullPage: args.fullPage,
+                stitch: args.stitch,
+                signal: ctx.signal,
+              }),
+            );
             if (!shot.ok) return toolError(shot.error.code, shot.error.message, shot.error.details);
             const mime = shot.format === 'jpeg' ? 'image/jpeg' : `image/${shot.format}`;
             candidateDataUrl = `data:${mime};base64,${shot.base64}`;
@@ -3247,7 +9140,8 @@ async function handleRequest(msg) {
             { name: 'desktop', width: 1440, height: 900, mobile: false, deviceScaleFactor: 1 },
           ];
 
-          const rawViewports = Array.isArray(args.viewports) && args.viewports.length ? args.viewports : defaultViewports;
+          const rawDevices = Array.isArray(args.devices) ? args.devices : [];
+          const rawViewports = Array.isArray(args.viewports) && args.viewports.length ? args.viewports : rawDevices.length ? [] : defaultViewports;
           const normalizedViewports = [];
           for (let i = 0; i < rawViewports.length; i++) {
             const v = rawViewports[i] || {};
@@ -3263,10 +9157,64 @@ async function handleRequest(msg) {
               height: Math.floor(height),
               mobile: !!v.mobile,
               deviceScaleFactor: Number.isFinite(Number(v.deviceScaleFactor)) && Number(v.deviceScaleFactor) > 0 ? Number(v.deviceScaleFactor) : 1,
+              hasTouch: false,
+              userAgent: null,
+              platform: null,
+              device: null,
               fullPage: typeof v.fullPage === 'boolean' ? v.fullPage : null,
               waitMs: Number.isFinite(Number(v.waitMs)) ? Math.max(0, Math.floor(Number(v.waitMs))) : null,
             });
           }
+          for (let i = 0; i < rawDevices.length; i++) {
+            const d = typeof rawDevices[i] === 'string' ? { device: rawDevices[i] } : rawDevices[i] || {};
+            const found = findDevicePreset(d.device);
+            if (!found.device) {
+              return toolError('OVERTY_INVALID_ARG', `Unknown device at index ${i}: ${d.device}`, { devices: found.names, ...(found.error ? { presetsError: found.error } : {}) });
+            }
+            const preset = deviceViewport(found.device, d.landscape === true);
+            normalizedViewports.push({
+              ...preset,
+              name: typeof d.name === 'string' && d.name.trim() ? d.name.trim() : `${found.device.name}${preset.landscape ? ' landscape' : ''}`,
+              device: found.device.name,
+              fullPage: typeof d.fullPage === 'boolean' ? d.fullPage : null,
+              waitMs: Number.isFinite(Number(d.waitMs)) ? Math.max(0, Math.floor(Number(d.waitMs))) : null,
+            });
+          }
+
+          const mediaVariants = [];
+          const rawMedia = Array.isArray(args.media) ? args.media : [];
+          for (let i = 0; i < rawMedia.length; i++) {
+            const norm = normalizeMediaSpec(rawMedia[i]);
+            if (!norm.ok) return toolError('OVERTY_INVALID_ARG', `Invalid media at index ${i}: ${norm.error}`);
+            const name = rawMedia[i] && typeof rawMedia[i].name === 'string' && rawMedia[i].name.trim() ? rawMedia[i].name.trim() : mediaSpecLabel(norm.spec);
+            mediaVariants.push({ name, spec: norm.spec });
+          }
+
+          const localeVariants = [];
+          const rawLocales = Array.isArray(args.locales) ? args.locales : [];
+          for (let i = 0; i < rawLocales.length; i++) {
+            const raw = typeof rawLocales[i] === 'string' ? { locale: rawLocales[i] } : rawLocales[i] || {};
+            const norm = normalizeLocaleSpec({ locale: raw.locale, acceptLanguage: raw.acceptLanguage, timezoneId: raw.timezoneId });
+            if (!norm.ok || !norm.spec.locale) return toolError('OVERTY_INVALID_ARG', `Invalid locale at index ${i}: ${norm.ok ? 'missing locale' : norm.error}`);
+            const name = typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim() : norm.spec.locale;
+            localeVariants.push({ name, spec: norm.spec });
+          }
+          const reloadOnLocaleChange = args.reloadOnLocaleChange !== false;
+          const stabilizeRes = normalizeStabilizeSpec(args.stabilize);
+          if (!stabilizeRes.ok) return toolError('OVERTY_INVALID_ARG', stabilizeRes.error);
+          const stabilize = stabilizeRes.spec;
+
+          // One capture per locale x viewport x media variant. Locale is outermost so the page
+          // reloads once per locale rather than once per capture.
+          const cells = [];
+          for (const locale of localeVariants.length ? localeVariants : [null]) {
+            for (const vp of normalizedViewports) {
+              for (const media of mediaVariants.length ? mediaVariants : [null]) cells.push({ vp, media, locale });
+            }
+          }
+          const mediaBefore = cdp.emulatedMedia;
+          const localeBefore = cdp.localeEmulation;
+          let currentLocale = null;
 
           const format = args.format ? String(args.format) : 'png';
           const quality = args.quality;
@@ -3294,30 +9242,68 @@ async function handleRequest(msg) {
           const inlineImages = [];
           const ext = format === 'jpeg' ? 'jpg' : format;
 
-          for (let i = 0; i < normalizedViewports.length; i++) {
-            const vp = normalizedViewports[i];
+          let cancelled = false;
+          for (let i = 0; i < cells.length; i++) {
+            if (ctx.signal.aborted) {
+              cancelled = true;
+              break;
+            }
+            const { vp, media, locale } = cells[i];
+            ctx.reportProgress(
+              i,
+              cells.length,
+              `viewport ${vp.name} (${vp.width}x${vp.height})${media ? ` media ${media.name}` : ''}${locale ? ` locale ${locale.name}` : ''}`,
+            );
             const seqStart = includeEvents ? cdp._eventSeq : null;
             try {
+              if (locale && locale !== currentLocale) {
+                currentLocale = locale;
+                await cdp.setLocaleEmulation({ ...localeBefore, ...locale.spec });
+                if (reloadOnLocaleChange) {
+                  const reloadRes = await cdp.reload({ signal: ctx.signal });
+                  if (!reloadRes.ok) throw new Error(`[${reloadRes.error.code}] ${reloadRes.error.message}`);
+                }
+              }
+              if (media) await cdp.setEmulatedMedia({ ...mediaBefore, ...media.spec });
               const vpRes = await cdp.setViewport({
                 width: vp.width,
                 height: vp.height,
                 mobile: vp.mobile,
                 deviceScaleFactor: vp.deviceScaleFactor,
+                hasTouch: vp.hasTouch,
+                userAgent: vp.userAgent,
+                platform: vp.platform,
+                device: vp.device,
+                ...(vp.device ? { landscape: vp.landscape } : {}),
               });
               if (!vpRes.ok) throw new Error(`[${vpRes.error.code}] ${vpRes.error.message}`);
 
               const waitMs = vp.waitMs !== null ? vp.waitMs : defaultWaitMs;
               if (waitMs > 0) await sleep(waitMs);
 
-              const shot = await cdp.screenshot({
-                format,
-                quality,
-                fullPage: vp.fullPage === null ? defaultFullPage : vp.fullPage,
-              });
+              const shot = await cdp.withStabilized(stabilize, () =>
+                cdp.screenshot({
+                  format,
+                  quality,
+                  fullPage: vp.fullPage === null ? defaultFullPage : vp.fullPage,
+                }),
+              );
               if (!shot.ok) throw new Error(`[${shot.error.code}] ${shot.error.message}`);
 
               const bytes = Buffer.from(shot.base64, 'base64');
-              const fileName = `${String(i + 1).padStart(2, '0')}-${sanitizeFileBase(vp.name)}.${ext}`;
+              const fileName = `${String(i + 1).padStart(2, '0')}-${sanitizeFileBase(vp.name)}${media ? `-${sanitizeFileBase(media.name)}` : ''}${
+                locale ? `-${sanitizeFileBase(locale.name)}` : ''
+              }.${ext}`;
+
+              let localeInfo = null;
+              if (locale) {
+                const docRes = await cdp.evaluate(
+                  `(() => ({ lang: document.documentElement.lang || null, direction: getComputedStyle(document.documentElement).direction }))()`,
+                  { returnByValue: true, timeoutMs: 10_000 },
+                );
+                const doc = docRes.ok ? getRemoteObjectValue(docRes.result) || {} : {};
+                localeInfo = { name: locale.name, ...locale.spec, lang: doc.lang || null, direction: doc.direction || null };
+              }
               const filePath = path.join(outputDir, fileName);
               atomicWriteFileSync(filePath, bytes);
 
@@ -3360,13 +9346,17 @@ async function handleRequest(msg) {
                   height: vp.height,
                   mobile: vp.mobile,
                   deviceScaleFactor: vp.deviceScaleFactor,
+                  ...(vp.device ? { device: vp.device, landscape: vp.landscape, hasTouch: vp.hasTouch, userAgent: vp.userAgent } : {}),
                 },
+                ...(media ? { media: { name: media.name, ...media.spec } } : {}),
+                ...(localeInfo ? { locale: localeInfo } : {}),
                 screenshot: {
                   fileName,
                   filePath,
                   bytes: bytes.length,
                   format: shot.format,
                   fullPage: vp.fullPage === null ? defaultFullPage : vp.fullPage,
+                  ...(shot.stabilize ? { stabilize: shot.stabilize } : {}),
                 },
                 eventSummary,
                 eventCount: events ? events.length : null,
@@ -3380,18 +9370,41 @@ async function handleRequest(msg) {
             } catch (err) {
               failures.push({
                 viewport: { name: vp.name, width: vp.width, height: vp.height },
+                ...(media ? { media: { name: media.name, ...media.spec } } : {}),
+                ...(locale ? { locale: { name: locale.name, ...locale.spec } } : {}),
                 error: String(err && err.message ? err.message : err),
               });
             }
           }
 
-          if (clearViewportAtEnd) {
+          if (clearViewportAtEnd || cancelled || ctx.signal.aborted) {
             try {
               await cdp.clearViewport();
             } catch {
               // best-effort cleanup
             }
           }
+          if (mediaVariants.length) {
+            try {
+              await cdp.setEmulatedMedia(mediaBefore);
+            } catch {
+              // best-effort cleanup
+            }
+          }
+          if (localeVariants.length) {
+            try {
+              await cdp.setLocaleEmulation(localeBefore);
+              // Not tied to ctx.signal: after a cancellation the restore must still finish reloading.
+              if (reloadOnLocaleChange) await cdp.reload();
+            } catch {
+              // best-effort cleanup
+            }
+          }
+
+          if (cancelled || ctx.signal.aborted) {
+            return toolError('OVERTY_CANCELLED', 'qa_matrix cancelled', { captured: results.length, outputDir });
+          }
+          ctx.reportProgress(cells.length, cells.length, 'done');
 
           const assertionPassedCount = includeAssertions
             ? results.filter((r) => r.assertion && r.assertion.pass).length
@@ -3408,6 +9421,7 @@ async function handleRequest(msg) {
               schemaVersion: 1,
               createdAt,
               serverInfo: SERVER_INFO,
+              session: cdp.name,
               browserUrl: cdp.browserUrl || null,
               selectedTarget: cdp.selectedTarget || null,
               outputDir: outputDirDisplay,
@@ -3418,17 +9432,23 @@ async function handleRequest(msg) {
               overallPass,
               counts: {
                 viewports: normalizedViewports.length,
+                media: mediaVariants.length || null,
+                locales: localeVariants.length || null,
+                captures: cells.length,
                 succeeded: results.length,
                 failed: failures.length,
                 assertionPassed: assertionPassedCount,
               },
               results: results.map((r) => ({
                 viewport: r.viewport,
+                ...(r.media ? { media: r.media } : {}),
+                ...(r.locale ? { locale: r.locale } : {}),
                 screenshot: {
                   fileName: path.basename(String(r.screenshot.filePath)),
                   bytes: r.screenshot.bytes,
                   format: r.screenshot.format,
                   fullPage: r.screenshot.fullPage,
+                  ...(r.screenshot.stabilize ? { stabilize: r.screenshot.stabilize } : {}),
                 },
                 eventSummary: r.eventSummary,
                 eventCount: r.eventCount,
@@ -3441,7 +9461,11 @@ async function handleRequest(msg) {
           }
 
           const lines = [
-            `qa_matrix: ${results.length}/${normalizedViewports.length} viewports captured`,
+            `qa_matrix: ${results.length}/${cells.length} ${
+              mediaVariants.length || localeVariants.length
+                ? `captures (viewports${mediaVariants.length ? ' x media' : ''}${localeVariants.length ? ' x locales' : ''})`
+                : 'viewports captured'
+            }`,
             `overallPass=${overallPass ? 'yes' : 'no'}`,
             includeAssertions ? `assertionPassed=${assertionPassedCount}/${results.length}` : null,
             failures.length ? `failures=${failures.length}` : null,
@@ -3481,6 +9505,8 @@ async function handleRequest(msg) {
             format: args.format,
             quality: args.quality,
             fullPage: args.fullPage,
+            stitch: args.stitch,
+            signal: ctx.signal,
           });
           if (!shot.ok) return toolError(shot.error.code, shot.error.message, shot.error.details);
 
@@ -3524,6 +9550,16 @@ async function handleRequest(msg) {
             atomicWriteFileSync(eventsPath, `${JSON.stringify({ events }, null, 2)}\n`);
           }
 
+          const includeHar = !!args.includeHar;
+          let harPath = null;
+          let harMeta = null;
+          if (includeHar) {
+            harPath = path.join(outputDir, 'network.har');
+            const harRes = await writeHarFile(cdp, harPath, { includeBodies: !!args.harIncludeBodies });
+            if (!harRes.ok) return toolError(harRes.error.code, harRes.error.message, harRes.error.details);
+            harMeta = { entries: harRes.entries, bodies: harRes.bodies };
+          }
+
           const includeLayoutAudit = args.includeLayoutAudit !== false;
           let layoutPath = null;
           let layoutSummary = null;
@@ -3546,13 +9582,22 @@ async function handleRequest(msg) {
             schemaVersion: 1,
             createdAt,
             serverInfo: SERVER_INFO,
+            session: cdp.name,
             browserUrl: cdp.browserUrl || null,
             selectedTarget: cdp.selectedTarget || null,
             outputDir: outputDirDisplay,
-            screenshot: { path: path.basename(screenshotPath), bytes: bytes.length, format: shot.format, fullPage: !!args.fullPage },
+            screenshot: {
+              path: path.basename(screenshotPath),
+              bytes: bytes.length,
+              format: shot.format,
+              fullPage: !!args.fullPage,
+              stitch: shot.stitch || null,
+            },
             dom: includeDom ? { path: domPath ? path.basename(domPath) : null, ...domMeta } : null,
             events: includeEvents ? { path: eventsPath ? path.basename(eventsPath) : null, count: eventsCount, summary: eventsSummary } : null,
+            har: includeHar ? { path: path.basename(harPath), ...harMeta } : null,
             layout: includeLayoutAudit ? { path: layoutPath ? path.basename(layoutPath) : null } : null,
+            emulation: cdp.emulationState(),
           };
           atomicWriteFileSync(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`);
 
@@ -3561,6 +9606,7 @@ async function handleRequest(msg) {
             `Screenshot: ${screenshotPath}`,
             domPath ? `DOM: ${domPath}` : null,
             eventsPath ? `Events: ${eventsPath}` : null,
+            harPath ? `HAR: ${harPath} (${harMeta.entries} requests)` : null,
             layoutPath ? `Layout: ${layoutPath}` : null,
             `Manifest: ${manifestPath}`,
           ].filter(Boolean);
@@ -3578,6 +9624,7 @@ async function handleRequest(msg) {
               screenshotPath,
               domPath,
               eventsPath,
+              harPath,
               layoutPath,
               manifestPath,
               eventsSummary,
@@ -3603,10 +9650,7 @@ async function handleRequest(msg) {
           const keepPageOpen = !!args.keepPageOpen;
           const restorePreviousTarget = args.restorePreviousTarget !== false;
 
-          const previous =
-            cdp.isConnected && cdp.selectedTarget && cdp.selectedTarget.id
-              ? { browserUrl: cdp.browserUrl || browserBase, targetId: String(cdp.selectedTarget.id) }
-              : null;
+          const previous = cdp.isConnected && cdp.selectedTarget && cdp.selectedTarget.id ? { targetId: String(cdp.selectedTarget.id) } : null;
 
           const format = args.format ? String(args.format) : 'png';
           const quality = args.quality;
@@ -3618,9 +9662,10 @@ async function handleRequest(msg) {
           if (!outputDir || !isSafeOutputPath(outputDir)) return toolError('OVERTY_INVALID_ARG', 'Invalid outputDir');
           ensureDirSync(outputDir);
 
+          // Render in a private session so the caller's session stays connected to its target.
+          const mock = new CdpSession(`${cdp.name}:mockups`);
           let mockTarget = null;
           let mockTargetClosed = false;
-          let restoreAttempted = false;
 
           try {
             const newPage = await cdpHttpNewPage({ browserUrl: browserBase, allowRemote, url: 'about:blank' });
@@ -3630,12 +9675,12 @@ async function handleRequest(msg) {
             const actRes = await cdpHttpActivate({ browserUrl: browserBase, allowRemote, targetId: mockTarget.id });
             if (!actRes.ok) log('render_html_mockups: activate failed', actRes.error);
 
-            const conn = await cdp.connect({ browserUrl: browserBase, allowRemote, targetId: mockTarget.id });
+            const conn = await mock.connect({ browserUrl: browserBase, allowRemote, targetId: mockTarget.id });
             if (!conn.ok) return toolError(conn.error.code, conn.error.message, conn.error.details);
 
             if (args.viewport && typeof args.viewport === 'object') {
               const v = args.viewport;
-              const vpRes = await cdp.setViewport({
+              const vpRes = await mock.setViewport({
                 width: v.width,
                 height: v.height,
                 deviceScaleFactor: v.deviceScaleFactor,
@@ -3644,11 +9689,11 @@ async function handleRequest(msg) {
               if (!vpRes.ok) return toolError(vpRes.error.code, vpRes.error.message, vpRes.error.details);
             }
 
-            const setHtmlRes = await cdp.evaluate(buildSetHtmlExpression(html), { returnByValue: true, awaitPromise: true, timeoutMs: 30_000 });
+            const setHtmlRes = await mock.evaluate(buildSetHtmlExpression(html), { returnByValue: true, awaitPromise: true, timeoutMs: 30_000 });
             if (!setHtmlRes.ok) return toolError(setHtmlRes.error.code, setHtmlRes.error.message, setHtmlRes.error.details);
 
             // Wait for fonts to settle (best-effort).
-            await cdp.evaluate(
+            await mock.evaluate(
               `(async () => { try { if (document.fonts && document.fonts.ready) { await document.fonts.ready; } } catch (e) {} return true; })()`,
               { returnByValue: true, awaitPromise: true, timeoutMs: 30_000 },
             );
@@ -3667,8 +9712,10 @@ async function handleRequest(msg) {
             const createdAt = new Date().toISOString();
 
             for (let i = 0; i < variants.length; i++) {
+              if (ctx.signal.aborted) break;
               const v = variants[i] || {};
               const name = typeof v.name === 'string' && v.name.trim() ? v.name.trim() : `variant-${i + 1}`;
+              ctx.reportProgress(i, variants.length, `variant ${name}`);
               const css = typeof v.css === 'string' ? v.css : '';
               const js = typeof v.js === 'string' ? v.js : '';
               const waitMs = Number.isFinite(v.waitMs) ? Math.max(0, Math.floor(Number(v.waitMs))) : 100;
@@ -3686,9 +9733,9 @@ async function handleRequest(msg) {
                   atomicWriteFileSync(htmlPath, htmlText);
                 }
 
-                const seqStart = includeEventSummary ? cdp._eventSeq : null;
+                const seqStart = includeEventSummary ? mock._eventSeq : null;
 
-                const cssRes = await cdp.evaluate(buildSetCssExpression(DEFAULT_STYLE_ID, combinedCss, 'replace'), {
+                const cssRes = await mock.evaluate(buildSetCssExpression(DEFAULT_STYLE_ID, combinedCss, 'replace'), {
                   returnByValue: true,
                   awaitPromise: true,
                   timeoutMs: 30_000,
@@ -3696,13 +9743,13 @@ async function handleRequest(msg) {
                 if (!cssRes.ok) throw new Error(`[${cssRes.error.code}] ${cssRes.error.message}`);
 
                 if (js) {
-                  const jsRes = await cdp.evaluate(String(js), { returnByValue: true, awaitPromise: true, timeoutMs: 30_000 });
+                  const jsRes = await mock.evaluate(String(js), { returnByValue: true, awaitPromise: true, timeoutMs: 30_000 });
                   if (!jsRes.ok) throw new Error(`[${jsRes.error.code}] ${jsRes.error.message}`);
                 }
 
                 if (waitMs > 0) await sleep(waitMs);
 
-                const shot = await cdp.screenshot({ format, quality, fullPage });
+                const shot = await mock.screenshot({ format, quality, fullPage });
                 if (!shot.ok) throw new Error(`[${shot.error.code}] ${shot.error.message}`);
                 const bytes = Buffer.from(shot.base64, 'base64');
 
@@ -3713,10 +9760,10 @@ async function handleRequest(msg) {
                 let eventSummary = null;
                 let eventSeq = null;
                 if (includeEventSummary && typeof seqStart === 'number') {
-                  const evRes = cdp.listEvents({ sinceSeq: seqStart, limit: 200, types: ['console', 'exception', 'log'] });
+                  const evRes = mock.listEvents({ sinceSeq: seqStart, limit: 200, types: ['console', 'exception', 'log'] });
                   if (evRes && evRes.ok) {
                     eventSummary = summarizeEvents(evRes.events || []);
-                    eventSeq = { start: seqStart, end: cdp._eventSeq };
+                    eventSeq = { start: seqStart, end: mock._eventSeq };
                   }
                 }
 
@@ -3741,6 +9788,12 @@ async function handleRequest(msg) {
               }
             }
 
+            // On cancellation the finally block closes the temporary tab.
+            if (ctx.signal.aborted) {
+              return toolError('OVERTY_CANCELLED', 'render_html_mockups cancelled', { rendered: results.length, outputDir });
+            }
+            ctx.reportProgress(variants.length, variants.length, 'done');
+
             if (!keepPageOpen) {
               const closeRes = await cdpHttpClose({ browserUrl: browserBase, allowRemote, targetId: mockTarget.id });
               if (!closeRes.ok) log('render_html_mockups: close failed', closeRes.error);
@@ -3748,14 +9801,16 @@ async function handleRequest(msg) {
               await sleep(50);
             }
 
+            // The variants ran in a private session, so the caller's session never left its target.
             let restored = null;
             if (previous && restorePreviousTarget) {
-              restoreAttempted = true;
-              const prevConn = await cdp.connect({ browserUrl: previous.browserUrl, allowRemote, targetId: previous.targetId });
-              restored = prevConn.ok
-                ? { ok: true, selectedTarget: prevConn.selectedTarget }
-                : { ok: false, error: prevConn.error };
-              if (!prevConn.ok) log('render_html_mockups: restore failed', prevConn.error);
+              restored = cdp.isConnected
+                ? { ok: true, selectedTarget: cdp.selectedTarget }
+                : { ok: false, error: { code: 'OVERTY_NOT_CONNECTED', message: 'Session disconnected while rendering' } };
+            } else if (!restorePreviousTarget && keepPageOpen) {
+              const conn = await cdp.connect({ browserUrl: browserBase, allowRemote, targetId: mockTarget.id });
+              if (conn.ok) registerSession(cdp);
+              else log('render_html_mockups: connect to mockup tab failed', conn.error);
             }
 
             const lines = [
@@ -3824,14 +9879,11 @@ async function handleRequest(msg) {
               },
             };
           } finally {
-            if (mockTarget && !keepPageOpen && !mockTargetClosed) {
+            if (mockTarget && (!keepPageOpen || ctx.signal.aborted) && !mockTargetClosed) {
               const closeRes = await cdpHttpClose({ browserUrl: browserBase, allowRemote, targetId: mockTarget.id });
               if (!closeRes.ok) log('render_html_mockups: close failed', closeRes.error);
             }
-            if (previous && restorePreviousTarget && !restoreAttempted) {
-              const prevConn = await cdp.connect({ browserUrl: previous.browserUrl, allowRemote, targetId: previous.targetId });
-              if (!prevConn.ok) log('render_html_mockups: restore failed', prevConn.error);
-            }
+            await mock.disconnect();
           }
         }
 
@@ -3886,18 +9938,461 @@ async function handleRequest(msg) {
           };
         }
 
-        case 'take_screenshot': {
+        case 'click': {
           if (!cdp.isConnected) return toolError('OVERTY_NOT_CONNECTED', 'Not connected. Call connect() first.');
+          const button = MOUSE_BUTTONS.includes(args.button) ? args.button : 'left';
+          const clickCount = Number.isFinite(args.clickCount) ? Math.min(3, Math.max(1, Math.floor(args.clickCount))) : 1;
+          const holdMs = Number.isFinite(args.holdMs) ? Math.max(0, Math.floor(args.holdMs)) : 0;
+          const modifiers = modifierMask(args.modifiers);
+
+          const resolved = await resolvePointerTarget(cdp, args);
+          if (!resolved.ok) return toolError(resolved.error.code, resolved.error.message, resolved.error.details);
+          const target = resolved.target;
+          try {
+            await cdp.mouseClick({ x: target.x, y: target.y, button, clickCount, holdMs, modifiers });
+          } catch (err) {
+            return inputErrorResult('click', err);
+          }
 
-          const shot = await cdp.screenshot({
-            format: args.format,
-            quality: args.quality,
-            fullPage: args.fullPage,
+          return {
+            content: [{ type: 'text', text: `Clicked ${describePointerTarget(target)}` }],
+            structuredContent: { ...target, button, clickCount },
+          };
+        }
+
+        case 'hover': {
+          if (!cdp.isConnected) return toolError('OVERTY_NOT_CONNECTED', 'Not connected. Call connect() first.');
+          const resolved = await resolvePointerTarget(cdp, args);
+          if (!resolved.ok) return toolError(resolved.error.code, resolved.error.message, resolved.error.details);
+          const target = resolved.target;
+          try {
+            await cdp.mouseMove(target.x, target.y);
+          } catch (err) {
+            return inputErrorResult('hover', err);
+          }
+
+          return {
+            content: [{ type: 'text', text: `Hovering ${describePointerTarget(target)}` }],
+            structuredContent: target,
+          };
+        }
+
+        case 'type_text': {
+          if (!cdp.isConnected) return toolError('OVERTY_NOT_CONNECTED', 'Not connected. Call connect() first.');
+          if (typeof args.text !== 'string') return toolError('OVERTY_INVALID_ARG', 'Missing required string argument: text');
+          const text = args.text;
+          const delayMs = Number.isFinite(args.delayMs) ? Math.max(0, Math.floor(args.delayMs)) : 0;
+
+          let target = null;
+          if (typeof args.selector === 'string' && args.selector.trim()) {
+            const resolved = await resolvePointerTarget(cdp, { selector: args.selector, index: args.index, timeoutMs: args.timeoutMs });
+            if (!resolved.ok) return toolError(resolved.error.code, resolved.error.message, resolved.error.details);
+            target = resolved.target;
+          }
+
+          try {
+            if (target) await cdp.mouseClick({ x: target.x, y: target.y });
+            if (args.clear) {
+              await cdp.evaluate(
+                `(() => {
+                  const el = document.activeElement;
+                  if (!el) return;
+                  if (typeof el.select === 'function') { el.select(); return; }
+                  if (el.isContentEditable) window.getSelection().selectAllChildren(el);
+                })()`,
+                { returnByValue: true, awaitPromise: true, timeoutMs: 10_000 },
+              );
+              await cdp.pressKey(resolveKeyDefinition('Backspace'));
+            }
+            if (delayMs > 0) {
+              for (const ch of text) {
+                if (ctx.signal.aborted) return toolError('OVERTY_CANCELLED', 'type_text cancelled');
+                await cdp.insertText(ch);
+                await sleep(delayMs);
+              }
+            } else if (text) {
+              await cdp.insertText(text);
+            }
+          } catch (err) {
+            return inputErrorResult('type_text', err);
+          }
+
+          const readRes = await cdp.evaluate(
+            `(() => {
+              const el = document.activeElement;
+              if (!el || el === document.body) return { focused: null, value: null };
+              const value = 'value' in el ? String(el.value) : el.isContentEditable ? el.textContent : null;
+              return { focused: el.tagName.toLowerCase() + (el.id ? '#' + el.id : ''), value: value === null ? null : value.slice(0, 2000) };
+            })()`,
+            { returnByValue: true, awaitPromise: true, timeoutMs: 10_000 },
+          );
+          const after = readRes.ok ? getRemoteObjectValue(readRes.result) || {} : {};
+
+          return {
+            content: [{ type: 'text', text: `Typed ${text.length} char(s)${after.focused ? ` into ${after.focused}` : ''}` }],
+            structuredContent: { typed: text.length, target, focused: after.focused || null, value: after.value === undefined ? null : after.value },
+          };
+        }
+
+        case 'upload_files': {
+          if (!cdp.isConnected) return toolError('OVERTY_NOT_CONNECTED', 'Not connected. Call connect() first.');
+          if (typeof args.selector !== 'string' || !args.selector.trim()) return toolError('OVERTY_INVALID_ARG', 'Missing required string argument: selector');
+          if (!Array.isArray(args.files)) return toolError('OVERTY_INVALID_ARG', 'Missing required array argument: files');
+
+          const files = [];
+          for (const raw of args.files) {
+            const resolved = resolveSafeInputPath(raw);
+            if (!resolved) {
+              return toolError('OVERTY_INVALID_ARG', `File not found inside the input roots: ${raw}`, { inputRoots: SAFE_INPUT_DIRS });
+            }
+            files.push(resolved);
+          }
+
+          const wait = args.waitForNetworkIdle;
+          const waitOpts = wait && typeof wait === 'object' ? wait : wait === true ? {} : null;
+          // Enable Network before the change event so requests it starts are tracked.
+          if (waitOpts) {
+            const enableRes = await cdp.enableNetwork();
+            if (!enableRes.ok) return toolError(enableRes.error.code, enableRes.error.message, enableRes.error.details);
+          }
+
+          const res = await cdp.setFileInputFiles({ selector: args.selector, index: args.index, files });
+          if (!res.ok) return toolError(res.error.code, res.error.message, res.error.details);
+
+          let network = null;
+          if (waitOpts) {
+            network = await cdp.waitForNetworkIdle({
+              idleMs: waitOpts.idleMs,
+              timeoutMs: waitOpts.timeoutMs,
+              signal: ctx.signal,
+              onProgress: ctx.reportProgress,
+            });
+            if (!network.ok) return toolError(network.error.code, network.error.message, network.error.details);
+          }
+
+          const names = files.map((f) => path.basename(f));
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `${files.length ? `Set ${files.length} file(s) on ${args.selector}: ${names.join(', ')}` : `Cleared files on ${args.selector}`}${network ? `\nNetwork idle: inflight=${network.inflight}` : ''}`,
+              },
+            ],
+            structuredContent: { selector: args.selector, files, accept: res.accept, multiple: res.multiple, network },
+          };
+        }
+
+        case 'fill_form': {
+          if (!cdp.isConnected) return toolError('OVERTY_NOT_CONNECTED', 'Not connected. Call connect() first.');
+          if (!args.fields || typeof args.fields !== 'object' || Array.isArray(args.fields)) {
+            return toolError('OVERTY_INVALID_ARG', 'Missing required object argument: fields');
+          }
+          const entries = Object.entries(args.fields).filter(([selector]) => selector.trim());
+          if (!entries.length) return toolError('OVERTY_INVALID_ARG', 'fields must contain at least one selector');
+          const settleMs = Number.isFinite(args.settleMs) ? Math.max(0, Math.floor(args.settleMs)) : 100;
+          const timeoutMs = Number.isFinite(args.timeoutMs) ? Math.max(0, Math.floor(args.timeoutMs)) : 30_000;
+
+          const res = await cdp.evaluate(buildFillFormExpression(entries, { blur: args.blur !== false, settleMs }), {
+            returnByValue: true,
+            awaitPromise: true,
+            timeoutMs,
           });
+          if (!res.ok) return toolError(res.error.code, res.error.message, res.error.details);
+          const fields = getRemoteObjectValue(res.result) || [];
+
+          const failed = fields.filter((f) => !f.ok);
+          const invalid = fields.filter((f) => f.ok && (f.valid === false || f.ariaInvalid === 'true'));
+          const lines = [`Filled ${fields.length - failed.length}/${fields.length} field(s)${invalid.length ? `, ${invalid.length} invalid` : ''}`];
+          for (const f of failed) lines.push(`- ${f.selector}: ${f.error}`);
+          for (const f of invalid) {
+            lines.push(`- ${f.selector}: invalid${f.validationMessage ? ` (${f.validationMessage})` : ''}${f.errorText ? ` — ${f.errorText}` : ''}`);
+          }
+
+          return {
+            content: [{ type: 'text', text: lines.join('\n') }],
+            structuredContent: { filled: fields.length - failed.length, failed: failed.length, invalid: invalid.length, fields },
+          };
+        }
+
+        case 'press_key': {
+          if (!cdp.isConnected) return toolError('OVERTY_NOT_CONNECTED', 'Not connected. Call connect() first.');
+          if (typeof args.key !== 'string' || !args.key) return toolError('OVERTY_INVALID_ARG', 'Missing required string argument: key');
+          const combo = parseKeyCombo(args.key, args.modifiers);
+          if (!combo.ok) return toolError('OVERTY_INVALID_ARG', combo.error);
+          const def = resolveKeyDefinition(combo.key);
+          if (!def) return toolError('OVERTY_INVALID_ARG', `Unknown key: ${combo.key}`, { knownKeys: Object.keys(KEY_DEFINITIONS) });
+          const count = Number.isFinite(args.count) ? Math.min(100, Math.max(1, Math.floor(args.count))) : 1;
+
+          if (typeof args.selector === 'string' && args.selector.trim()) {
+            const index = Number.isFinite(args.index) ? Math.max(0, Math.floor(args.index)) : 0;
+            const focusRes = await cdp.evaluate(
+              `(() => { const el = document.querySelectorAll(${JSON.stringify(String(args.selector))})[${index}]; if (!el) return false; el.focus(); return true; })()`,
+              { returnByValue: true, awaitPromise: true, timeoutMs: 10_000 },
+            );
+            if (!focusRes.ok) return toolError(focusRes.error.code, focusRes.error.message, focusRes.error.details);
+            if (getRemoteObjectValue(focusRes.result) !== true) {
+              return toolError('OVERTY_NOT_FOUND', `No element matched selector: ${String(args.selector)}`, { selector: String(args.selector), index });
+            }
+          }
+
+          try {
+            for (let i = 0; i < count; i += 1) {
+              await cdp.pressKey(def, combo.modifiers);
+            }
+          } catch (err) {
+            return inputErrorResult('press_key', err);
+          }
+
+          const label = [...combo.modifiers, def.key === ' ' ? 'Space' : def.key].join('+');
+          return {
+            content: [{ type: 'text', text: `Pressed ${label}${count > 1 ? ` x${count}` : ''}` }],
+            structuredContent: { key: def.key, code: def.code, modifiers: combo.modifiers, count },
+          };
+        }
+
+        case 'scroll': {
+          if (!cdp.isConnected) return toolError('OVERTY_NOT_CONNECTED', 'Not connected. Call connect() first.');
+          const deltaX = Number.isFinite(args.deltaX) ? Number(args.deltaX) : 0;
+          const deltaY = Number.isFinite(args.deltaY) ? Number(args.deltaY) : 0;
+          const hasDelta = deltaX !== 0 || deltaY !== 0;
+          const settleMs = Number.isFinite(args.settleMs) ? Math.max(0, Math.floor(args.settleMs)) : 150;
+
+          const resolved = await resolvePointerTarget(cdp, args, { scrollIntoView: !hasDelta, allowViewportCenter: true });
+          if (!resolved.ok) return toolError(resolved.error.code, resolved.error.message, resolved.error.details);
+          const target = resolved.target;
+          if (hasDelta) {
+            try {
+              await cdp.mouseMove(target.x, target.y);
+              await cdp.mouseWheel({ x: target.x, y: target.y, deltaX, deltaY });
+            } catch (err) {
+              return inputErrorResult('scroll', err);
+            }
+            if (settleMs) await sleep(settleMs);
+          }
+
+          const posRes = await cdp.evaluate(
+            `(() => {
+              const out = { window: { x: window.scrollX, y: window.scrollY } };
+              const el = document.elementFromPoint(${target.x}, ${target.y});
+              for (let n = el; n && n !== document.body && n !== document.documentElement; n = n.parentElement) {
+                const cs = getComputedStyle(n);
+                if ((n.scrollHeight > n.clientHeight && /(auto|scroll)/.test(cs.overflowY)) || (n.scrollWidth > n.clientWidth && /(auto|scroll)/.test(cs.overflowX))) {
+                  out.container = { element: n.tagName.toLowerCase() + (n.id ? '#' + n.id : ''), x: n.scrollLeft, y: n.scrollTop };
+                  break;
+                }
+              }
+              return out;
+            })()`,
+            { returnByValue: true, awaitPromise: true, timeoutMs: 10_000 },
+          );
+          const positions = posRes.ok ? getRemoteObjectValue(posRes.result) || null : null;
+
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `${hasDelta ? `Scrolled (${deltaX}, ${deltaY}) at ${describePointerTarget(target)}` : `Scrolled ${describePointerTarget(target)} into view`}${positions ? `; window scroll ${Math.round(positions.window.x)},${Math.round(positions.window.y)}` : ''}`,
+              },
+            ],
+            structuredContent: { ...target, deltaX, deltaY, scroll: positions },
+          };
+        }
+
+        case 'drag': {
+          if (!cdp.isConnected) return toolError('OVERTY_NOT_CONNECTED', 'Not connected. Call connect() first.');
+          const steps = Number.isFinite(args.steps) ? Math.min(200, Math.max(1, Math.floor(args.steps))) : 10;
+          const durationMs = Number.isFinite(args.durationMs) ? Math.max(0, Math.floor(args.durationMs)) : 300;
+          const phases = Array.isArray(args.screenshots) ? args.screenshots.map(String) : [];
+
+          const from = await resolvePointerTarget(cdp, args);
+          if (!from.ok) return toolError(from.error.code, from.error.message, from.error.details);
+
+          let to = null;
+          if (typeof args.toSelector === 'string' && args.toSelector.trim()) {
+            const res = await resolvePointerTarget(cdp, { selector: args.toSelector, index: args.toIndex, scrollIntoView: false, timeoutMs: args.timeoutMs });
+            if (!res.ok) return toolError(res.error.code, res.error.message, res.error.details);
+            to = res.target;
+          } else if (Number.isFinite(args.toX) && Number.isFinite(args.toY)) {
+            to = { x: Number(args.toX), y: Number(args.toY), selector: null };
+          } else if (Number.isFinite(args.deltaX) || Number.isFinite(args.deltaY)) {
+            to = { x: from.target.x + (Number(args.deltaX) || 0), y: from.target.y + (Number(args.deltaY) || 0), selector: null };
+          } else {
+            return toolError('OVERTY_INVALID_ARG', 'Provide a destination: toSelector, toX/toY, or deltaX/deltaY');
+          }
+
+          const waypoints = Array.isArray(args.path) ? args.path.map(readPoint).filter(Boolean) : [];
+          const start = { x: from.target.x, y: from.target.y };
+          const points = [start, ...interpolatePath([start, ...waypoints, { x: to.x, y: to.y }], steps)];
+
+          const shots = [];
+          let result;
+          try {
+            result = await performDrag(cdp, points, {
+              durationMs,
+              signal: ctx.signal,
+              mode: args.mode === 'mouse' ? 'mouse' : 'auto',
+              onMid: phases.includes('mid') ? async () => shots.push(await captureGestureScreenshot(cdp, 'drag', 'mid')) : null,
+            });
+          } catch (err) {
+            return inputErrorResult('drag', err);
+          }
+          if (phases.includes('after')) shots.push(await captureGestureScreenshot(cdp, 'drag', 'after'));
+
+          return gestureResult(
+            `Dragged ${describePointerTarget(from.target)} to (${Math.round(to.x)}, ${Math.round(to.y)})${to.selector ? ` ${to.selector}` : ''} [${result.mode}]`,
+            { from: from.target, to, moves: points.length - 1, mode: result.mode },
+            shots,
+          );
+        }
+
+        case 'tap': {
+          if (!cdp.isConnected) return toolError('OVERTY_NOT_CONNECTED', 'Not connected. Call connect() first.');
+          const holdMs = Number.isFinite(args.holdMs) ? Math.max(0, Math.floor(args.holdMs)) : 50;
+          const phases = Array.isArray(args.screenshots) ? args.screenshots.map(String) : [];
+
+          const resolved = await resolvePointerTarget(cdp, args);
+          if (!resolved.ok) return toolError(resolved.error.code, resolved.error.message, resolved.error.details);
+          const target = resolved.target;
+
+          const shots = [];
+          try {
+            await cdp.ensureTouchEmulation();
+            await cdp.touchEvent('touchStart', [{ x: target.x, y: target.y, id: 0 }]);
+            let ended = false;
+            try {
+              if (holdMs) await sleep(holdMs);
+              if (phases.includes('mid')) shots.push(await captureGestureScreenshot(cdp, 'tap', 'mid'));
+              await cdp.touchEvent('touchEnd', []);
+              ended = true;
+            } finally {
+              // Same as performTouchPaths: never leave the page with an active touch.
+              if (!ended) await cdp.touchEvent('touchCancel', []).catch(() => {});
+            }
+          } catch (err) {
+            return inputErrorResult('tap', err);
+          }
+          if (phases.includes('after')) shots.push(await captureGestureScreenshot(cdp, 'tap', 'after'));
+
+          return gestureResult(`Tapped ${describePointerTarget(target)}${holdMs >= 500 ? ` (held ${holdMs}ms)` : ''}`, { ...target, holdMs }, shots);
+        }
+
+        case 'swipe': {
+          if (!cdp.isConnected) return toolError('OVERTY_NOT_CONNECTED', 'Not connected. Call connect() first.');
+          const steps = Number.isFinite(args.steps) ? Math.min(200, Math.max(1, Math.floor(args.steps))) : 10;
+          const durationMs = Number.isFinite(args.durationMs) ? Math.max(0, Math.floor(args.durationMs)) : 250;
+          const phases = Array.isArray(args.screenshots) ? args.screenshots.map(String) : [];
+          const direction = ['left', 'right', 'up', 'down'].includes(args.direction) ? args.direction : 'left';
+
+          const resolved = await resolvePointerTarget(cdp, args, { allowViewportCenter: true });
+          if (!resolved.ok) return toolError(resolved.error.code, resolved.error.message, resolved.error.details);
+          const target = resolved.target;
+
+          let start = { x: target.x, y: target.y };
+          let end;
+          if (Number.isFinite(args.toX) || Number.isFinite(args.toY)) {
+            end = { x: Number.isFinite(args.toX) ? Number(args.toX) : start.x, y: Number.isFinite(args.toY) ? Number(args.toY) : start.y };
+          } else {
+            const horizontal = direction === 'left' || direction === 'right';
+            const size = target.rect ? (horizontal ? target.rect.width : target.rect.height) : 0;
+            const distance = Number.isFinite(args.distance) ? Math.max(1, Number(args.distance)) : size ? size * 0.7 : 200;
+            const sign = direction === 'left' || direction === 'up' ? -1 : 1;
+            // Centered on the element so the finger travels across it rather than off its edge.
+            if (target.rect && !Number.isFinite(args.offsetX) && !Number.isFinite(args.offsetY)) {
+              start = horizontal ? { x: start.x - (sign * distance) / 2, y: start.y } : { x: start.x, y: start.y - (sign * distance) / 2 };
+            }
+            end = horizontal ? { x: start.x + sign * distance, y: start.y } : { x: start.x, y: start.y + sign * distance };
+          }
+
+          const touchPath = [start, ...interpolatePath([start, end], steps)];
+          const shots = [];
+          try {
+            await cdp.ensureTouchEmulation();
+            await performTouchPaths(cdp, [touchPath], {
+              steps,
+              durationMs,
+              signal: ctx.signal,
+              onMid: phases.includes('mid') ? async () => shots.push(await captureGestureScreenshot(cdp, 'swipe', 'mid')) : null,
+            });
+          } catch (err) {
+            return inputErrorResult('swipe', err);
+          }
+          if (phases.includes('after')) shots.push(await captureGestureScreenshot(cdp, 'swipe', 'after'));
+
+          return gestureResult(
+            `Swiped from (${Math.round(start.x)}, ${Math.round(start.y)}) to (${Math.round(end.x)}, ${Math.round(end.y)})`,
+            { from: start, to: end, selector: target.selector, direction, steps, durationMs },
+            shots,
+          );
+        }
+
+        case 'pinch': {
+          if (!cdp.isConnected) return toolError('OVERTY_NOT_CONNECTED', 'Not connected. Call connect() first.');
+          const steps = Number.isFinite(args.steps) ? Math.min(200, Math.max(1, Math.floor(args.steps))) : 10;
+          const durationMs = Number.isFinite(args.durationMs) ? Math.max(0, Math.floor(args.durationMs)) : 300;
+          const phases = Array.isArray(args.screenshots) ? args.screenshots.map(String) : [];
+          const scale = Number.isFinite(args.scale) && args.scale > 0 ? Number(args.scale) : 2;
+          const startDistance = Number.isFinite(args.startDistance) ? Math.max(2, Number(args.startDistance)) : scale >= 1 ? 80 : 240;
+          const endDistance = startDistance * scale;
+
+          const resolved = await resolvePointerTarget(cdp, args, { allowViewportCenter: true });
+          if (!resolved.ok) return toolError(resolved.error.code, resolved.error.message, resolved.error.details);
+          const center = resolved.target;
+
+          const finger = (sign) => {
+            const from = { x: center.x + (sign * startDistance) / 2, y: center.y };
+            return [from, ...interpolatePath([from, { x: center.x + (sign * endDistance) / 2, y: center.y }], steps)];
+          };
+          const shots = [];
+          try {
+            await cdp.ensureTouchEmulation();
+            await performTouchPaths(cdp, [finger(-1), finger(1)], {
+              steps,
+              durationMs,
+              signal: ctx.signal,
+              onMid: phases.includes('mid') ? async () => shots.push(await captureGestureScreenshot(cdp, 'pinch', 'mid')) : null,
+            });
+          } catch (err) {
+            return inputErrorResult('pinch', err);
+          }
+          if (phases.includes('after')) shots.push(await captureGestureScreenshot(cdp, 'pinch', 'after'));
+
+          return gestureResult(
+            `Pinched ${scale >= 1 ? 'out' : 'in'} x${scale} around ${describePointerTarget(center)} (${Math.round(startDistance)}px -> ${Math.round(endDistance)}px)`,
+            { center, scale, startDistance, endDistance, steps, durationMs },
+            shots,
+          );
+        }
+
+        case 'take_screenshot': {
+          if (!cdp.isConnected) return toolError('OVERTY_NOT_CONNECTED', 'Not connected. Call connect() first.');
+
+          const stabilize = normalizeStabilizeSpec(args.stabilize);
+          if (!stabilize.ok) return toolError('OVERTY_INVALID_ARG', stabilize.error);
+          if (args.stitch && stabilize.spec && stabilize.spec.freezeTime !== null) {
+            return toolError('OVERTY_INVALID_ARG', 'stabilize.freezeTime cannot be combined with stitch (scroll steps need running timers)');
+          }
+
+          const shot = await cdp.withStabilized(stabilize.spec, () =>
+            cdp.screenshot({
+              format: args.format,
+              quality: args.quality,
+              fullPage: args.fullPage,
+              stitch: args.stitch,
+              signal: ctx.signal,
+              onProgress: ctx.reportProgress,
+            }),
+          );
           if (!shot.ok) return toolError(shot.error.code, shot.error.message, shot.error.details);
 
           const bytes = Buffer.from(shot.base64, 'base64');
           const ext = shot.format === 'jpeg' ? 'jpg' : shot.format;
+          const stitchInfo = {
+            ...(shot.stitch ? { stitch: shot.stitch } : {}),
+            ...(shot.stabilize ? { stabilize: shot.stabilize } : {}),
+          };
+          const stitchNote = shot.stitch
+            ? ` (stitched ${shot.stitch.tiles} tile(s) of ${shot.stitch.scroller}, ${shot.stitch.width}x${shot.stitch.height}${shot.stitch.truncated ? ', truncated at maxHeight' : ''})`
+            : '';
 
           const requestedPath = args.filePath ? String(args.filePath).trim() : null;
           const safeRequestedPath = requestedPath ? resolveSafeOutputPath(requestedPath) : null;
@@ -3909,14 +10404,17 @@ async function handleRequest(msg) {
             if (!isSafeOutputPath(filePath)) return toolError('OVERTY_INVALID_ARG', 'Invalid filePath');
             atomicWriteFileSync(filePath, bytes);
             return {
-              content: [{ type: 'text', text: `Saved screenshot to ${filePath}` }],
-              structuredContent: { filePath, bytes: bytes.length, format: shot.format },
+              content: [{ type: 'text', text: `Saved screenshot to ${filePath}${stitchNote}` }],
+              structuredContent: { filePath, bytes: bytes.length, format: shot.format, ...stitchInfo },
             };
           }
 
           return {
-            content: [{ type: 'image', data: shot.base64, mimeType: `image/${shot.format}` }],
-            structuredContent: { bytes: bytes.length, format: shot.format },
+            content: [
+              { type: 'image', data: shot.base64, mimeType: `image/${shot.format}` },
+              ...(stitchNote ? [{ type: 'text', text: `Screenshot${stitchNote}` }] : []),
+            ],
+            structuredContent: { bytes: bytes.length, format: shot.format, ...stitchInfo },
           };
         }
 
@@ -3931,103 +10429,158 @@ async function handleRequest(msg) {
           const paddingPx = Number.isFinite(args.paddingPx) ? Math.max(0, Number(args.paddingPx)) : 0;
           const scrollIntoView = args.scrollIntoView !== false;
           const timeoutMs = Number.isFinite(args.timeoutMs) ? Math.max(0, Math.floor(args.timeoutMs)) : 30_000;
+          const frameSelectors = (Array.isArray(args.frameSelector) ? args.frameSelector : typeof args.frameSelector === 'string' ? [args.frameSelector] : [])
+            .map((f) => String(f).trim())
+            .filter(Boolean);
+          const stabilize = normalizeStabilizeSpec(args.stabilize);
+          if (!stabilize.ok) return toolError('OVERTY_INVALID_ARG', stabilize.error);
+          const frameInfo = frameSelectors.length ? { frameSelector: frameSelectors } : {};
+
+          // Measure inside the stabilized capture: hidden scrollbars can move the element.
+          const captureMatch = async (i) => {
+            const box = await cdp.elementClip({ selector, index: i, frameSelectors, scrollIntoView, paddingPx, timeoutMs });
+            if (!box.ok) return box;
+            if (!(box.clip.width > 0) || !(box.clip.height > 0)) {
+              return {
+                ok: false,
+                error: { code: 'OVERTY_CDP_ERROR', message: 'Element has no visible area to capture (zero size or fully clipped)', details: { rect: box.rect, clippedBy: box.clippedBy } },
+              };
+            }
+            const shot = await cdp.screenshotClip({ ...box.clip, format: args.format, quality: args.quality });
+            return shot.ok ? { ...shot, box } : shot;
+          };
+          const boxMeta = (box) => ({
+            label: box.label,
+            rect: box.rect,
+            clip: box.clip,
+            clipped: box.clipped,
+            clippedBy: box.clippedBy,
+          });
 
-          const expr = `(() => {
-            const sel = ${JSON.stringify(String(selector))};
-            const idx = ${index};
-            const els = document.querySelectorAll(sel);
-            const el = els && els.length > idx ? els[idx] : null;
-            if (!el) return { found: false, count: els ? els.length : 0 };
-            try {
-              if (${scrollIntoView ? 'true' : 'false'}) {
-                el.scrollIntoView({ block: 'center', inline: 'center', behavior: 'instant' });
-              }
-            } catch (e) {}
-            const r = el.getBoundingClientRect();
-            const de = document.documentElement;
-            const vw = de ? de.clientWidth : window.innerWidth;
-            const vh = de ? de.clientHeight : window.innerHeight;
-            return {
-              found: true,
-              count: els ? els.length : 1,
-              rect: { x: r.left, y: r.top, width: r.width, height: r.height },
-              viewport: { width: vw, height: vh },
-            };
-          })()`;
+          if (!args.selectorAll) {
+            const shot = await cdp.withStabilized(stabilize.spec, () => captureMatch(index));
+            if (!shot.ok) return toolError(shot.error.code, shot.error.message, shot.error.details);
 
-          const evalRes = await cdp.evaluate(expr, { returnByValue: true, awaitPromise: true, timeoutMs });
-          if (!evalRes.ok) return toolError(evalRes.error.code, evalRes.error.message, evalRes.error.details);
+            const bytes = Buffer.from(shot.base64, 'base64');
+            const ext = shot.format === 'jpeg' ? 'jpg' : shot.format;
+
+            const requestedPath = args.filePath ? String(args.filePath) : null;
+            const shouldInline = bytes.length < MAX_INLINE_SCREENSHOT_BYTES && !requestedPath;
+            const safeRequestedPath = requestedPath ? resolveSafeOutputPath(requestedPath.trim()) : null;
+            if (requestedPath && !safeRequestedPath) return toolError('OVERTY_INVALID_ARG', 'Invalid filePath');
 
-          const info = getRemoteObjectValue(evalRes.result) || null;
-          if (!info || !info.found) {
-            return toolError('OVERTY_NOT_FOUND', `No element matched selector: ${String(selector)}`, {
+            const meta = {
               selector: String(selector),
               index,
-              count: info && Number.isFinite(info.count) ? info.count : null,
-            });
+              count: shot.box.count,
+              ...frameInfo,
+              paddingPx,
+              ...boxMeta(shot.box),
+              viewport: shot.box.viewport,
+              bytes: bytes.length,
+              format: shot.format,
+              ...(shot.stabilize ? { stabilize: shot.stabilize } : {}),
+            };
+            const clipNote = shot.box.clipped ? ` (clipped by ${shot.box.clippedBy})` : '';
+
+            if (!shouldInline) {
+              const filePath = safeRequestedPath || path.join(DEFAULT_SCREENSHOT_DIR, `element-${sanitizeFileBase(selector)}-${nowFileSafe()}.${ext}`);
+              if (!isSafeOutputPath(filePath)) return toolError('OVERTY_INVALID_ARG', 'Invalid filePath');
+              atomicWriteFileSync(filePath, bytes);
+              return {
+                content: [{ type: 'text', text: `Saved element screenshot to ${filePath}${clipNote}` }],
+                structuredContent: { ...meta, filePath },
+              };
+            }
+
+            return {
+              content: [{ type: 'image', data: shot.base64, mimeType: `image/${shot.format}` }, ...(clipNote ? [{ type: 'text', text: `Element screenshot${clipNote}` }] : [])],
+              structuredContent: meta,
+            };
           }
 
-          const rect = info.rect || {};
-          const viewport = info.viewport || {};
-          const vw = Number(viewport.width);
-          const vh = Number(viewport.height);
-          const rx = Number(rect.x);
-          const ry = Number(rect.y);
-          const rw = Number(rect.width);
-          const rh = Number(rect.height);
-          if (![vw, vh, rx, ry, rw, rh].every((n) => Number.isFinite(n))) {
-            return toolError('OVERTY_CDP_ERROR', 'Could not compute element bounding box');
-          }
-
-          const x0 = Math.max(0, rx - paddingPx);
-          const y0 = Math.max(0, ry - paddingPx);
-          const x1 = Math.min(vw, rx + rw + paddingPx);
-          const y1 = Math.min(vh, ry + rh + paddingPx);
-          const clipW = Math.max(1, x1 - x0);
-          const clipH = Math.max(1, y1 - y0);
-
-          const shot = await cdp.screenshotClip({
-            x: x0,
-            y: y0,
-            width: clipW,
-            height: clipH,
-            format: args.format,
-            quality: args.quality,
-          });
-          if (!shot.ok) return toolError(shot.error.code, shot.error.message, shot.error.details);
+          // selectorAll: one file per match plus a manifest.
+          if (args.filePath) return toolError('OVERTY_INVALID_ARG', 'filePath is for a single element; use outputDir with selectorAll');
+          const maxElements = Number.isFinite(args.maxElements) ? Math.max(1, Math.floor(args.maxElements)) : 50;
+          const writeManifest = args.writeManifest !== false;
+          const inlineLimit = Number.isFinite(args.inlineLimit) ? Math.max(0, Math.floor(args.inlineLimit)) : 0;
+          const outputDir = args.outputDir
+            ? resolveSafeOutputPath(String(args.outputDir))
+            : path.join(DEFAULT_SCREENSHOT_DIR, `elements-${sanitizeFileBase(selector)}-${nowFileSafe()}`);
+          if (!outputDir || !isSafeOutputPath(outputDir)) return toolError('OVERTY_INVALID_ARG', 'Invalid outputDir');
 
-          const bytes = Buffer.from(shot.base64, 'base64');
-          const ext = shot.format === 'jpeg' ? 'jpg' : shot.format;
+          const first = await cdp.elementClip({ selector, index: 0, frameSelectors, scrollIntoView: false, timeoutMs });
+          if (!first.ok) return toolError(first.error.code, first.error.message, first.error.details);
+          const count = first.count;
+          const total = Math.min(count, maxElements);
+          ensureDirSync(outputDir);
 
-          const requestedPath = args.filePath ? String(args.filePath) : null;
-          const shouldInline = bytes.length < MAX_INLINE_SCREENSHOT_BYTES && !requestedPath;
-          const safeRequestedPath = requestedPath ? resolveSafeOutputPath(requestedPath.trim()) : null;
-          if (requestedPath && !safeRequestedPath) return toolError('OVERTY_INVALID_ARG', 'Invalid filePath');
+          const createdAt = new Date().toISOString();
+          const results = [];
+          const failures = [];
+          const inlineImages = [];
+          const runRes = await cdp.withStabilized(stabilize.spec, async () => {
+            for (let i = 0; i < total; i++) {
+              if (ctx.signal.aborted) break;
+              ctx.reportProgress(i, total, `element ${i + 1}`);
+              const shot = await captureMatch(i);
+              if (!shot.ok) {
+                failures.push({ index: i, error: `[${shot.error.code}] ${shot.error.message}` });
+                continue;
+              }
+              const bytes = Buffer.from(shot.base64, 'base64');
+              const ext = shot.format === 'jpeg' ? 'jpg' : shot.format;
+              const fileName = `${String(i + 1).padStart(2, '0')}-${sanitizeFileBase(shot.box.label)}.${ext}`;
+              const filePath = path.join(outputDir, fileName);
+              atomicWriteFileSync(filePath, bytes);
+              results.push({ index: i, fileName, filePath, bytes: bytes.length, format: shot.format, ...boxMeta(shot.box) });
+              if (inlineImages.length < inlineLimit && bytes.length < MAX_INLINE_SCREENSHOT_BYTES) {
+                inlineImages.push({ type: 'image', data: shot.base64, mimeType: `image/${shot.format}` });
+              }
+            }
+            return { ok: true };
+          });
+          if (!runRes.ok) return toolError(runRes.error.code, runRes.error.message, runRes.error.details);
 
-          const meta = {
-            selector: String(selector),
-            index,
-            paddingPx,
-            rect: { x: rx, y: ry, width: rw, height: rh },
-            clip: { x: x0, y: y0, width: clipW, height: clipH },
-            viewport: { width: vw, height: vh },
-            bytes: bytes.length,
-            format: shot.format,
-          };
+          if (ctx.signal.aborted) {
+            return toolError('OVERTY_CANCELLED', 'screenshot_element cancelled', { captured: results.length, outputDir });
+          }
+          ctx.reportProgress(total, total, 'done');
 
-          if (!shouldInline) {
-            const filePath = safeRequestedPath || path.join(DEFAULT_SCREENSHOT_DIR, `element-${sanitizeFileBase(selector)}-${nowFileSafe()}.${ext}`);
-            if (!isSafeOutputPath(filePath)) return toolError('OVERTY_INVALID_ARG', 'Invalid filePath');
-            atomicWriteFileSync(filePath, bytes);
-            return {
-              content: [{ type: 'text', text: `Saved element screenshot to ${filePath}` }],
-              structuredContent: { ...meta, filePath },
+          const outputDirDisplay = path.relative(process.cwd(), outputDir) || outputDir;
+          const lines = [
+            `Captured ${results.length}/${total} element(s) matching ${selector}${count > total ? ` (${count} matched; maxElements ${maxElements})` : ''}`,
+            `Output: ${outputDir}`,
+            failures.length ? `Failures: ${failures.length}` : null,
+            results.some((r) => r.clipped) ? `Clipped: ${results.filter((r) => r.clipped).length} (see clippedBy)` : null,
+          ].filter(Boolean);
+
+          let manifestPath = null;
+          if (writeManifest) {
+            manifestPath = path.join(outputDir, 'manifest.json');
+            const manifest = {
+              schemaVersion: 1,
+              createdAt,
+              serverInfo: SERVER_INFO,
+              session: cdp.name,
+              browserUrl: cdp.browserUrl || null,
+              selectedTarget: cdp.selectedTarget || null,
+              outputDir: outputDirDisplay,
+              selector: String(selector),
+              ...frameInfo,
+              count,
+              paddingPx,
+              stabilize: runRes.stabilize || null,
+              results: results.map(({ filePath, ...r }) => r),
+              failures,
             };
+            atomicWriteFileSync(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`);
+            lines.push(`Manifest: ${manifestPath}`);
           }
 
           return {
-            content: [{ type: 'image', data: shot.base64, mimeType: `image/${shot.format}` }],
-            structuredContent: meta,
+            content: [{ type: 'text', text: lines.join('\n') }, ...inlineImages],
+            structuredContent: { outputDir, createdAt, selector: String(selector), count, results, failures, manifestPath },
           };
         }
 
@@ -4051,6 +10604,16 @@ async function handleRequest(msg) {
 }
 
 const server = new JsonRpcLineServer(handleRequest);
+const httpServer = Number.isFinite(OVERTY_HTTP_PORT) && OVERTY_HTTP_PORT >= 0
+  ? new JsonRpcHttpServer(handleRequest, {
+      host: OVERTY_HTTP_HOST,
+      port: OVERTY_HTTP_PORT,
+      path: OVERTY_HTTP_PATH,
+      allowRemote: OVERTY_HTTP_ALLOW_REMOTE,
+      sessionTtlMs: OVERTY_HTTP_SESSION_TTL_MS,
+      maxSessions: OVERTY_HTTP_MAX_SESSIONS,
+    })
+  : null;
 
 (async () => {
   if (OVERTY_WITH_CHROME_DEVTOOLS) {
@@ -4065,21 +10628,48 @@ const server = new JsonRpcLineServer(handleRequest);
     if (chromeDevtoolsProcess) {
       await shutdownChromeDevtoolsMcpChild();
     }
-    await cdp.disconnect();
+    if (httpServer) {
+      await httpServer.close();
+    }
+    for (const session of sessions.values()) {
+      await session.disconnect();
+    }
+    for (const name of Array.from(launchedProcesses.keys())) {
+      await closeLaunchedProcess(name);
+    }
   };
 
   process.on('SIGINT', async () => {
-    log('SIGINT: closing CDP session + optional sidecars');
+    log('SIGINT: closing CDP sessions, launched browsers + optional sidecars');
     await teardown();
     process.exit(0);
   });
 
   process.on('SIGTERM', async () => {
-    log('SIGTERM: closing CDP session + optional sidecars');
+    log('SIGTERM: closing CDP sessions, launched browsers + optional sidecars');
+    await teardown();
+    process.exit(0);
+  });
+
+  // stdio clients often just close stdin when they go away; don't leave launched browsers behind.
+  process.stdin.on('end', async () => {
+    if (httpServer) return;
+    await server.drain();
+    if (launchedProcesses.size === 0) return;
+    log('stdin closed: closing CDP sessions + launched browsers');
     await teardown();
     process.exit(0);
   });
 
+  if (httpServer) {
+    try {
+      await httpServer.start();
+      log(`MCP streamable HTTP transport listening on ${httpServer.address}`);
+    } catch (err) {
+      log('Failed to start HTTP transport:', err && err.message ? err.message : err);
+    }
+  }
+
   log('MCP server running on stdio');
   server.start();
 })(); 